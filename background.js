@@ -1,21 +1,51 @@
 /**
  * Website Time Tracker - Service Worker (MV3)
- * Tracks time per hostname when: tab active, window focused, user not idle.
- * All data in chrome.storage.local.
+ * Tracks time per hostname when: tab active, window focused, user not idle (see onIdleStateChange)
+ * tracking not paused (see Pausing) and, when tracking is limited to a schedule, within its hours
+ * (see Schedules).
+ * All data in chrome.storage.local, one key per day (see lib/storage.js).
+ * Optionally, other audible tabs are recorded separately as passive time (see Passive tracking).
  *
  * State is centralized in TrackerState to reduce race conditions from async events.
  */
 
+importScripts('lib/storage.js', 'lib/ui.js', 'lib/dates.js', 'lib/exclusions.js', 'lib/public-suffix-list.js', 'lib/domains.js', 'lib/tag-list.js', 'lib/limits.js', 'lib/path-rules.js', 'lib/tag-rules.js', 'lib/retention.js', 'lib/timeline-edits.js', 'lib/focus.js', 'lib/goals.js', 'lib/reminders.js', 'lib/incognito-sync.js', 'lib/journal.js', 'lib/pause.js', 'lib/schedules.js');
+
 const ALARM_PERSIST = 'persist';
+const ALARM_LIMIT = 'limit';
+const ALARM_RETENTION = 'retention';
+const ALARM_FOCUS = 'focus';
+const ALARM_IDLE_GRACE = 'idle-grace';
+const ALARM_PAUSE = 'pause';
+const ALARM_SCHEDULE = 'schedule';
+const REMINDER_NOTIFICATION_PREFIX = 'reminder|';
+const RETENTION_INTERVAL_MIN = 6 * 60;
 const PERSIST_INTERVAL_MIN = 0.5;
-const IDLE_THRESHOLD_SEC = 60;
+const DEFAULT_IDLE_THRESHOLD_SEC = 60;
+const MIN_IDLE_THRESHOLD_SEC = 15;
 const DEFAULT_GRANULARITY_MS = 1000;
+const LIMIT_EXTENSION_MS = 5 * 60 * 1000;
+const BADGE_MODES = ['site', 'total', 'off'];
+const BADGE_DEFAULT_COLOR = '#565f89';
+const BADGE_LIMIT_WARNING_COLOR = '#e0af68';
+const BADGE_LIMIT_REACHED_COLOR = '#f7768e';
+/** The badge turns to the warning color once less than this share of a limit is left. */
+const BADGE_LIMIT_WARNING_SHARE = 0.2;
+/** With "incognito": "split", this copy of the worker serves incognito windows (see Incognito hand-off). */
+const IS_INCOGNITO_INSTANCE = chrome.extension?.inIncognitoContext === true;
+/**
+ * Both instances share storage.local, so each keeps its running sessions under its own keys.
+ * The popup shows the regular instance's; incognito time shows up once it is handed off.
+ */
+const SESSION_KEY = IS_INCOGNITO_INSTANCE ? 'incognitoCurrentSession' : 'currentSession';
+const PENDING_SESSION_KEY = IS_INCOGNITO_INSTANCE ? '_incognitoPendingSession' : '_pendingSession';
+const PASSIVE_SESSIONS_KEY = IS_INCOGNITO_INSTANCE ? 'incognitoPassiveSessions' : 'passiveSessions';
 
 // ─── Pure utilities ─────────────────────────────────────────────────────────
 
-function getDateKey() {
-  const d = new Date();
-  return d.getFullYear() + '-' + String(d.getMonth() + 1).padStart(2, '0') + '-' + String(d.getDate()).padStart(2, '0');
+/** Key of the tracking day containing the given time (now by default); see lib/dates.js. */
+function getDateKey(dayStartHour, time = Date.now()) {
+  return getDateKeyAt(time, dayStartHour);
 }
 
 function hostnameFromUrl(url) {
@@ -31,30 +61,126 @@ function hostnameFromUrl(url) {
 }
 
 async function getSettings() {
-  const raw = await chrome.storage.local.get({ settings: {} });
+  const raw = await chrome.storage.local.get({ settings: {}, schedules: [] });
   const s = raw.settings || {};
   return {
     excludeDomains: Array.isArray(s.excludeDomains) ? s.excludeDomains : [],
     timeGranularityMs: typeof s.timeGranularityMs === 'number' ? s.timeGranularityMs : DEFAULT_GRANULARITY_MS,
-    keepIncognitoData: s.keepIncognitoData === true
+    keepIncognitoData: s.keepIncognitoData === true,
+    groupByRegistrableDomain: s.groupByRegistrableDomain === true,
+    domainAliases: Array.isArray(s.domainAliases) ? s.domainAliases : [],
+    pathRules: Array.isArray(s.pathRules) ? s.pathRules : [],
+    detailedTimelineDays: Number.isInteger(s.detailedTimelineDays) && s.detailedTimelineDays >= 0
+      ? s.detailedTimelineDays
+      : DEFAULT_DETAILED_TIMELINE_DAYS,
+    deleteAfterMonths: Number.isInteger(s.deleteAfterMonths) && s.deleteAfterMonths > 0 ? s.deleteAfterMonths : 0,
+    dayStartHour: normalizeDayStartHour(s.dayStartHour),
+    focusDistractingTags: Array.isArray(s.focusDistractingTags) ? s.focusDistractingTags : DEFAULT_FOCUS_DISTRACTING_TAGS,
+    idleThresholdSec: Number.isInteger(s.idleThresholdSec) && s.idleThresholdSec >= MIN_IDLE_THRESHOLD_SEC
+      ? s.idleThresholdSec
+      : DEFAULT_IDLE_THRESHOLD_SEC,
+    idleGraceMinutes: Number.isInteger(s.idleGraceMinutes) && s.idleGraceMinutes > 0 ? s.idleGraceMinutes : 0,
+    lockStopsImmediately: s.lockStopsImmediately !== false,
+    neverIdleDomains: Array.isArray(s.neverIdleDomains) ? s.neverIdleDomains : [],
+    trackPassive: s.trackPassive === true,
+    quietHoursStart: hourOrNull(s.quietHoursStart),
+    quietHoursEnd: hourOrNull(s.quietHoursEnd),
+    badgeMode: BADGE_MODES.includes(s.badgeMode) ? s.badgeMode : 'site',
+    journalEnabled: s.journalEnabled === true,
+    trackOnlySchedule: typeof s.trackOnlySchedule === 'string' ? s.trackOnlySchedule : '',
+    trackOnlyScheduleDomains: Array.isArray(s.trackOnlyScheduleDomains) ? s.trackOnlyScheduleDomains : [],
+    // Kept under their own key, but every recorded block is split at their boundaries.
+    schedules: Array.isArray(raw.schedules) ? raw.schedules : []
   };
 }
 
-function shouldTrack(hostname, excludeDomains) {
+function hourOrNull(value) {
+  return Number.isInteger(value) && value >= 0 && value <= 23 ? value : null;
+}
+
+/** url is optional; without it only hostname patterns are checked (see lib/exclusions.js). */
+function shouldTrack(hostname, excludeDomains, url) {
   if (!hostname) return false;
-  return !excludeDomains.includes(hostname);
+  return !isExcludedUrl(hostname, url, excludeDomains);
 }
 
-function roundMs(ms, granularityMs) {
-  if (!granularityMs || granularityMs <= 0) return ms;
-  return Math.floor(ms / granularityMs) * granularityMs;
+let dayWrites = Promise.resolve();
+
+/**
+ * Runs a read-modify-write of stored days after the ones queued before it. Active and
+ * passive sessions, retention and the incognito merge all write the same day keys and
+ * index; run side by side, the later save would drop the earlier one's update.
+ */
+function serializeDayWrite(write) {
+  const run = dayWrites.then(write);
+  dayWrites = run.catch(() => {});
+  return run;
+}
+
+/** Adds time to a domain and, for path-rule sessions, to its sub-key; the domain total always includes sub-keys. */
+function addDomainMs(day, domain, path, ms) {
+  if (!day.domains[domain]) day.domains[domain] = { ms: 0 };
+  const entry = day.domains[domain];
+  if (ms <= 0) return;
+  entry.ms += ms;
+  if (path) {
+    if (!entry.paths) entry.paths = {};
+    entry.paths[path] = { ms: (entry.paths[path]?.ms || 0) + ms };
+  }
+}
+
+/**
+ * Adds a stretch of tracked time to every tracking day it spans, so a session running
+ * past the day start is split between the two days. from..to is the time to add to the
+ * totals; block, when given ({ start, endedBy? }), also records the timeline block
+ * block.start..to, split where a schedule begins or ends and labelled with it (lib/schedules.js).
+ * endedBy ('idle', 'locked', 'paused' or 'schedule') goes on the last piece, where the gap
+ * begins. With passive set the time goes to day.passive instead, which active totals never include.
+ */
+async function recordSessionTime({ domain, path, from, to, block, passive }, settings, extraItems) {
+  const blockStart = block?.start;
+  const pieces = splitAtDayBoundaries(from, to, settings.dayStartHour);
+  const blockPieces = blockStart != null
+    ? splitAtDayBoundaries(blockStart, to, settings.dayStartHour).flatMap(piece =>
+      splitAtSchedules(piece.start, piece.end, settings.schedules).map(part => ({ ...part, dateKey: piece.dateKey })))
+    : [];
+  if (!pieces.length && blockStart != null) {
+    // Nothing to add, but an ended session still gets its (possibly empty) entry.
+    pieces.push({ dateKey: getDateKey(settings.dayStartHour, to), start: to, end: to });
+  }
+  const dateKeys = [...new Set([...pieces, ...blockPieces].map(p => p.dateKey))];
+  if (!dateKeys.length && !extraItems) return;
+  await serializeDayWrite(async () => {
+    // The incognito instance records only what it adds and hands it to the regular profile.
+    const days = IS_INCOGNITO_INSTANCE ? {} : await loadDays(dateKeys);
+    const targets = {};
+    for (const key of dateKeys) {
+      if (!days[key]) days[key] = { domains: {}, timeline: [] };
+      if (passive && !days[key].passive) days[key].passive = { domains: {}, timeline: [] };
+      targets[key] = passive ? days[key].passive : days[key];
+      if (!targets[key].timeline) targets[key].timeline = [];
+    }
+    for (const piece of pieces) {
+      addDomainMs(targets[piece.dateKey], domain, path, roundMs(piece.end - piece.start, settings.timeGranularityMs));
+    }
+    blockPieces.forEach((piece, i) => {
+      addDomainMs(targets[piece.dateKey], domain, path, 0);
+      const entry = { start: piece.start, end: piece.end, domain };
+      if (path) entry.path = path;
+      if (piece.schedule) entry.schedule = piece.schedule;
+      if (block.endedBy && i === blockPieces.length - 1) entry.endedBy = block.endedBy;
+      targets[piece.dateKey].timeline.push(entry);
+    });
+    if (IS_INCOGNITO_INSTANCE) await queueIncognitoBatch(days, extraItems);
+    else await saveDays(days, extraItems);
+  });
 }
 
 // ─── Centralized state (single source of truth) ──────────────────────────────
 
 class TrackerState {
   constructor() {
-    this.session = null;       // { domain, start, persistedAt, tabId, windowId, wasIncognito }
+    this.session = null;       // { domain, path, start, persistedAt, tabId, windowId, wasIncognito }
     this.focusedWindowId = null;
     this.incognitoWindowIds = new Set();
     this.isIdle = false;
@@ -70,10 +196,13 @@ class TrackerState {
     if (!this.session) return null;
     return {
       domain: this.session.domain,
+      path: this.session.path,
       start: this.session.start,
       persistedAt: this.session.persistedAt,
       tabIdToCheck: this.session.tabId,
-      wasIncognito: this.session.wasIncognito
+      wasIncognito: this.session.wasIncognito,
+      endedBy: null,
+      endAt: null
     };
   }
 
@@ -98,10 +227,13 @@ const state = new TrackerState();
 async function endSession(override) {
   const useOverride = override && override.domain != null && override.start != null;
   const domain = useOverride ? override.domain : state.session?.domain;
+  const path = useOverride ? override.path : state.session?.path;
   const start = useOverride ? override.start : state.session?.start;
   const persistedAt = useOverride ? override.persistedAt : state.session?.persistedAt;
   const tabIdToCheck = useOverride && override.tabIdToCheck !== undefined ? override.tabIdToCheck : state.session?.tabId;
   const wasIncognito = useOverride && override.wasIncognito !== undefined ? override.wasIncognito : state.session?.wasIncognito;
+  const endedBy = useOverride ? override.endedBy : null;
+  const endAt = useOverride ? override.endAt : null;
 
   if (domain != null && start != null) {
     state.clearSession();
@@ -115,18 +247,13 @@ async function endSession(override) {
     return;
   }
 
-  const now = Date.now();
-  const increment = roundMs(now - (persistedAt ?? start), settings.timeGranularityMs);
-
-  const key = getDateKey();
-  const data = await chrome.storage.local.get({ days: {} });
-  const days = data.days || {};
-  if (!days[key]) days[key] = { domains: {}, timeline: [] };
-  const day = days[key];
-  if (!day.domains[domain]) day.domains[domain] = { ms: 0 };
-  if (increment > 0) day.domains[domain].ms += increment;
-  day.timeline.push({ start, end: now, domain });
-  await chrome.storage.local.set({ days, currentSession: null, _pendingSession: null });
+  // endAt (a schedule's end) can be in the past, but not before what is already recorded.
+  const to = endAt != null ? Math.max(persistedAt ?? start, Math.min(Date.now(), endAt)) : Date.now();
+  await recordSessionTime(
+    { domain, path, from: persistedAt ?? start, to, block: { start, endedBy } },
+    settings,
+    { [SESSION_KEY]: null, [PENDING_SESSION_KEY]: null }
+  );
 }
 
 async function persistRunningTotal() {
@@ -135,10 +262,11 @@ async function persistRunningTotal() {
   const settings = await getSettings();
   if (!shouldTrack(s.domain, settings.excludeDomains)) {
     state.clearSession();
-    await chrome.storage.local.set({ currentSession: null });
+    await chrome.storage.local.set({ [SESSION_KEY]: null });
     return;
   }
   if (!settings.keepIncognitoData && s.wasIncognito) return;
+  if (await stopIfOutsideSchedule(settings, Date.now())) return;
 
   const now = Date.now();
   const from = s.persistedAt ?? s.start;
@@ -148,56 +276,70 @@ async function persistRunningTotal() {
     return;
   }
 
-  const key = getDateKey();
-  const data = await chrome.storage.local.get({ days: {} });
-  const days = data.days || {};
-  if (!days[key]) days[key] = { domains: {}, timeline: [] };
-  const day = days[key];
-  if (!day.domains[s.domain]) day.domains[s.domain] = { ms: 0 };
-  day.domains[s.domain].ms += delta;
   s.persistedAt = now;
-  await chrome.storage.local.set({ days });
+  await recordSessionTime({ domain: s.domain, path: s.path, from, to: now }, settings);
   state.pendingWrite = null;
 }
 
 // ─── Tracker actions (centralized entry points) ───────────────────────────────
 
-function stopTracking() {
+/**
+ * endedBy ('idle', 'locked', 'paused' or 'schedule') marks the block as ending where a gap
+ * begins. endAt, when given, ends the session at that earlier time instead of now.
+ */
+function stopTracking(endedBy, endAt) {
   if (!state.hasSession()) return null;
   if (state.pendingWrite) return state.pendingWrite;
 
   const snapshot = state.snapshot();
+  if (endedBy) snapshot.endedBy = endedBy;
+  if (endAt != null) snapshot.endAt = endAt;
   state.clearSession();
 
   const promise = endSession(snapshot);
   state.pendingWrite = promise;
-  promise.finally(() => { state.pendingWrite = null; });
+  promise.finally(() => {
+    state.pendingWrite = null;
+    updateBadge();
+  });
   return promise;
 }
 
 async function startTracking(hostname, tabId) {
+  if (await getActivePause()) return;
   const settings = await getSettings();
   if (!shouldTrack(hostname, settings.excludeDomains)) return;
 
-  const now = Date.now();
-  let windowId = null;
-  let wasIncognito = false;
+  const tab = tabId != null ? await chrome.tabs.get(tabId).catch(() => null) : null;
+  // Path patterns need the full URL, which only the tab has.
+  if (tab?.url && !shouldTrack(hostname, settings.excludeDomains, tab.url)) return;
+  if (!isTrackedBySchedule(hostname, tab?.url, Date.now(), settings, settings.schedules)) return;
+
+  await autoTagDomain(hostname);
 
   if (tabId != null) {
-    try {
-      const tab = await chrome.tabs.get(tabId).catch(() => null);
-      wasIncognito = tab?.incognito ?? false;
-      windowId = tab?.windowId ?? null;
-      if (tab?.incognito && tab?.windowId) {
-        state.incognitoWindowIds.add(tab.windowId);
-      }
-    } catch {
-      wasIncognito = false;
+    const status = await getLimitStatus(hostname);
+    if (status && status.remainingMs <= 0) {
+      await blockTab(tabId, hostname, { limit: status.id });
+      return;
+    }
+    if (await isBlockedByFocus(hostname)) {
+      await blockTab(tabId, hostname, { reason: 'focus' });
+      return;
     }
   }
 
+  const now = Date.now();
+  const path = getPathKey(hostname, tab?.url, settings.pathRules);
+  const windowId = tab?.windowId ?? null;
+  const wasIncognito = tab?.incognito ?? false;
+  if (tab?.incognito && tab?.windowId) {
+    state.incognitoWindowIds.add(tab.windowId);
+  }
+
   state.session = {
     domain: hostname,
+    path,
     start: now,
     persistedAt: now,
     tabId: tabId ?? null,
@@ -207,14 +349,538 @@ async function startTracking(hostname, tabId) {
 
   const pendingSession = {
     domain: hostname,
+    path,
     start: now,
     persistedAt: now,
     windowId: windowId ?? undefined,
     wasIncognito
   };
   await chrome.storage.local.set({
-    currentSession: { domain: hostname, start: now },
-    _pendingSession: pendingSession
+    [SESSION_KEY]: { domain: hostname, path, start: now },
+    [PENDING_SESSION_KEY]: pendingSession
+  });
+  await enforceLimits();
+  await updateBadge();
+}
+
+// ─── Toolbar badge ───────────────────────────────────────────────────────────
+
+let badgeUpdate = Promise.resolve();
+
+/**
+ * Shows today's time for the tracked site (or all sites, per settings.badgeMode) on the
+ * toolbar icon, colored by the site's limit status or else its first tag. Empty whenever
+ * nothing is being tracked (idle, excluded site, unfocused browser). Updates are chained
+ * so an older one never overwrites a newer one.
+ */
+function updateBadge() {
+  badgeUpdate = badgeUpdate.then(renderBadge).catch(() => {});
+  return badgeUpdate;
+}
+
+async function renderBadge() {
+  const settings = await getSettings();
+  const session = state.hasSession() ? state.session : null;
+  if (!session || settings.badgeMode === 'off' || (session.wasIncognito && !settings.keepIncognitoData)) {
+    await chrome.action.setBadgeText({ text: '' });
+    return;
+  }
+  const { domainTags = {}, tagList = [] } = await chrome.storage.local.get(['domainTags', 'tagList']);
+  const key = getDateKey(settings.dayStartHour);
+  const today = await loadDay(key);
+  const { dayStart } = getDayBounds(key, settings.dayStartHour);
+  const running = Math.max(0, Date.now() - Math.max(session.persistedAt ?? session.start, dayStart));
+  const ms = settings.badgeMode === 'total'
+    ? Object.values(today?.domains || {}).reduce((sum, d) => sum + (d.ms || 0), 0) + running
+    : getLimitUsageMs(today, { kind: 'domain', target: getDomainGroupKey(session.domain, settings) }, domainTags || {}, settings) + running;
+
+  let color = BADGE_DEFAULT_COLOR;
+  const status = await getLimitStatus(session.domain);
+  if (status && status.remainingMs <= 0) {
+    color = BADGE_LIMIT_REACHED_COLOR;
+  } else if (status && status.remainingMs < status.allowedMs * BADGE_LIMIT_WARNING_SHARE) {
+    color = BADGE_LIMIT_WARNING_COLOR;
+  } else {
+    const [firstTag] = getTagsForDomain(session.domain, domainTags || {}, settings);
+    if (firstTag) color = getTagColor(tagList, firstTag) || BADGE_DEFAULT_COLOR;
+  }
+  await chrome.action.setBadgeBackgroundColor({ color });
+  await chrome.action.setBadgeText({ text: formatBadgeTime(ms) });
+}
+
+// ─── Automatic tagging ───────────────────────────────────────────────────────
+
+/** Tags a domain from the rules the first time it is tracked; any existing entry (manual or auto) is left alone. */
+async function autoTagDomain(domain) {
+  const { domainTags = {}, tagRules = [], autoTaggedDomains = {} } =
+    await chrome.storage.local.get(['domainTags', 'tagRules', 'autoTaggedDomains']);
+  if (domainTags?.[domain] !== undefined) return;
+  const rule = findTagRule(domain, tagRules);
+  if (!rule) return;
+  await chrome.storage.local.set({
+    domainTags: { ...domainTags, [domain]: [...rule.tags] },
+    autoTaggedDomains: { ...autoTaggedDomains, [domain]: true }
+  });
+}
+
+// ─── Daily limits ────────────────────────────────────────────────────────────
+
+/**
+ * Tightest limit that applies to the domain today, or null.
+ * Usage includes the running session's time not yet persisted.
+ */
+async function getLimitStatus(domain) {
+  const { limits = [], limitOverrides = {}, domainTags = {} } =
+    await chrome.storage.local.get(['limits', 'limitOverrides', 'domainTags']);
+  const settings = await getSettings();
+  const key = getDateKey(settings.dayStartHour);
+  const today = await loadDay(key);
+  const extras = limitOverrides[key] || {};
+  // Unpersisted time from before the day start belongs to the previous day.
+  const { dayStart } = getDayBounds(key, settings.dayStartHour);
+  const running = state.hasSession()
+    ? Math.max(0, Date.now() - Math.max(state.session.persistedAt ?? state.session.start, dayStart))
+    : 0;
+  let status = null;
+  for (const limit of Array.isArray(limits) ? limits : []) {
+    if (!limitAppliesTo(limit, domain, domainTags || {}, settings)) continue;
+    const id = limitId(limit);
+    const allowedMs = limit.minutes * 60000 + (extras[id] || 0);
+    // The running session counts when the limit covers it, e.g. another site with the same tag.
+    const sessionMs = running && limitAppliesTo(limit, state.session.domain, domainTags || {}, settings) ? running : 0;
+    const usedMs = getLimitUsageMs(today, limit, domainTags || {}, settings) + sessionMs;
+    const remainingMs = allowedMs - usedMs;
+    if (!status || remainingMs < status.remainingMs) {
+      status = { limit, id, usedMs, allowedMs, remainingMs };
+    }
+  }
+  return status;
+}
+
+/** params tell the block page why: { limit: id } or { reason: 'focus' }. */
+async function blockTab(tabId, domain, params) {
+  const tab = await chrome.tabs.get(tabId).catch(() => null);
+  if (tabId === state.session?.tabId) {
+    const w = stopTracking();
+    if (w) await w;
+  }
+  if (!tab) return;
+  const query = new URLSearchParams({ domain, ...params, url: tab.url || '' });
+  await chrome.tabs.update(tabId, { url: chrome.runtime.getURL('blocked/blocked.html') + '?' + query }).catch(() => {});
+}
+
+/** Blocks the current tab if its limit is used up, otherwise schedules a check for when it will be. */
+async function enforceLimits() {
+  await chrome.alarms.clear(ALARM_LIMIT);
+  if (!state.hasSession()) return;
+  const { domain, tabId } = state.session;
+  const status = await getLimitStatus(domain);
+  if (!status || tabId == null) return;
+  if (status.remainingMs <= 0) {
+    await blockTab(tabId, domain, { limit: status.id });
+    return;
+  }
+  chrome.alarms.create(ALARM_LIMIT, { when: Date.now() + status.remainingMs });
+}
+
+async function extendLimit(id) {
+  const key = getDateKey((await getSettings()).dayStartHour);
+  const { limitOverrides = {} } = await chrome.storage.local.get('limitOverrides');
+  const today = { ...(limitOverrides[key] || {}) };
+  today[id] = (today[id] || 0) + LIMIT_EXTENSION_MS;
+  // Only today's overrides are ever read; older dates are dropped here.
+  await chrome.storage.local.set({ limitOverrides: { [key]: today } });
+}
+
+// ─── Daily goals ─────────────────────────────────────────────────────────────
+
+/**
+ * Records how finished days did against the goals (see lib/goals.js). goalHistoryThrough
+ * is the last day evaluated, so each day is judged once, with the goals and tags of the
+ * time. Runs with the retention alarm and at startup, so a day is recorded within hours.
+ * Only the regular instance keeps the history; incognito days reach it through the hand-off.
+ */
+async function recordGoalHistory() {
+  if (IS_INCOGNITO_INSTANCE) return;
+  const { goals = [], goalHistory = {}, goalHistoryThrough = null, domainTags = {} } =
+    await chrome.storage.local.get(['goals', 'goalHistory', 'goalHistoryThrough', 'domainTags']);
+  if (!Array.isArray(goals) || !goals.length) return;
+  const settings = await getSettings();
+  const keys = getGoalHistoryKeys(goals, goalHistoryThrough, getDateKey(settings.dayStartHour));
+  if (!keys.length) return;
+  const days = await loadDays(keys);
+  const history = { ...goalHistory };
+  for (const key of keys) {
+    const tagMs = {};
+    for (const goal of getGoalsForDay(goals, key)) {
+      tagMs[goal.tag] = getLimitUsageMs(days[key], { kind: 'tag', target: goal.tag }, domainTags || {}, settings);
+    }
+    const results = evaluateGoals(goals, key, tagMs);
+    if (results.length) history[key] = results;
+  }
+  await chrome.storage.local.set({ goalHistory: pruneGoalHistory(history), goalHistoryThrough: keys[keys.length - 1] });
+}
+
+// ─── Reminders ───────────────────────────────────────────────────────────────
+
+/**
+ * Shows a notification for each reminder crossed (see lib/reminders.js), at most once
+ * per day each unless snoozed, and none during quiet hours or while muted. Runs after
+ * every persist, so today's stored totals are current. Only in the regular instance, which
+ * owns reminderLog.
+ */
+async function checkReminders() {
+  if (IS_INCOGNITO_INSTANCE) return;
+  const { reminders = [], reminderLog = {}, remindersMutedUntil = 0, domainTags = {} } =
+    await chrome.storage.local.get(['reminders', 'reminderLog', 'remindersMutedUntil', 'domainTags']);
+  if (!Array.isArray(reminders) || !reminders.length) return;
+  const now = Date.now();
+  const settings = await getSettings();
+  if (remindersMutedUntil > now || isInQuietHours(now, settings.quietHoursStart, settings.quietHoursEnd)) return;
+
+  const key = getDateKey(settings.dayStartHour);
+  const today = await loadDay(key);
+  const shown = reminderLog.dateKey === key ? { ...reminderLog.shown } : {};
+  const session = state.hasSession() ? state.session : null;
+  const { dayStart } = getDayBounds(key, settings.dayStartHour);
+  const running = session ? Math.max(0, now - Math.max(session.persistedAt ?? session.start, dayStart)) : 0;
+  const usageMs = (limit) => getLimitUsageMs(today, limit, domainTags || {}, settings) +
+    (session && limitAppliesTo(limit, session.domain, domainTags || {}, settings) ? running : 0);
+  const totalMs = Object.values(today?.domains || {}).reduce((sum, d) => sum + (d.ms || 0), 0) + running;
+
+  let changed = false;
+  for (const reminder of reminders) {
+    let measurement;
+    if (reminder.kind === 'continuous') {
+      measurement = session ? { ms: now - session.start, domain: getDomainGroupKey(session.domain, settings) } : null;
+    } else if (reminder.kind === 'tagShare') {
+      measurement = { ms: usageMs({ kind: 'tag', target: reminder.target }), totalMs };
+    } else {
+      measurement = { ms: usageMs({ kind: 'domain', target: reminder.target }) };
+    }
+    const notification = measurement && checkReminder(reminder, measurement);
+    if (!notification || !isReminderDue(shown[notification.key], now)) continue;
+    shown[notification.key] = { at: now };
+    changed = true;
+    chrome.notifications.create(REMINDER_NOTIFICATION_PREFIX + notification.key, {
+      type: 'basic',
+      iconUrl: 'icons/icon128.png',
+      title: notification.title,
+      message: notification.message,
+      buttons: [{ title: 'Remind me in 15 min' }, { title: 'Mute reminders for 1 hour' }]
+    });
+  }
+  if (changed) await chrome.storage.local.set({ reminderLog: { dateKey: key, shown } });
+}
+
+/** Button 0 snoozes this reminder, button 1 mutes them all for an hour. */
+async function onReminderButton(notificationId, buttonIndex) {
+  if (!notificationId.startsWith(REMINDER_NOTIFICATION_PREFIX)) return;
+  const key = notificationId.slice(REMINDER_NOTIFICATION_PREFIX.length);
+  chrome.notifications.clear(notificationId);
+  const now = Date.now();
+  if (buttonIndex === 1) {
+    await chrome.storage.local.set({ remindersMutedUntil: now + REMINDER_MUTE_MS });
+    return;
+  }
+  const { reminderLog = {} } = await chrome.storage.local.get('reminderLog');
+  if (!reminderLog.shown?.[key]) return;
+  const shown = { ...reminderLog.shown, [key]: { ...reminderLog.shown[key], snoozedUntil: now + REMINDER_SNOOZE_MS } };
+  await chrome.storage.local.set({ reminderLog: { ...reminderLog, shown } });
+}
+
+// ─── Focus sessions ──────────────────────────────────────────────────────────
+
+/**
+ * Brings the stored focus session up to date (see lib/focus.js) and schedules the
+ * alarm for its next phase change; finished sessions move to focusHistory.
+ * The session lives in storage and the alarm survives restarts, like ALARM_PERSIST.
+ */
+async function syncFocusSession() {
+  const { focusSession = null } = await chrome.storage.local.get('focusSession');
+  if (!focusSession) {
+    await chrome.alarms.clear(ALARM_FOCUS);
+    return null;
+  }
+  const { session, record } = advanceFocusSession(focusSession, Date.now());
+  if (record) {
+    await finishFocusSession(record);
+    return null;
+  }
+  if (session.phaseEndsAt !== focusSession.phaseEndsAt) await chrome.storage.local.set({ focusSession: session });
+  chrome.alarms.create(ALARM_FOCUS, { when: session.phaseEndsAt });
+  return session;
+}
+
+async function finishFocusSession(record) {
+  const { focusHistory = [] } = await chrome.storage.local.get('focusHistory');
+  const history = [...(Array.isArray(focusHistory) ? focusHistory : []), record].slice(-FOCUS_HISTORY_MAX);
+  await chrome.alarms.clear(ALARM_FOCUS);
+  await chrome.storage.local.set({ focusSession: null, focusHistory: history });
+}
+
+async function startFocus(options) {
+  await stopFocus();
+  const session = createFocusSession(options, Date.now());
+  await chrome.storage.local.set({ focusSession: session });
+  chrome.alarms.create(ALARM_FOCUS, { when: session.phaseEndsAt });
+  await enforceFocus();
+}
+
+async function stopFocus() {
+  const { focusSession = null } = await chrome.storage.local.get('focusSession');
+  if (!focusSession) return;
+  const { session, record } = advanceFocusSession(focusSession, Date.now());
+  await finishFocusSession(record || stopFocusSession(session, Date.now()));
+}
+
+/** True while a focus phase with blocking on is running and the site has a distracting tag. */
+async function isBlockedByFocus(domain) {
+  const { focusSession = null, domainTags = {} } = await chrome.storage.local.get(['focusSession', 'domainTags']);
+  if (!focusSession?.blockDistracting || focusSession.phase !== 'focus' || focusSession.phaseEndsAt <= Date.now()) return false;
+  const settings = await getSettings();
+  return isDistractingDomain(domain, domainTags || {}, settings, settings.focusDistractingTags);
+}
+
+async function enforceFocus() {
+  if (!state.hasSession()) return;
+  const { domain, tabId } = state.session;
+  if (tabId != null && await isBlockedByFocus(domain)) await blockTab(tabId, domain, { reason: 'focus' });
+}
+
+// ─── Pausing ─────────────────────────────────────────────────────────────────
+
+/**
+ * See lib/pause.js. The pause is kept in storage and ALARM_PAUSE ends a timed one, so a
+ * restarted worker stays paused; startTracking and the passive sync check it first.
+ */
+async function getActivePause() {
+  const { trackingPause = null } = await chrome.storage.local.get('trackingPause');
+  return isPauseActive(trackingPause, Date.now()) ? trackingPause : null;
+}
+
+/** option is one of PAUSE_OPTIONS; pausing again while paused only changes when it ends. */
+async function pauseTracking(option) {
+  const now = Date.now();
+  const { dayStartHour } = await getSettings();
+  const { trackingPause = null, pauseHistory = [] } = await chrome.storage.local.get(['trackingPause', 'pauseHistory']);
+  const update = {};
+  if (isPauseActive(trackingPause, now)) {
+    update.trackingPause = { ...trackingPause, until: getPauseUntil(option, now, dayStartHour) };
+  } else {
+    // A timed pause whose alarm has not run yet still goes to the history.
+    if (trackingPause) update.pauseHistory = addPauseToHistory(pauseHistory, endPause(trackingPause, now));
+    update.trackingPause = createPause(option, now, dayStartHour);
+  }
+  const pause = update.trackingPause;
+  await chrome.storage.local.set(update);
+  await chrome.alarms.clear(ALARM_PAUSE);
+  if (pause.until != null) chrome.alarms.create(ALARM_PAUSE, { when: pause.until });
+  const write = stopTracking('paused');
+  if (write) await write;
+  await syncPassiveTabs();
+}
+
+async function resumeTracking() {
+  await chrome.alarms.clear(ALARM_PAUSE);
+  const { trackingPause = null, pauseHistory = [] } = await chrome.storage.local.get(['trackingPause', 'pauseHistory']);
+  if (!trackingPause) return;
+  await chrome.storage.local.set({
+    trackingPause: null,
+    pauseHistory: addPauseToHistory(pauseHistory, endPause(trackingPause, Date.now()))
+  });
+  if (!state.isIdle) await trackFocusedTab().catch(err => journalError('resumeTracking', err));
+  schedulePassiveSync();
+}
+
+async function togglePause(option) {
+  if (await getActivePause()) await journaledResume();
+  else await journaledPause(option);
+}
+
+/** Ends a pause whose time is up, e.g. when the alarm fired while the browser was closed. */
+async function syncPause() {
+  const { trackingPause = null } = await chrome.storage.local.get('trackingPause');
+  if (!trackingPause) return;
+  if (!isPauseActive(trackingPause, Date.now())) {
+    await journaledResume();
+  } else if (trackingPause.until != null && !(await chrome.alarms.get(ALARM_PAUSE))) {
+    chrome.alarms.create(ALARM_PAUSE, { when: trackingPause.until });
+  }
+}
+
+// ─── Schedules ───────────────────────────────────────────────────────────────
+
+/**
+ * See lib/schedules.js. When tracking is limited to a schedule, ALARM_SCHEDULE fires where
+ * it begins or ends: at its end the session stops (and the block ends there), at its start
+ * the focused tab is picked up. The persist alarm catches an end the worker slept through.
+ */
+async function stopIfOutsideSchedule(settings, now) {
+  const schedule = getTrackingSchedule(settings, settings.schedules);
+  const session = state.session;
+  if (!schedule || !state.hasSession()) return false;
+  // Path patterns need the full URL, which only the tab has.
+  const tab = session.tabId != null ? await chrome.tabs.get(session.tabId).catch(() => null) : null;
+  if (state.session !== session || isTrackedBySchedule(session.domain, tab?.url, now, settings, settings.schedules)) {
+    return false;
+  }
+  const write = stopTracking('schedule', getLastScheduleEnd(schedule, now) ?? now);
+  if (write) await write;
+  return true;
+}
+
+async function syncScheduleAlarm(settings) {
+  await chrome.alarms.clear(ALARM_SCHEDULE);
+  const schedule = getTrackingSchedule(settings, settings.schedules);
+  const next = schedule ? getNextScheduleBoundary(schedule, Date.now()) : null;
+  if (next != null) chrome.alarms.create(ALARM_SCHEDULE, { when: next });
+}
+
+/** True when a settings write changed the schedule that limits tracking or the sites it covers. */
+function trackingScheduleSettingsChanged(change) {
+  const before = change?.oldValue || {};
+  const after = change?.newValue || {};
+  return (before.trackOnlySchedule || '') !== (after.trackOnlySchedule || '') ||
+    JSON.stringify(before.trackOnlyScheduleDomains || []) !== JSON.stringify(after.trackOnlyScheduleDomains || []);
+}
+
+/** Runs at a schedule boundary and when the schedules or their settings change; startTracking decides what may be tracked. */
+async function applyTrackingSchedule() {
+  const settings = await getSettings();
+  const stopped = await stopIfOutsideSchedule(settings, Date.now());
+  if (!stopped && !state.hasSession()) {
+    const idleState = await chrome.idle.queryState(settings.idleThresholdSec);
+    if (idleState === 'active') await trackFocusedTab().catch(err => journalError('applyTrackingSchedule', err));
+  }
+  await syncScheduleAlarm(settings);
+  schedulePassiveSync();
+}
+
+// ─── Passive tracking (audible tabs) ────────────────────────────────────────
+
+/**
+ * With trackPassive on, audible tabs other than the actively tracked one are recorded as
+ * passive time in day.passive, also while the user is idle. Running passive sessions are
+ * kept in storage (PASSIVE_SESSIONS_KEY, by tab id) so a restarted worker can pick them up.
+ */
+let passiveSync = Promise.resolve();
+let passiveSyncTimer = null;
+
+/** Runs syncPassiveTabs after the active-tab handlers have settled (it skips the tracked tab). */
+function schedulePassiveSync() {
+  clearTimeout(passiveSyncTimer);
+  passiveSyncTimer = setTimeout(syncPassiveTabs, 1000);
+}
+
+function syncPassiveTabs() {
+  passiveSync = passiveSync.then(updatePassiveSessions).catch(() => {});
+  return passiveSync;
+}
+
+async function getPassiveTabDomains(settings) {
+  const domains = {};
+  if (!settings.trackPassive || await getActivePause()) return domains;
+  const tabs = await chrome.tabs.query({ audible: true }).catch(() => []);
+  for (const tab of tabs) {
+    if (tab.id == null || tab.id === state.session?.tabId) continue;
+    if (tab.incognito && !settings.keepIncognitoData) continue;
+    const hostname = hostnameFromUrl(tab.url);
+    if (shouldTrack(hostname, settings.excludeDomains, tab.url) &&
+        isTrackedBySchedule(hostname, tab.url, Date.now(), settings, settings.schedules)) {
+      domains[tab.id] = hostname;
+    }
+  }
+  return domains;
+}
+
+async function updatePassiveSessions() {
+  const settings = await getSettings();
+  const { [PASSIVE_SESSIONS_KEY]: passiveSessions = {} } = await chrome.storage.local.get(PASSIVE_SESSIONS_KEY);
+  const wanted = await getPassiveTabDomains(settings);
+  if (!Object.keys(passiveSessions).length && !Object.keys(wanted).length) return;
+
+  const now = Date.now();
+  const next = {};
+  for (const [tabId, s] of Object.entries(passiveSessions)) {
+    const ended = wanted[tabId] !== s.domain;
+    const from = s.persistedAt ?? s.start;
+    await recordSessionTime({ domain: s.domain, from, to: now, block: ended ? { start: s.start } : null, passive: true }, settings);
+    if (!ended) next[tabId] = { ...s, persistedAt: now };
+  }
+  for (const [tabId, domain] of Object.entries(wanted)) {
+    if (!next[tabId]) next[tabId] = { domain, start: now, persistedAt: now };
+  }
+  await chrome.storage.local.set({ [PASSIVE_SESSIONS_KEY]: next });
+}
+
+/** At browser startup: sessions left from the last run end where they were last persisted. */
+async function closeStalePassiveSessions() {
+  const { [PASSIVE_SESSIONS_KEY]: passiveSessions = {} } = await chrome.storage.local.get(PASSIVE_SESSIONS_KEY);
+  const settings = await getSettings();
+  for (const s of Object.values(passiveSessions)) {
+    const end = s.persistedAt ?? s.start;
+    await recordSessionTime({ domain: s.domain, from: end, to: end, block: { start: s.start }, passive: true }, settings);
+  }
+  await chrome.storage.local.set({ [PASSIVE_SESSIONS_KEY]: {} });
+}
+
+// ─── Retention ──────────────────────────────────────────────────────────────
+
+/**
+ * Compacts days past the detailed-timeline window and deletes days past the delete
+ * window (see lib/retention.js). "compactedBefore" records how far compaction has run
+ * so each pass only loads newly expired days; rescan ignores it (after an import).
+ * The incognito instance leaves the stored days to the regular one.
+ */
+async function applyRetention(rescan = false) {
+  if (IS_INCOGNITO_INSTANCE) return;
+  const settings = await getSettings();
+  const today = getDateKey(settings.dayStartHour);
+  let compactBefore = null;
+  if (settings.detailedTimelineDays > 0) {
+    const d = dateFromKey(today);
+    d.setDate(d.getDate() - settings.detailedTimelineDays);
+    compactBefore = formatDateKey(d);
+  }
+  let deleteBefore = null;
+  if (settings.deleteAfterMonths > 0) {
+    const d = dateFromKey(today);
+    d.setMonth(d.getMonth() - settings.deleteAfterMonths);
+    deleteBefore = formatDateKey(d);
+  }
+  await serializeDayWrite(async () => {
+    const { compactedBefore = null } = await chrome.storage.local.get('compactedBefore');
+    const plan = planRetention(await listDayKeys(), compactBefore, deleteBefore, rescan ? null : compactedBefore);
+    if (plan.remove.length) await deleteDays(plan.remove);
+    const toCompact = await loadDays(plan.compact);
+    const compacted = {};
+    for (const [dateKey, day] of Object.entries(toCompact)) {
+      if (!day.compacted || day.timeline?.length) compacted[dateKey] = compactDay(day);
+    }
+    const marker = compactBefore && (rescan || !compactedBefore || compactBefore > compactedBefore)
+      ? { compactedBefore: compactBefore }
+      : {};
+    if (Object.keys(compacted).length || Object.keys(marker).length) await saveDays(compacted, marker);
+  });
+}
+
+// ─── Timeline edits ─────────────────────────────────────────────────────────
+
+/**
+ * Applies an edit from the popup's block dialog (see lib/timeline-edits.js) in turn with
+ * the tracker's own writes, so a persist of today's running session cannot undo it.
+ * Resolves { ok: true } or { error } with a message for the dialog.
+ */
+async function editTimeline(dateKey, edit) {
+  if (IS_INCOGNITO_INSTANCE) return { error: 'Edit the timeline from a regular window.' };
+  const settings = await getSettings();
+  return serializeDayWrite(async () => {
+    const bounds = { ...getDayBounds(dateKey, settings.dayStartHour), now: Date.now() };
+    const result = applyTimelineEdit(await loadDay(dateKey), edit, bounds, settings.timeGranularityMs);
+    if (result.error) return { error: result.error };
+    await saveDays({ [dateKey]: result.day });
+    return { ok: true };
   });
 }
 
@@ -225,24 +891,28 @@ async function ensureAlarm() {
   if (!existing) {
     chrome.alarms.create(ALARM_PERSIST, { periodInMinutes: PERSIST_INTERVAL_MIN });
   }
+  if (!(await chrome.alarms.get(ALARM_RETENTION))) {
+    chrome.alarms.create(ALARM_RETENTION, { periodInMinutes: RETENTION_INTERVAL_MIN });
+  }
 }
 
 async function handleActiveTab(tabId, windowId) {
   // Recover from durable pending session when window is gone (SW restart / last incognito closed)
   if (!state.hasSession()) {
-    const stored = await chrome.storage.local.get({ _pendingSession: null });
-    const pending = stored._pendingSession;
+    const stored = await chrome.storage.local.get({ [PENDING_SESSION_KEY]: null });
+    const pending = stored[PENDING_SESSION_KEY];
     if (pending?.domain != null && pending?.start != null && pending?.windowId != null && pending.windowId !== windowId) {
       const pendingWindowGone = await chrome.windows.get(pending.windowId).then(() => false, () => true);
       if (pendingWindowGone) {
         await endSession({
           domain: pending.domain,
+          path: pending.path,
           start: pending.start,
           persistedAt: pending.persistedAt,
           tabIdToCheck: undefined,
           wasIncognito: pending.wasIncognito !== false
         });
-        await chrome.storage.local.set({ _pendingSession: null });
+        await chrome.storage.local.set({ [PENDING_SESSION_KEY]: null });
         state.focusedWindowId = windowId;
       }
     }
@@ -269,8 +939,12 @@ async function handleActiveTab(tabId, windowId) {
 
     if (tabId !== state.session?.tabId && state.hasSession() &&
         (hostname === state.session.domain || (hostname == null && tabStillLoading))) {
-      state.session.tabId = tabId;
-      return;
+      const { excludeDomains, pathRules } = await getSettings();
+      if (hostname == null ||
+          (shouldTrack(hostname, excludeDomains, url) && getPathKey(hostname, url, pathRules) === (state.session.path ?? null))) {
+        state.session.tabId = tabId;
+        return;
+      }
     }
 
     if (tabId !== state.session?.tabId) {
@@ -283,15 +957,25 @@ async function handleActiveTab(tabId, windowId) {
     } else {
       const w = stopTracking();
       if (w) await w;
-      if (!hostname) await chrome.storage.local.set({ currentSession: null });
+      if (!hostname) await chrome.storage.local.set({ [SESSION_KEY]: null });
     }
-  } catch {
+  } catch (err) {
+    journalError('handleActiveTab', err, { tabId, windowId });
     const w = stopTracking();
     if (w) await w;
-    await chrome.storage.local.set({ currentSession: null }).catch(() => {});
+    await chrome.storage.local.set({ [SESSION_KEY]: null }).catch(() => {});
   }
 }
 
+/** Tracks the active tab of the focused window, e.g. after a pause or when a schedule begins. */
+async function trackFocusedTab() {
+  const win = await chrome.windows.getLastFocused();
+  if (win?.id == null || win.focused === false) return;
+  state.focusedWindowId = win.id;
+  const [tab] = await chrome.tabs.query({ active: true, windowId: win.id });
+  if (tab) await handleActiveTab(tab.id, win.id);
+}
+
 async function handleWindowFocus(windowId) {
   if (windowId === chrome.windows.WINDOW_ID_NONE) {
     stopTracking();
@@ -310,18 +994,49 @@ async function handleWindowFocus(windowId) {
   try {
     const [tab] = await chrome.tabs.query({ active: true, windowId });
     if (tab) await handleActiveTab(tab.id, windowId);
-  } catch {
+  } catch (err) {
+    journalError('handleWindowFocus', err, { windowId });
     stopTracking();
   }
 }
 
+function isNeverIdleDomain(domain, settings) {
+  return settings.neverIdleDomains.length > 0 && isExcludedUrl(domain, null, settings.neverIdleDomains);
+}
+
+async function applyIdleDetectionInterval() {
+  const settings = await getSettings();
+  chrome.idle.setDetectionInterval(settings.idleThresholdSec);
+}
+
+/**
+ * "locked" stops tracking at once unless lockStopsImmediately is off, in which case it is
+ * handled like "idle": tracking continues on neverIdleDomains, and otherwise stops after
+ * the grace period (ALARM_IDLE_GRACE) or right away without one.
+ */
 async function onIdleStateChange(idleState) {
-  const nowIdle = idleState !== 'active';
-  if (nowIdle && !state.isIdle) {
+  if (idleState !== 'active') {
     state.isIdle = true;
-    stopTracking();
-  } else if (!nowIdle && state.isIdle) {
+    const settings = await getSettings();
+    if (idleState === 'locked' && settings.lockStopsImmediately) {
+      await chrome.alarms.clear(ALARM_IDLE_GRACE);
+      stopTracking('locked');
+      return;
+    }
+    if (state.hasSession() && isNeverIdleDomain(state.session.domain, settings)) return;
+    if (settings.idleGraceMinutes > 0) {
+      if (!(await chrome.alarms.get(ALARM_IDLE_GRACE))) {
+        chrome.alarms.create(ALARM_IDLE_GRACE, { when: Date.now() + settings.idleGraceMinutes * 60000 });
+      }
+      return;
+    }
+    stopTracking(idleState);
+  } else if (state.isIdle) {
     state.isIdle = false;
+    await chrome.alarms.clear(ALARM_IDLE_GRACE);
+    // Back within the grace period or on a never-idle site: the session never stopped, and
+    // starting it again would drop its time since the last persist.
+    if (state.hasSession()) return;
     try {
       const win = await chrome.windows.getLastFocused();
       if (win?.id != null) {
@@ -329,7 +1044,9 @@ async function onIdleStateChange(idleState) {
         const [tab] = await chrome.tabs.query({ active: true, windowId: win.id });
         if (tab) await handleActiveTab(tab.id, win.id);
       }
-    } catch {}
+    } catch (err) {
+      journalError('onIdleStateChange', err);
+    }
   }
 }
 
@@ -354,7 +1071,11 @@ async function onTabUpdated(tabId, changeInfo, tab) {
     stopTracking();
     return;
   }
-  if (hostname === state.session?.domain && tabId === state.session?.tabId) return;
+  if (hostname === state.session?.domain && tabId === state.session?.tabId) {
+    // Same site: keep the session unless the new path is excluded or falls under another path-rule key.
+    const { excludeDomains, pathRules } = await getSettings();
+    if (shouldTrack(hostname, excludeDomains, url) && getPathKey(hostname, url, pathRules) === (state.session.path ?? null)) return;
+  }
 
   const w = stopTracking();
   if (w) await w;
@@ -379,7 +1100,8 @@ async function reconcileWithCurrentTab() {
       if (w) await w;
       if (tab) await handleActiveTab(tab.id, state.focusedWindowId);
     }
-  } catch {
+  } catch (err) {
+    journalError('reconcileWithCurrentTab', err);
     stopTracking();
   }
 }
@@ -397,16 +1119,12 @@ async function onTabRemoved(tabId) {
       const [tab] = await chrome.tabs.query({ active: true, windowId: win.id });
       if (tab) await handleActiveTab(tab.id, win.id);
     }
-  } catch {}
+  } catch (err) {
+    journalError('onTabRemoved', err, { tabId });
+  }
 }
 
-// ─── Listener registration ──────────────────────────────────────────────────
-
-chrome.tabs.onActivated.addListener(onTabActivated);
-chrome.tabs.onUpdated.addListener(onTabUpdated);
-chrome.tabs.onRemoved.addListener(onTabRemoved);
-
-chrome.windows.onRemoved.addListener(async (windowId) => {
+async function onWindowRemoved(windowId) {
   if (state.incognitoWindowIds.has(windowId)) {
     state.incognitoWindowIds.delete(windowId);
     if (state.hasSession() &&
@@ -415,136 +1133,299 @@ chrome.windows.onRemoved.addListener(async (windowId) => {
       if (write) await write;
     }
   }
-});
+}
+
+// ─── Event journal ───────────────────────────────────────────────────────────
+// See lib/journal.js. Off unless settings.journalEnabled; the dashboard's Diagnostics
+// panel shows and exports it, and tests/replay.js replays an export against TrackerState.
+
+let journalEnabled = null; // null until read from settings
+let journalQueue = [];
+let journalWrite = Promise.resolve();
+let journalFlushTimer = null;
+
+/** Never in the incognito instance: the journal keeps page addresses. */
+async function isJournalEnabled() {
+  if (IS_INCOGNITO_INSTANCE) return false;
+  if (journalEnabled === null) journalEnabled = (await getSettings()).journalEnabled;
+  return journalEnabled;
+}
+
+/** Queues an entry; a burst of tab events is written to storage in one update. */
+function recordJournal(entry) {
+  journalQueue.push(entry);
+  clearTimeout(journalFlushTimer);
+  journalFlushTimer = setTimeout(flushJournal, 500);
+}
+
+function flushJournal() {
+  const entries = journalQueue;
+  journalQueue = [];
+  journalWrite = journalWrite.then(async () => {
+    const data = await chrome.storage.local.get({ [JOURNAL_KEY]: [] });
+    await chrome.storage.local.set({ [JOURNAL_KEY]: appendJournalEntries(data[JOURNAL_KEY], entries) });
+  }).catch(() => {});
+  return journalWrite;
+}
+
+/** Records an error a handler recovered from (it still recovers the same way). */
+function journalError(where, err, ids) {
+  isJournalEnabled().then(enabled => {
+    if (enabled) recordJournal({ at: Date.now(), type: 'error', where, ...ids, error: errorMessage(err) });
+  }, () => {});
+}
+
+/** The focused window's active tab as { windowId, tabId, url, incognito? }, or null. */
+async function observeActiveTab() {
+  const win = await chrome.windows.getLastFocused();
+  if (win?.id == null) return null;
+  const [tab] = await chrome.tabs.query({ active: true, windowId: win.id });
+  const active = { windowId: win.id, tabId: tab?.id ?? null, url: journalUrl(tab?.url) };
+  if (tab?.incognito) active.incognito = true;
+  return active;
+}
+
+/**
+ * Wraps an event handler so each event is journaled with the session change it caused.
+ * describe(...args) gives (or resolves to) the entry's ids, or null for events not worth
+ * keeping. The active tab is read before the handler runs so a replay can show it the
+ * same browser.
+ * With onlyChanges, events that kept the session and did not fail are left out.
+ */
+function journaled(type, handler, describe, { onlyChanges = false } = {}) {
+  return async (...args) => {
+    if (!(await isJournalEnabled())) return handler(...args);
+    const details = await describe(...args);
+    if (!details) return handler(...args);
+    const entry = { at: Date.now(), type, ...details };
+    entry.active = await observeActiveTab().catch(() => null);
+    const before = journalSessionRef(state.session);
+    try {
+      await handler(...args);
+    } catch (err) {
+      entry.error = errorMessage(err);
+      throw err;
+    } finally {
+      const session = describeSessionTransition(before, journalSessionRef(state.session));
+      if (session) entry.session = session;
+      if (!onlyChanges || session || entry.error) recordJournal(entry);
+    }
+  };
+}
 
-chrome.windows.onFocusChanged.addListener(handleWindowFocus);
-chrome.idle.onStateChanged.addListener(onIdleStateChange);
+// Runs on every persist alarm, so only the runs that changed something are kept.
+const journaledReconcile = journaled('reconcile', reconcileWithCurrentTab, () => ({}), { onlyChanges: true });
+const journaledPause = journaled('pause', pauseTracking, (option) => ({ option }));
+const journaledResume = journaled('resume', resumeTracking, () => ({}));
+const journaledSchedule = journaled('schedule', applyTrackingSchedule, () => ({}), { onlyChanges: true });
+
+// ─── Listener registration ──────────────────────────────────────────────────
+
+chrome.tabs.onActivated.addListener(journaled('tabActivated', onTabActivated, async ({ tabId, windowId }) => {
+  const tab = await chrome.tabs.get(tabId).catch(() => null);
+  return { tabId, windowId, url: journalUrl(tab?.url), incognito: tab?.incognito || undefined };
+}));
+// Only URL changes matter to tracking; title, favicon and loading updates are not journaled.
+chrome.tabs.onUpdated.addListener(journaled('tabUpdated', onTabUpdated,
+  (tabId, changeInfo, tab) => changeInfo.url !== undefined
+    ? { tabId, windowId: tab?.windowId, url: journalUrl(tab?.url || changeInfo.url), incognito: tab?.incognito || undefined }
+    : null));
+chrome.tabs.onRemoved.addListener(journaled('tabRemoved', onTabRemoved, (tabId) => ({ tabId })));
+chrome.windows.onRemoved.addListener(journaled('windowRemoved', onWindowRemoved, (windowId) => ({ windowId })));
+chrome.windows.onFocusChanged.addListener(journaled('windowFocus', handleWindowFocus, (windowId) => ({ windowId })));
+chrome.idle.onStateChanged.addListener(journaled('idle', onIdleStateChange, (idleState) => ({ idleState })));
+chrome.notifications.onButtonClicked.addListener(onReminderButton);
+
+// The passive set depends on audibility and on which tab is actively tracked.
+chrome.tabs.onUpdated.addListener((tabId, changeInfo) => {
+  if ('audible' in changeInfo || changeInfo.url) schedulePassiveSync();
+});
+chrome.tabs.onActivated.addListener(schedulePassiveSync);
+chrome.tabs.onRemoved.addListener(schedulePassiveSync);
+chrome.windows.onFocusChanged.addListener(schedulePassiveSync);
+chrome.idle.onStateChanged.addListener(schedulePassiveSync);
 
 chrome.alarms.onAlarm.addListener(async (alarm) => {
-  if (alarm.name !== ALARM_PERSIST) return;
+  if (alarm.name === ALARM_RETENTION) {
+    await applyRetention();
+    await recordGoalHistory();
+    return;
+  }
+  if (alarm.name === ALARM_IDLE_GRACE) {
+    // Ask again: the worker may have restarted since the idle event.
+    const settings = await getSettings();
+    const idleState = await chrome.idle.queryState(settings.idleThresholdSec);
+    if (idleState === 'active' || (state.hasSession() && isNeverIdleDomain(state.session.domain, settings))) return;
+    state.isIdle = true;
+    stopTracking(idleState);
+    return;
+  }
+  if (alarm.name === ALARM_PAUSE) {
+    await syncPause();
+    return;
+  }
+  if (alarm.name === ALARM_SCHEDULE) {
+    await journaledSchedule();
+    return;
+  }
+  if (alarm.name === ALARM_FOCUS) {
+    await syncFocusSession();
+    await enforceFocus();
+    return;
+  }
+  if (alarm.name !== ALARM_PERSIST && alarm.name !== ALARM_LIMIT) return;
   await persistRunningTotal();
-  await reconcileWithCurrentTab();
+  await updateBadge();
+  if (alarm.name === ALARM_PERSIST) {
+    await journaledReconcile();
+    await syncPassiveTabs();
+    await checkReminders();
+  }
+  await enforceLimits();
 });
 
-// ─── Storage sync (incognito bridge – kept for compatibility; service worker uses single partition) ───
-
-let lastProcessedSyncTimestamp = 0;
+// Set on every worker start and settings change so it always matches the setting.
+applyIdleDetectionInterval();
 chrome.storage.onChanged.addListener((changes, areaName) => {
-  if (areaName === 'local' && changes._incognitoSyncPending?.newValue) {
-    const syncMarker = changes._incognitoSyncPending.newValue;
-    const syncData = syncMarker.data;
-    const syncTimestamp = syncMarker.timestamp || 0;
-
-    if (syncTimestamp <= lastProcessedSyncTimestamp) return;
-    lastProcessedSyncTimestamp = syncTimestamp;
-
-    (async () => {
-      try {
-        const { days: incognitoDays, domainTags: incognitoDomainTags, tagList: incognitoTagList } = syncData;
-        const regularData = await chrome.storage.local.get(['days', 'domainTags', 'tagList']);
-        const regularDays = regularData.days || {};
-        const regularDomainTags = regularData.domainTags || {};
-        const regularTagList = regularData.tagList || [];
-
-        if (incognitoDays) {
-          for (const [dateKey, incognitoDay] of Object.entries(incognitoDays)) {
-            if (!regularDays[dateKey]) regularDays[dateKey] = { domains: {}, timeline: [] };
-            const regularDay = regularDays[dateKey];
-
-            for (const [domain, incognitoDomainData] of Object.entries(incognitoDay.domains || {})) {
-              if (!regularDay.domains[domain]) regularDay.domains[domain] = { ms: 0 };
-              regularDay.domains[domain].ms = (regularDay.domains[domain].ms || 0) + (incognitoDomainData.ms || 0);
-            }
-
-            if (incognitoDay.timeline) {
-              const existingBlocks = new Map();
-              (regularDay.timeline || []).forEach(block => {
-                existingBlocks.set(`${block.start}-${block.end}-${block.domain}`, block);
-              });
-              incognitoDay.timeline.forEach(block => {
-                const key = `${block.start}-${block.end}-${block.domain}`;
-                if (!existingBlocks.has(key)) existingBlocks.set(key, block);
-              });
-              regularDay.timeline = Array.from(existingBlocks.values()).sort((a, b) => (a.start || 0) - (b.start || 0));
-            }
-          }
-        }
-
-        if (incognitoDomainTags) Object.assign(regularDomainTags, incognitoDomainTags);
-
-        if (incognitoTagList && Array.isArray(incognitoTagList)) {
-          const tagSet = new Set(regularTagList);
-          incognitoTagList.forEach(tag => tagSet.add(tag));
-          const mergedTagList = Array.from(tagSet).sort();
-          await chrome.storage.local.set({
-            days: regularDays,
-            domainTags: regularDomainTags,
-            tagList: mergedTagList,
-            _incognitoSyncPending: null
-          });
-        } else {
-          await chrome.storage.local.set({
-            days: regularDays,
-            domainTags: regularDomainTags,
-            _incognitoSyncPending: null
-          });
-        }
-      } catch {}
-    })();
+  if (areaName === 'local' && changes.settings) {
+    applyIdleDetectionInterval();
+    schedulePassiveSync();
+    journalEnabled = changes.settings.newValue?.journalEnabled === true;
   }
+  if (areaName === 'local' && (changes.schedules || trackingScheduleSettingsChanged(changes.settings))) journaledSchedule();
+  if (areaName === 'local' && (changes.settings || changes.domainTags || changes.tagList || changes.limits)) updateBadge();
+});
+
+// ─── Incognito hand-off ──────────────────────────────────────────────────────
+// See lib/incognito-sync.js. Sessions in incognito windows are only recorded when
+// keepIncognitoData is on, so batches exist only then.
+
+let incognitoQueueChain = Promise.resolve();
+let incognitoMergeChain = Promise.resolve();
+
+/** Incognito instance: appends recorded days, with the tags of their sites, to the hand-off queue. */
+function queueIncognitoBatch(days, extraItems) {
+  const run = incognitoQueueChain.then(async () => {
+    if (!Object.keys(days).length) {
+      if (extraItems) await chrome.storage.local.set(extraItems);
+      return;
+    }
+    const stored = await chrome.storage.local.get([INCOGNITO_SYNC_KEY, INCOGNITO_SYNC_APPLIED_KEY, 'domainTags']);
+    const storedTags = stored.domainTags || {};
+    const domains = new Set(Object.values(days).flatMap(d => [...Object.keys(d.domains || {}), ...Object.keys(d.passive?.domains || {})]));
+    const domainTags = {};
+    for (const domain of domains) {
+      if (storedTags[domain]) domainTags[domain] = storedTags[domain];
+    }
+    const batch = {
+      id: crypto.randomUUID(),
+      createdAt: Date.now(),
+      days,
+      domainTags,
+      tagList: [...new Set(Object.values(domainTags).flat())]
+    };
+    await chrome.storage.local.set({
+      ...(extraItems || {}),
+      [INCOGNITO_SYNC_KEY]: appendSyncBatch(stored[INCOGNITO_SYNC_KEY], stored[INCOGNITO_SYNC_APPLIED_KEY], batch)
+    });
+  });
+  incognitoQueueChain = run.catch(() => {});
+  return run;
+}
+
+/**
+ * Regular instance: merges queued batches that were not merged yet. The days, tags, applied
+ * ids and tag conflicts are saved in one write, so a batch is never half-merged or merged twice.
+ */
+function mergeIncognitoBatches() {
+  const run = incognitoMergeChain.then(() => serializeDayWrite(async () => {
+    const stored = await chrome.storage.local.get([
+      INCOGNITO_SYNC_KEY, INCOGNITO_SYNC_APPLIED_KEY, INCOGNITO_TAG_CONFLICTS_KEY, 'domainTags', 'tagList'
+    ]);
+    const appliedIds = stored[INCOGNITO_SYNC_APPLIED_KEY] || [];
+    const batches = readSyncQueue(stored[INCOGNITO_SYNC_KEY]).filter(b => !appliedIds.includes(b.id));
+    if (!batches.length) return;
+    const dateKeys = [...new Set(batches.flatMap(b => Object.keys(b.days || {})))];
+    const result = mergeSyncBatches(
+      { days: await loadDays(dateKeys), domainTags: stored.domainTags, tagList: stored.tagList },
+      batches,
+      appliedIds
+    );
+    await saveDays(result.days, {
+      domainTags: result.domainTags,
+      tagList: result.tagList,
+      [INCOGNITO_SYNC_APPLIED_KEY]: result.appliedIds,
+      ...(result.conflicts.length
+        ? { [INCOGNITO_TAG_CONFLICTS_KEY]: addSyncConflicts(stored[INCOGNITO_TAG_CONFLICTS_KEY], result.conflicts, Date.now()) }
+        : {})
+    });
+  }));
+  incognitoMergeChain = run.catch(err => console.error('Error merging incognito data:', err));
+  return run;
+}
+
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName === 'local' && changes[INCOGNITO_SYNC_KEY]?.newValue && !IS_INCOGNITO_INSTANCE) mergeIncognitoBatches();
 });
 
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
-  if (message.type === 'SYNC_INCOGNITO_TO_REGULAR') {
-    (async () => {
-      try {
-        const { days: incognitoDays, domainTags: incognitoDomainTags, tagList: incognitoTagList } = message.data;
-        const regularData = await chrome.storage.local.get(['days', 'domainTags', 'tagList']);
-        const regularDays = regularData.days || {};
-        const regularDomainTags = regularData.domainTags || {};
-        const regularTagList = regularData.tagList || [];
-
-        if (incognitoDays) {
-          for (const [dateKey, incognitoDay] of Object.entries(incognitoDays)) {
-            if (!regularDays[dateKey]) regularDays[dateKey] = { domains: {}, timeline: [] };
-            const regularDay = regularDays[dateKey];
-
-            for (const [domain, incognitoDomainData] of Object.entries(incognitoDay.domains || {})) {
-              if (!regularDay.domains[domain]) regularDay.domains[domain] = { ms: 0 };
-              regularDay.domains[domain].ms = (regularDay.domains[domain].ms || 0) + (incognitoDomainData.ms || 0);
-            }
-
-            if (incognitoDay.timeline) {
-              regularDay.timeline = (regularDay.timeline || []).concat(incognitoDay.timeline);
-              regularDay.timeline.sort((a, b) => (a.start || 0) - (b.start || 0));
-            }
-          }
-        }
-
-        if (incognitoDomainTags) Object.assign(regularDomainTags, incognitoDomainTags);
-
-        if (incognitoTagList && Array.isArray(incognitoTagList)) {
-          const tagSet = new Set(regularTagList);
-          incognitoTagList.forEach(tag => tagSet.add(tag));
-          const mergedTagList = Array.from(tagSet).sort();
-          await chrome.storage.local.set({ days: regularDays, domainTags: regularDomainTags, tagList: mergedTagList });
-        } else {
-          await chrome.storage.local.set({ days: regularDays, domainTags: regularDomainTags });
-        }
-      } catch (err) {
-        console.error('Error syncing incognito data to regular storage:', err);
-      }
-    })();
+  if (message.type === 'GET_LIMIT_STATUS') {
+    getLimitStatus(message.domain).then(sendResponse, () => sendResponse(null));
+    return true;
+  }
+  if (message.type === 'EXTEND_LIMIT') {
+    extendLimit(message.limitId).then(() => sendResponse({ ok: true }), () => sendResponse({ ok: false }));
+    return true;
+  }
+  if (message.type === 'START_FOCUS') {
+    startFocus(message.options).then(() => sendResponse({ ok: true }), () => sendResponse({ ok: false }));
+    return true;
+  }
+  if (message.type === 'STOP_FOCUS') {
+    stopFocus().then(() => sendResponse({ ok: true }), () => sendResponse({ ok: false }));
+    return true;
+  }
+  if (message.type === 'PAUSE_TRACKING') {
+    journaledPause(message.option).then(() => sendResponse({ ok: true }), () => sendResponse({ ok: false }));
     return true;
   }
+  if (message.type === 'RESUME_TRACKING') {
+    journaledResume().then(() => sendResponse({ ok: true }), () => sendResponse({ ok: false }));
+    return true;
+  }
+  if (message.type === 'EDIT_TIMELINE') {
+    editTimeline(message.dateKey, message.edit).then(sendResponse, () => sendResponse({ error: 'The edit could not be saved.' }));
+    return true;
+  }
+  if (message.type === 'APPLY_RETENTION') {
+    applyRetention(message.rescan === true).then(() => sendResponse({ ok: true }), () => sendResponse({ ok: false }));
+    return true;
+  }
+});
+
+// Shortcuts are declared under "commands" in manifest.json.
+const PAUSE_COMMANDS = { 'pause-15-minutes': '15m', 'pause-1-hour': '1h', 'pause-until-tomorrow': 'tomorrow' };
+
+chrome.commands.onCommand.addListener(async (command) => {
+  if (command === 'toggle-pause') await togglePause('indefinite');
+  else if (PAUSE_COMMANDS[command]) await journaledPause(PAUSE_COMMANDS[command]);
 });
 
 // ─── Startup / install ──────────────────────────────────────────────────────
 
 chrome.runtime.onStartup.addListener(async () => {
   state.reset();
-  await chrome.storage.local.set({ currentSession: null });
+  // The day keys and their index belong to the regular instance.
+  if (!IS_INCOGNITO_INSTANCE) await migrateDayStorage();
+  await chrome.storage.local.set({ [SESSION_KEY]: null });
+  await closeStalePassiveSessions();
   await ensureAlarm();
+  await applyRetention();
+  await recordGoalHistory();
+  await syncFocusSession();
+  await syncPause();
+  await syncScheduleAlarm(await getSettings());
+  if (!IS_INCOGNITO_INSTANCE) await mergeIncognitoBatches();
   try {
     const win = await chrome.windows.getLastFocused();
     if (win?.id != null) {
@@ -556,15 +1437,25 @@ chrome.runtime.onStartup.addListener(async () => {
 });
 
 chrome.runtime.onInstalled.addListener(async () => {
+  // Split a legacy single "days" object before anything else writes a day.
+  if (!IS_INCOGNITO_INSTANCE) await migrateDayStorage();
   await ensureAlarm();
-  const data = await chrome.storage.local.get({ days: {}, settings: {}, domainTags: {}, tagList: [] });
+  const data = await chrome.storage.local.get({ settings: {}, domainTags: {}, tagList: [], limits: [], tagRules: [] });
   const updates = {};
   if (!data.settings || typeof data.settings.timeGranularityMs !== 'number') {
     updates.settings = { excludeDomains: [], timeGranularityMs: DEFAULT_GRANULARITY_MS };
   }
-  if (!Array.isArray(data.tagList) || data.tagList.length === 0) updates.tagList = ['Social', 'Study', 'Work'];
+  if (!Array.isArray(data.tagList) || data.tagList.length === 0) updates.tagList = normalizeTagList(['Social', 'Study', 'Work']);
+  // Older versions stored plain tag names; existing names keep their badge colors.
+  else if (needsTagListMigration(data.tagList)) updates.tagList = normalizeTagList(data.tagList);
   if (!data.domainTags || typeof data.domainTags !== 'object') updates.domainTags = {};
+  if (!Array.isArray(data.limits)) updates.limits = [];
+  if (!Array.isArray(data.tagRules)) updates.tagRules = [];
   if (Object.keys(updates).length) await chrome.storage.local.set(updates);
+  await applyRetention();
+  await syncScheduleAlarm(await getSettings());
+  // Picks up batches from before an update, including the old single-marker format.
+  if (!IS_INCOGNITO_INSTANCE) await mergeIncognitoBatches();
 
   try {
     const win = await chrome.windows.getLastFocused();
@@ -0,0 +1,64 @@
+/**
+ * Website Time Tracker - Block page
+ * Shown in place of a site whose daily limit is used up, or a distracting site
+ * during a focus session that blocks them.
+ */
+
+const params = new URLSearchParams(location.search);
+const blockedDomain = params.get('domain') || '';
+const blockedLimitId = params.get('limit') || '';
+const returnUrl = params.get('url') || '';
+const isFocusBlock = params.get('reason') === 'focus';
+
+function describeLimit(limit) {
+  if (!limit) return '';
+  return limit.kind === 'tag' ? `tag "${limit.target}"` : limit.target;
+}
+
+async function render() {
+  const { settings = {} } = await chrome.storage.local.get('settings');
+  document.documentElement.dataset.theme = settings.theme === 'light' ? 'light' : 'dark';
+  document.getElementById('blockedDomain').textContent = blockedDomain;
+  if (isFocusBlock) {
+    await renderFocusBlock();
+    return;
+  }
+  const status = await chrome.runtime.sendMessage({ type: 'GET_LIMIT_STATUS', domain: blockedDomain }).catch(() => null);
+  const usage = document.getElementById('blockedUsage');
+  if (status) {
+    usage.textContent = `${formatMs(status.usedMs)} used today of ${formatMs(status.allowedMs)} allowed for ${describeLimit(status.limit)}.`;
+  } else {
+    usage.textContent = 'The limit for this site has changed. You can go back to it.';
+  }
+}
+
+async function renderFocusBlock() {
+  document.title = 'Focus session';
+  document.getElementById('blockedTitle').textContent = 'Focus session';
+  document.getElementById('btnMoreTime').hidden = true;
+  document.getElementById('blockedHint').textContent =
+    'Sites with a distracting tag are blocked while you focus. You can stop the session from the popup.';
+  const { focusSession = null } = await chrome.storage.local.get('focusSession');
+  const usage = document.getElementById('blockedUsage');
+  if (focusSession?.phase === 'focus' && focusSession.phaseEndsAt > Date.now()) {
+    const ends = new Date(focusSession.phaseEndsAt).toLocaleTimeString(undefined, { hour: '2-digit', minute: '2-digit' });
+    usage.textContent = `This focus phase ends at ${ends}.`;
+  } else {
+    usage.textContent = 'The focus phase is over. You can go back to the site.';
+    document.getElementById('btnBack').hidden = false;
+  }
+}
+
+document.getElementById('btnBack').addEventListener('click', () => {
+  if (/^https?:\/\//.test(returnUrl)) location.replace(returnUrl);
+});
+
+document.getElementById('btnMoreTime').addEventListener('click', async () => {
+  if (blockedLimitId) {
+    await chrome.runtime.sendMessage({ type: 'EXTEND_LIMIT', limitId: blockedLimitId }).catch(() => null);
+  }
+  // Only send the user back to web pages; anything else stays on the block page.
+  if (/^https?:\/\//.test(returnUrl)) location.replace(returnUrl);
+});
+
+render();
@@ -0,0 +1,410 @@
+/**
+ * Website Time Tracker - Dashboard
+ * Full-page view (the extension's options page): stacked bars per day by site or tag,
+ * a sortable table of sites over the range, the tag editor and the tracker event journal
+ * (Diagnostics, see lib/journal.js).
+ * Day data is read through lib/aggregate.js, the same code the popup uses.
+ */
+
+const CHART_COLORS = [
+  '#7aa2f7', '#bb9af7', '#9ece6a', '#e0af68', '#f7768e',
+  '#2ac3de', '#ff9e64', '#73daca', '#c0caf5', '#565f89'
+];
+const OTHER_COLOR = '#3b4261';
+const CHART_TOP_KEYS = 8;
+const CHART_HEIGHT = 280;
+const CHART_AXIS_WIDTH = 56;
+const CHART_LABEL_HEIGHT = 24;
+
+let rangeMode = '30';       // number of days ending today, or 'custom'
+let customFromKey = null;
+let customToKey = null;
+let chartView = 'domains';
+let sortKey = 'ms';
+let sortAscending = false;
+let dayStartHour = 0;       // from settings; see lib/dates.js
+let cachedDays = {};        // only the days in the selected range, keyed by date
+let cachedDomainTags = {};
+let cachedTagList = [];
+let cachedGrouping = { groupByRegistrableDomain: false, domainAliases: [] };
+let editingDomain = null;   // table row whose tags are being edited
+
+function getTodayKey() {
+  return getDateKeyAt(Date.now(), dayStartHour);
+}
+
+function getRangeDateKeys() {
+  return getRangeKeys(rangeMode, getTodayKey(), customFromKey, customToKey);
+}
+
+/**
+ * The range's largest keys get their own color (a tag's own color in the tag view);
+ * the rest are stacked as "Other".
+ */
+function getChartSeries(breakdown) {
+  const totals = {};
+  for (const { values } of breakdown) {
+    for (const [key, ms] of Object.entries(values)) totals[key] = (totals[key] || 0) + ms;
+  }
+  const sorted = Object.entries(totals).sort((a, b) => b[1] - a[1]);
+  const series = sorted.slice(0, CHART_TOP_KEYS).map(([key, ms], i) => ({
+    key,
+    ms,
+    color: (chartView === 'tags' && getTagColor(cachedTagList, key)) || CHART_COLORS[i % CHART_COLORS.length]
+  }));
+  const otherMs = sorted.slice(CHART_TOP_KEYS).reduce((s, [, ms]) => s + ms, 0);
+  if (otherMs > 0) series.push({ key: 'Other', ms: otherMs, color: OTHER_COLOR, other: true });
+  return series;
+}
+
+function renderChart(dateKeys) {
+  const canvas = document.getElementById('chartCanvas');
+  const placeholder = document.getElementById('chartPlaceholder');
+  const legendEl = document.getElementById('chartLegend');
+  legendEl.innerHTML = '';
+  const breakdown = getDailyBreakdown(cachedDays, dateKeys, chartView, cachedDomainTags, cachedGrouping);
+  const series = getChartSeries(breakdown);
+  if (!series.length) {
+    placeholder.classList.remove('hidden');
+    canvas.style.display = 'none';
+    return;
+  }
+  placeholder.classList.add('hidden');
+  canvas.style.display = 'block';
+
+  const namedKeys = new Set(series.filter(s => !s.other).map(s => s.key));
+  const stacks = breakdown.map(({ dateKey, values }) => {
+    const parts = series.filter(s => !s.other).map(s => ({ color: s.color, ms: values[s.key] || 0 }));
+    const otherMs = Object.entries(values).reduce((sum, [key, ms]) => sum + (namedKeys.has(key) ? 0 : ms), 0);
+    if (otherMs > 0) parts.push({ color: OTHER_COLOR, ms: otherMs });
+    return { dateKey, parts, ms: parts.reduce((s, p) => s + p.ms, 0) };
+  });
+  const maxMs = Math.max(...stacks.map(s => s.ms), 60000);
+
+  const ctx = canvas.getContext('2d');
+  const dpr = window.devicePixelRatio || 1;
+  const width = canvas.parentElement.clientWidth;
+  canvas.width = width * dpr;
+  canvas.height = CHART_HEIGHT * dpr;
+  canvas.style.width = width + 'px';
+  canvas.style.height = CHART_HEIGHT + 'px';
+  ctx.scale(dpr, dpr);
+
+  const styles = getComputedStyle(document.documentElement);
+  const mutedColor = styles.getPropertyValue('--text-muted').trim();
+  const borderColor = styles.getPropertyValue('--border').trim();
+  const plotWidth = width - CHART_AXIS_WIDTH;
+  const plotHeight = CHART_HEIGHT - CHART_LABEL_HEIGHT;
+  ctx.font = '11px ' + styles.getPropertyValue('--font');
+  ctx.textBaseline = 'middle';
+
+  for (let i = 0; i <= 4; i++) {
+    const y = plotHeight - (plotHeight * i) / 4;
+    ctx.strokeStyle = borderColor;
+    ctx.beginPath();
+    ctx.moveTo(CHART_AXIS_WIDTH, y + 0.5);
+    ctx.lineTo(width, y + 0.5);
+    ctx.stroke();
+    ctx.fillStyle = mutedColor;
+    ctx.textAlign = 'right';
+    ctx.fillText(formatMs((maxMs * i) / 4), CHART_AXIS_WIDTH - 6, Math.max(y, 6));
+  }
+
+  const slot = plotWidth / stacks.length;
+  const barWidth = Math.max(1, Math.min(40, slot * 0.7));
+  // Keep day labels from overlapping on long ranges.
+  const labelEvery = Math.ceil(stacks.length / Math.max(1, Math.floor(plotWidth / 80)));
+  stacks.forEach((stack, i) => {
+    const x = CHART_AXIS_WIDTH + i * slot + (slot - barWidth) / 2;
+    let y = plotHeight;
+    for (const part of stack.parts) {
+      const h = (part.ms / maxMs) * plotHeight;
+      ctx.fillStyle = part.color;
+      ctx.fillRect(x, y - h, barWidth, h);
+      y -= h;
+    }
+    if (i % labelEvery === 0) {
+      ctx.fillStyle = mutedColor;
+      ctx.textAlign = 'center';
+      ctx.fillText(formatDayLabel(stack.dateKey), x + barWidth / 2, plotHeight + CHART_LABEL_HEIGHT / 2);
+    }
+  });
+
+  for (const s of series) {
+    const item = document.createElement('div');
+    item.className = 'chart-legend-item';
+    item.innerHTML = `<span class="chart-legend-swatch" style="background:${s.color}"></span><span>${escapeHtml(s.key)} · ${formatMs(s.ms)}</span>`;
+    legendEl.appendChild(item);
+  }
+}
+
+function compareRows(a, b) {
+  const order = sortKey === 'domain' ? a.domain.localeCompare(b.domain) : a[sortKey] - b[sortKey];
+  return sortAscending ? order : -order;
+}
+
+function renderTagEditor(cell, domain, tags) {
+  if (!cachedTagList.length) {
+    cell.innerHTML = '<span class="field-hint">Add tags below first.</span>';
+    return;
+  }
+  cell.innerHTML = getTagNames(cachedTagList).map(tag => `
+    <label class="checkbox-label"><input type="checkbox" data-tag="${escapeHtml(tag)}"${tags.includes(tag) ? ' checked' : ''}><span>${escapeHtml(tag)}</span></label>
+  `).join('') + `<button type="button" class="btn primary btn-tags-save" data-domain="${escapeHtml(domain)}">Save</button>`;
+}
+
+function renderTable(dateKeys) {
+  const rows = summarizeDomains(cachedDays, dateKeys, cachedGrouping).sort(compareRows);
+  const body = document.getElementById('domainTableBody');
+  body.innerHTML = '';
+  document.getElementById('tablePlaceholder').classList.toggle('hidden', rows.length > 0);
+  document.getElementById('domainTable').hidden = rows.length === 0;
+  document.querySelectorAll('#domainTable th[data-sort]').forEach(th => {
+    th.classList.toggle('sorted', th.dataset.sort === sortKey);
+    th.classList.toggle('ascending', th.dataset.sort === sortKey && sortAscending);
+  });
+  for (const row of rows) {
+    const tags = getTagsForDomain(row.domain, cachedDomainTags, cachedGrouping);
+    const tr = document.createElement('tr');
+    tr.innerHTML = `
+      <td class="domain-cell">${escapeHtml(row.domain)}</td>
+      <td class="tags-cell"></td>
+      <td class="num">${formatMs(row.ms)}</td>
+      <td class="num">${formatMs(row.avgMs)}</td>
+      <td class="num">${row.activeDays} / ${dateKeys.length}</td>
+      <td class="num">${(row.share * 100).toFixed(1)}%</td>
+    `;
+    const cell = tr.querySelector('.tags-cell');
+    if (editingDomain === row.domain) {
+      renderTagEditor(cell, row.domain, tags);
+    } else {
+      cell.innerHTML = tags.map(t => {
+        const color = getTagColor(cachedTagList, t);
+        return `<span class="tag-pill"${color ? ` style="--tag-color:${color}"` : ''}>${escapeHtml(t)}</span>`;
+      }).join('') +
+        `<button type="button" class="btn-tags-edit" data-domain="${escapeHtml(row.domain)}">${tags.length ? 'Edit' : '+ Tags'}</button>`;
+    }
+    body.appendChild(tr);
+  }
+  const total = rows.reduce((s, r) => s + r.ms, 0);
+  document.getElementById('rangeTotal').textContent = total ? `${formatMs(total)} over ${dateKeys.length} days` : '';
+}
+
+/** Nested tags are indented under their parent. */
+function renderTagList() {
+  const list = document.getElementById('tagList');
+  list.innerHTML = '';
+  for (const { name, color } of cachedTagList) {
+    const li = document.createElement('li');
+    li.innerHTML = `
+      <span class="tag-list-label" style="padding-left:${getParentTags(name).length * 16}px">
+        <input type="color" class="tag-color-input" value="${color}" data-tag="${escapeHtml(name)}" aria-label="Color of ${escapeHtml(name)}">
+        <span class="tag-name" title="${escapeHtml(name)}">${escapeHtml(getTagLeafName(name))}</span>
+      </span>
+      <button type="button" class="btn-tag-delete" data-tag="${escapeHtml(name)}">Delete</button>`;
+    list.appendChild(li);
+  }
+  const select = document.getElementById('renameTagFrom');
+  const selected = select.value;
+  select.innerHTML = '';
+  for (const { name } of cachedTagList) {
+    const option = document.createElement('option');
+    option.value = name;
+    option.textContent = name;
+    select.appendChild(option);
+  }
+  if (cachedTagList.some(t => t.name === selected)) select.value = selected;
+}
+
+function formatJournalTime(at) {
+  return new Date(at).toLocaleString(undefined, { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit', second: '2-digit' });
+}
+
+/** Newest entries first. */
+async function renderJournal() {
+  const { [JOURNAL_KEY]: journal = [], settings = {} } = await chrome.storage.local.get([JOURNAL_KEY, 'settings']);
+  document.getElementById('journalEnabled').checked = settings.journalEnabled === true;
+  const tbody = document.getElementById('journalTableBody');
+  tbody.innerHTML = '';
+  for (const entry of [...journal].reverse()) {
+    const tr = document.createElement('tr');
+    tr.innerHTML = `<td class="journal-time">${escapeHtml(formatJournalTime(entry.at))}</td>` +
+      `<td>${escapeHtml(formatJournalEvent(entry))}${entry.url ? `<br>${escapeHtml(entry.url)}` : ''}</td>` +
+      `<td>${escapeHtml(formatJournalTransition(entry))}</td>` +
+      `<td class="journal-error">${escapeHtml(entry.error || '')}</td>`;
+    tbody.appendChild(tr);
+  }
+  document.getElementById('journalTable').hidden = journal.length === 0;
+  document.getElementById('journalPlaceholder').classList.toggle('hidden', journal.length > 0);
+}
+
+function render() {
+  const dateKeys = getRangeDateKeys();
+  renderChart(dateKeys);
+  renderTable(dateKeys);
+  renderTagList();
+}
+
+async function loadAndRender() {
+  const { domainTags = {}, tagList = [], settings = {} } = await chrome.storage.local.get(['domainTags', 'tagList', 'settings']);
+  document.documentElement.dataset.theme = settings.theme === 'light' ? 'light' : 'dark';
+  dayStartHour = normalizeDayStartHour(settings.dayStartHour);
+  cachedGrouping = getGrouping(settings);
+  cachedDomainTags = domainTags || {};
+  cachedTagList = normalizeTagList(tagList);
+  cachedDays = await loadDays(getRangeDateKeys());
+  render();
+}
+
+document.getElementById('rangeSelect').addEventListener('change', (e) => {
+  rangeMode = e.target.value;
+  const custom = rangeMode === 'custom';
+  document.getElementById('rangeFromLabel').hidden = !custom;
+  document.getElementById('rangeToLabel').hidden = !custom;
+  if (custom && !customFromKey) {
+    const from = dateFromKey(getTodayKey());
+    from.setDate(from.getDate() - 13);
+    customFromKey = formatDateKey(from);
+    customToKey = getTodayKey();
+    document.getElementById('rangeFrom').value = customFromKey;
+    document.getElementById('rangeTo').value = customToKey;
+  }
+  loadAndRender();
+});
+
+for (const id of ['rangeFrom', 'rangeTo']) {
+  document.getElementById(id).addEventListener('change', () => {
+    const from = document.getElementById('rangeFrom').value;
+    const to = document.getElementById('rangeTo').value;
+    if (!from || !to) return;
+    // A reversed range is swapped rather than shown empty.
+    [customFromKey, customToKey] = from <= to ? [from, to] : [to, from];
+    loadAndRender();
+  });
+}
+
+document.querySelectorAll('[data-chart-view]').forEach(btn => {
+  btn.addEventListener('click', () => {
+    chartView = btn.dataset.chartView;
+    document.querySelectorAll('[data-chart-view]').forEach(b => b.classList.toggle('active', b === btn));
+    renderChart(getRangeDateKeys());
+  });
+});
+
+document.querySelector('#domainTable thead').addEventListener('click', (e) => {
+  const th = e.target.closest('th[data-sort]');
+  if (!th) return;
+  if (th.dataset.sort === sortKey) {
+    sortAscending = !sortAscending;
+  } else {
+    sortKey = th.dataset.sort;
+    sortAscending = sortKey === 'domain';
+  }
+  renderTable(getRangeDateKeys());
+});
+
+document.getElementById('domainTableBody').addEventListener('click', async (e) => {
+  const editBtn = e.target.closest('.btn-tags-edit');
+  if (editBtn) {
+    editingDomain = editBtn.dataset.domain;
+    renderTable(getRangeDateKeys());
+    return;
+  }
+  const saveBtn = e.target.closest('.btn-tags-save');
+  if (!saveBtn) return;
+  const selected = [...saveBtn.parentElement.querySelectorAll('input:checked')].map(c => c.dataset.tag);
+  const update = setDomainTags(await chrome.storage.local.get(['domainTags', 'autoTaggedDomains']), saveBtn.dataset.domain, selected);
+  editingDomain = null;
+  await chrome.storage.local.set(update);
+  cachedDomainTags = update.domainTags;
+  renderTable(getRangeDateKeys());
+});
+
+async function addTagFromInput() {
+  const input = document.getElementById('newTagName');
+  const update = addTag(await chrome.storage.local.get('tagList'), input.value);
+  if (!update) return;
+  input.value = '';
+  await chrome.storage.local.set(update);
+}
+document.getElementById('btnAddTag').addEventListener('click', () => addTagFromInput());
+document.getElementById('newTagName').addEventListener('keydown', (e) => {
+  if (e.key === 'Enter') {
+    e.preventDefault();
+    addTagFromInput();
+  }
+});
+
+document.getElementById('tagList').addEventListener('click', async (e) => {
+  const btn = e.target.closest('.btn-tag-delete');
+  if (!btn?.dataset.tag) return;
+  const tag = btn.dataset.tag;
+  const nested = cachedTagList.some(t => t.name !== tag && isTagOrChild(t.name, tag));
+  if (!confirm(`Delete tag "${tag}"${nested ? ' and the tags nested under it' : ''}? This will remove it from all sites.`)) return;
+  await chrome.storage.local.set(removeTag(await chrome.storage.local.get(TAG_STORAGE_KEYS), tag));
+});
+document.getElementById('tagList').addEventListener('change', async (e) => {
+  const input = e.target.closest('.tag-color-input');
+  if (!input) return;
+  const update = setTagColor(await chrome.storage.local.get('tagList'), input.dataset.tag, input.value);
+  if (update) await chrome.storage.local.set(update);
+});
+
+/** Renames the chosen tag, or merges it into the tag named when that tag exists. */
+async function renameTagFromInput() {
+  const input = document.getElementById('renameTagTo');
+  const items = await chrome.storage.local.get(TAG_STORAGE_KEYS);
+  const result = renameOrMergeTag(items, document.getElementById('renameTagFrom').value, input.value);
+  if (result.error) {
+    alert(result.error);
+    return;
+  }
+  if (!result.update || (result.confirm && !confirm(result.confirm))) return;
+  input.value = '';
+  await chrome.storage.local.set(result.update);
+}
+document.getElementById('btnRenameTag').addEventListener('click', () => renameTagFromInput());
+document.getElementById('renameTagTo').addEventListener('keydown', (e) => {
+  if (e.key === 'Enter') {
+    e.preventDefault();
+    renameTagFromInput();
+  }
+});
+
+document.getElementById('journalEnabled').addEventListener('change', async (e) => {
+  const { settings = {} } = await chrome.storage.local.get('settings');
+  await chrome.storage.local.set({ settings: { ...settings, journalEnabled: e.target.checked } });
+});
+
+// The settings and schedules go along so tests/replay.js can replay the events with the same
+// exclusions, path rules and tracking hours.
+document.getElementById('btnExportJournal').addEventListener('click', async () => {
+  const { [JOURNAL_KEY]: entries = [], settings = {}, schedules = [] } =
+    await chrome.storage.local.get([JOURNAL_KEY, 'settings', 'schedules']);
+  const data = { exportedAt: new Date().toISOString(), settings, schedules, entries };
+  downloadFile(`website-time-tracker-journal-${getTodayKey()}.json`, JSON.stringify(data, null, 2), 'application/json');
+});
+
+document.getElementById('btnClearJournal').addEventListener('click', async () => {
+  if (!confirm('Clear all recorded tracker events?')) return;
+  await chrome.storage.local.remove(JOURNAL_KEY);
+});
+
+// Storage changes (tracking in the background, edits here or in the popup) re-render the page.
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area !== 'local') return;
+  if (changes[JOURNAL_KEY] || changes.settings) renderJournal();
+  const rangeKeys = new Set(getRangeDateKeys());
+  if (changes.settings || changes.domainTags || changes.tagList || changedDateKeys(changes).some(k => rangeKeys.has(k))) {
+    loadAndRender();
+  }
+});
+
+let resizeTimer = null;
+window.addEventListener('resize', () => {
+  clearTimeout(resizeTimer);
+  resizeTimer = setTimeout(() => renderChart(getRangeDateKeys()), 150);
+});
+
+loadAndRender();
+renderJournal();
@@ -0,0 +1,250 @@
+/**
+ * Website Time Tracker - Day data and aggregation
+ * Shared by the popup and the dashboard (<script>).
+ * Load lib/domains.js, lib/retention.js and lib/tag-list.js first.
+ *
+ * Stored days are read through getDayData, which also lists compacted hourly buckets
+ * as timeline blocks. Totals are active time only; passive time stays under passive.
+ */
+
+const aggregateDeps = typeof hourlyToBlocks === 'function'
+  ? { hourlyToBlocks, timelineBlockMs, compactTimeline, getTagsForDomain, getDomainGroupKey, groupDayData, withParentTags, TAG_SEPARATOR }
+  : { ...require('./retention.js'), ...require('./domains.js'), ...require('./tag-list.js') };
+
+/** A day's active domains and timeline; passive (audible-tab) time is kept apart under passive. */
+function getDayData(days, dateKey) {
+  const day = days?.[dateKey];
+  if (!day || !day.domains) return { domains: {}, timeline: [], passive: { domains: {}, timeline: [] } };
+  const passive = day.passive || {};
+  return {
+    domains: day.domains,
+    timeline: [...(day.timeline || []), ...aggregateDeps.hourlyToBlocks(day.hourly)],
+    passive: { domains: passive.domains || {}, timeline: [...(passive.timeline || []), ...aggregateDeps.hourlyToBlocks(passive.hourly)] }
+  };
+}
+
+/** Adds each domain's ms (and path sub-keys) into totals; returns the ms added. */
+function addDomainTotals(totals, domains) {
+  let added = 0;
+  for (const [domain, data] of Object.entries(domains)) {
+    const ms = data.ms || 0;
+    if (!totals[domain]) totals[domain] = { ms: 0 };
+    totals[domain].ms += ms;
+    added += ms;
+    for (const [path, p] of Object.entries(data.paths || {})) {
+      if (!totals[domain].paths) totals[domain].paths = {};
+      totals[domain].paths[path] = { ms: (totals[domain].paths[path]?.ms || 0) + (p.ms || 0) };
+    }
+  }
+  return added;
+}
+
+/**
+ * Sums domains and concatenates timelines over several days.
+ * perDay holds each day's total so days inside the range can be compared.
+ * Passive time is summed separately and never counts toward the totals.
+ */
+function aggregateDays(days, dateKeys) {
+  const domains = {};
+  const timeline = [];
+  const perDay = [];
+  const passive = { domains: {}, timeline: [] };
+  for (const dateKey of dateKeys) {
+    const day = getDayData(days, dateKey);
+    const dayMs = addDomainTotals(domains, day.domains);
+    timeline.push(...day.timeline);
+    perDay.push({ dateKey, ms: dayMs });
+    addDomainTotals(passive.domains, day.passive.domains);
+    passive.timeline.push(...day.passive.timeline);
+  }
+  return { domains, timeline, perDay, passive };
+}
+
+/** Timeline blocks grouped by domain with their total, largest first. */
+function aggregateTimeline(timeline) {
+  const byDomain = {};
+  for (const block of timeline) {
+    const d = block.domain;
+    const dur = aggregateDeps.timelineBlockMs(block);
+    if (!byDomain[d]) byDomain[d] = { ms: 0, blocks: [] };
+    byDomain[d].ms += dur;
+    byDomain[d].blocks.push(block);
+  }
+  return Object.entries(byDomain)
+    .map(([domain, data]) => ({ domain, ...data }))
+    .sort((a, b) => b.ms - a.ms);
+}
+
+function isMergeableBlock(block) {
+  return !block.hourly && !block._live && !block.endedBy;
+}
+
+/**
+ * Folds consecutive blocks of the same site less than gapMs apart into one row:
+ * { domain, start, end, ms, visits, blocks }, where ms leaves out the gaps and blocks are
+ * the merged raw blocks. Unmerged blocks are returned as they are; the result is oldest first.
+ * Compacted hourly and running blocks are never merged, and a block that ended in an idle
+ * gap (endedBy) ends its row.
+ */
+function mergeTimelineBlocks(timeline, gapMs) {
+  const sorted = [...(timeline || [])].sort((a, b) => (a.start || 0) - (b.start || 0));
+  if (!(gapMs > 0)) return sorted;
+  const rows = [];
+  let run = [];
+  const flush = () => {
+    if (run.length === 1) rows.push(run[0]);
+    if (run.length > 1) {
+      const last = run[run.length - 1];
+      const row = {
+        domain: run[0].domain,
+        start: run[0].start,
+        end: last.end,
+        ms: run.reduce((s, b) => s + aggregateDeps.timelineBlockMs(b), 0),
+        visits: run.length,
+        blocks: run
+      };
+      if (run[0].host) row.host = run[0].host;
+      if (run.every(b => b.path === run[0].path) && run[0].path) row.path = run[0].path;
+      if (last.endedBy) row.endedBy = last.endedBy;
+      rows.push(row);
+    }
+    run = [];
+  };
+  for (const block of sorted) {
+    const prev = run[run.length - 1];
+    const joins = prev && prev.domain === block.domain && isMergeableBlock(prev) && !block.hourly && !block._live &&
+      block.start - prev.end < gapMs;
+    if (!joins) flush();
+    run.push(block);
+  }
+  flush();
+  return rows;
+}
+
+/**
+ * Visits per site from the timeline: { [domain]: { visits, longestMs, avgMs } }. Every
+ * recorded block is a visit; the longest stretch is the longest row after merging with
+ * gapMs (see mergeTimelineBlocks). Compacted hourly blocks carry no visits and are skipped.
+ */
+function computeVisitStats(timeline, gapMs) {
+  const stats = {};
+  for (const row of mergeTimelineBlocks((timeline || []).filter(b => !b.hourly), gapMs)) {
+    const ms = aggregateDeps.timelineBlockMs(row);
+    if (!stats[row.domain]) stats[row.domain] = { visits: 0, longestMs: 0, ms: 0 };
+    const s = stats[row.domain];
+    s.visits += row.visits || 1;
+    s.longestMs = Math.max(s.longestMs, ms);
+    s.ms += ms;
+  }
+  return Object.fromEntries(Object.entries(stats).map(([domain, s]) => [
+    domain, { visits: s.visits, longestMs: s.longestMs, avgMs: s.ms / s.visits }
+  ]));
+}
+
+/**
+ * Time per tag; sites with several tags count toward each, and nested tags also toward
+ * their parents ("Work/Meetings" time is in "Work" too). Untagged time goes to "Untagged".
+ * Grouped day data is read by host (hostDomains) so per-host tags apply.
+ */
+function computeTagMsFromDay(dayData, domainTags, grouping) {
+  const domains = dayData.hostDomains || dayData.domains || {};
+  const tagMs = {};
+  for (const [domain, data] of Object.entries(domains)) {
+    const ms = data.ms || 0;
+    if (ms <= 0) continue;
+    const tags = aggregateDeps.withParentTags(aggregateDeps.getTagsForDomain(domain, domainTags, grouping));
+    if (tags.length) {
+      tags.forEach(t => { tagMs[t] = (tagMs[t] || 0) + ms; });
+    } else {
+      tagMs['Untagged'] = (tagMs['Untagged'] || 0) + ms;
+    }
+  }
+  return tagMs;
+}
+
+/**
+ * Per-site summary of a range for the dashboard table, largest first:
+ * { domain, ms, activeDays, avgMs, share }. avgMs is over every day in the range,
+ * not only the days the site was used.
+ */
+function summarizeDomains(days, dateKeys, grouping) {
+  const byDomain = {};
+  let totalMs = 0;
+  for (const dateKey of dateKeys) {
+    const day = aggregateDeps.groupDayData(getDayData(days, dateKey), grouping);
+    for (const [domain, data] of Object.entries(day.domains)) {
+      const ms = data.ms || 0;
+      if (ms <= 0) continue;
+      if (!byDomain[domain]) byDomain[domain] = { domain, ms: 0, activeDays: 0 };
+      byDomain[domain].ms += ms;
+      byDomain[domain].activeDays++;
+      totalMs += ms;
+    }
+  }
+  const dayCount = dateKeys.length || 1;
+  return Object.values(byDomain)
+    .map(row => ({ ...row, avgMs: row.ms / dayCount, share: totalMs ? row.ms / totalMs : 0 }))
+    .sort((a, b) => b.ms - a.ms);
+}
+
+/**
+ * Time per day for a stacked chart: [{ dateKey, values: { key: ms } }], keyed by site
+ * (mode 'domains') or by top-level tag (mode 'tags', see computeTagMsFromDay; nested
+ * tags are already inside their parent's total).
+ */
+function getDailyBreakdown(days, dateKeys, mode, domainTags, grouping) {
+  return dateKeys.map(dateKey => {
+    const day = aggregateDeps.groupDayData(getDayData(days, dateKey), grouping);
+    if (mode === 'tags') {
+      const values = Object.entries(computeTagMsFromDay(day, domainTags || {}, grouping))
+        .filter(([tag]) => !tag.includes(aggregateDeps.TAG_SEPARATOR));
+      return { dateKey, values: Object.fromEntries(values) };
+    }
+    const values = {};
+    for (const [domain, data] of Object.entries(day.domains)) {
+      if (data.ms > 0) values[domain] = data.ms;
+    }
+    return { dateKey, values };
+  });
+}
+
+/** Heatmap filter: 'domain:<site or group>', 'tag:<tag>' (nested tags count) or 'all'. */
+function heatmapFilterMatches(hostname, filter, domainTags, grouping) {
+  if (filter.startsWith('domain:')) return aggregateDeps.getDomainGroupKey(hostname, grouping) === filter.slice(7);
+  if (filter.startsWith('tag:')) return aggregateDeps.withParentTags(aggregateDeps.getTagsForDomain(hostname, domainTags, grouping)).includes(filter.slice(4));
+  return true;
+}
+
+/**
+ * Tracked time as a 7×24 grid: rows are weekdays (Monday first), columns local hours.
+ * Blocks are split at hour boundaries (compacted days already are).
+ */
+function computeHeatmap(days, dateKeys, filter, domainTags, grouping) {
+  const cells = Array.from({ length: 7 }, () => new Array(24).fill(0));
+  for (const dateKey of dateKeys) {
+    const day = days?.[dateKey];
+    if (!day) continue;
+    for (const bucket of aggregateDeps.compactTimeline(day.timeline, day.hourly)) {
+      if (!heatmapFilterMatches(bucket.domain, filter, domainTags, grouping)) continue;
+      const d = new Date(bucket.start);
+      cells[(d.getDay() + 6) % 7][d.getHours()] += bucket.ms;
+    }
+  }
+  return cells;
+}
+
+if (typeof module !== 'undefined') {
+  module.exports = {
+    getDayData,
+    addDomainTotals,
+    aggregateDays,
+    aggregateTimeline,
+    mergeTimelineBlocks,
+    computeVisitStats,
+    computeTagMsFromDay,
+    summarizeDomains,
+    getDailyBreakdown,
+    heatmapFilterMatches,
+    computeHeatmap
+  };
+}
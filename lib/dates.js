@@ -0,0 +1,114 @@
+/**
+ * Website Time Tracker - Day keys and boundaries
+ * Shared by the service worker (importScripts), the popup and the dashboard (<script>).
+ *
+ * A tracking day runs from dayStartHour (settings, 0-23, default midnight) to the same
+ * hour the next calendar day, and is keyed by the calendar date it starts on: with a
+ * 4:00 start, 02:30 on March 2 still belongs to "2025-03-01".
+ */
+
+/** Calendar date of a Date as YYYY-MM-DD (local time, no day-start shift). */
+function formatDateKey(date) {
+  return date.getFullYear() + '-' + String(date.getMonth() + 1).padStart(2, '0') + '-' + String(date.getDate()).padStart(2, '0');
+}
+
+/** Local midnight of a YYYY-MM-DD key (avoids new Date(string), which parses as UTC). */
+function dateFromKey(dateKey) {
+  const [y, m, d] = dateKey.split('-').map(Number);
+  return new Date(y, m - 1, d);
+}
+
+function normalizeDayStartHour(hour) {
+  return Number.isInteger(hour) && hour >= 0 && hour <= 23 ? hour : 0;
+}
+
+/** Key of the tracking day that contains the given time (a timestamp or Date). */
+function getDateKeyAt(time, dayStartHour) {
+  const d = new Date(time);
+  if (d.getHours() < normalizeDayStartHour(dayStartHour)) d.setDate(d.getDate() - 1);
+  return formatDateKey(d);
+}
+
+/** First and last millisecond of a tracking day. */
+function getDayBounds(dateKey, dayStartHour) {
+  const hour = normalizeDayStartHour(dayStartHour);
+  const [y, m, d] = dateKey.split('-').map(Number);
+  const start = new Date(y, m - 1, d, hour, 0, 0, 0).getTime();
+  const end = new Date(y, m - 1, d + 1, hour, 0, 0, 0).getTime() - 1;
+  return { dayStart: start, dayEnd: end };
+}
+
+/**
+ * Splits [start, end) at tracking-day boundaries: [{ dateKey, start, end }], oldest first.
+ * Empty when end <= start.
+ */
+function splitAtDayBoundaries(start, end, dayStartHour) {
+  const pieces = [];
+  let t = start;
+  while (t < end) {
+    const dateKey = getDateKeyAt(t, dayStartHour);
+    const next = Math.min(end, getDayBounds(dateKey, dayStartHour).dayEnd + 1);
+    pieces.push({ dateKey, start: t, end: next });
+    t = next;
+  }
+  return pieces;
+}
+
+/**
+ * Timestamp of a clock time ("14:30" or "14:30:15", as from <input type="time">) within a
+ * tracking day; times before dayStartHour fall on the next calendar date. NaN if malformed.
+ */
+function getTimeInDay(dateKey, clock, dayStartHour) {
+  const match = /^(\d{1,2}):(\d{2})(?::(\d{2}))?$/.exec(clock || '');
+  if (!match) return NaN;
+  const [hours, minutes, seconds = 0] = match.slice(1).map(v => Number(v || 0));
+  if (hours > 23 || minutes > 59 || seconds > 59) return NaN;
+  const [y, m, d] = dateKey.split('-').map(Number);
+  const nextDay = hours < normalizeDayStartHour(dayStartHour) ? 1 : 0;
+  return new Date(y, m - 1, d + nextDay, hours, minutes, seconds, 0).getTime();
+}
+
+/** Inclusive list of date keys from fromKey to toKey; empty if the range is reversed. */
+function getDateKeysBetween(fromKey, toKey) {
+  const keys = [];
+  if (!fromKey || !toKey || fromKey > toKey) return keys;
+  const d = dateFromKey(fromKey);
+  for (let key = fromKey; key <= toKey; key = formatDateKey(d)) {
+    keys.push(key);
+    d.setDate(d.getDate() + 1);
+  }
+  return keys;
+}
+
+/**
+ * Date keys of a range ending on todayKey: 'week' (the last 7 days), 'month' (since the
+ * 1st), a number of days ('30'), or 'custom' (fromKey to toKey).
+ */
+function getRangeKeys(mode, todayKey, fromKey, toKey) {
+  if (mode === 'custom') return getDateKeysBetween(fromKey, toKey);
+  const from = dateFromKey(todayKey);
+  if (mode === 'month') from.setDate(1);
+  else from.setDate(from.getDate() - ((mode === 'week' ? 7 : Number(mode)) - 1));
+  return getDateKeysBetween(formatDateKey(from), todayKey);
+}
+
+/** "Mon, Mar 3" for a date key, a Date or a timestamp. */
+function formatDayLabel(date) {
+  const d = typeof date === 'string' ? dateFromKey(date) : new Date(date);
+  return d.toLocaleDateString(undefined, { weekday: 'short', month: 'short', day: 'numeric' });
+}
+
+if (typeof module !== 'undefined') {
+  module.exports = {
+    formatDateKey,
+    dateFromKey,
+    normalizeDayStartHour,
+    getDateKeyAt,
+    getDayBounds,
+    splitAtDayBoundaries,
+    getTimeInDay,
+    getDateKeysBetween,
+    getRangeKeys,
+    formatDayLabel
+  };
+}
@@ -0,0 +1,156 @@
+/**
+ * Website Time Tracker - Domain grouping
+ * Shared by the service worker (importScripts) and the popup (<script>).
+ * Load lib/public-suffix-list.js first.
+ *
+ * Data is always recorded per hostname; grouping is applied when reading, so
+ * turning it on or off also regroups past days.
+ */
+
+let publicSuffixSets = null;
+
+function getPublicSuffixSets() {
+  if (publicSuffixSets) return publicSuffixSets;
+  const list = typeof PUBLIC_SUFFIX_LIST === 'string'
+    ? PUBLIC_SUFFIX_LIST
+    : require('./public-suffix-list.js').PUBLIC_SUFFIX_LIST;
+  const rules = new Set();
+  const wildcards = new Set();
+  const exceptions = new Set();
+  for (const line of list.split('\n')) {
+    const rule = line.trim();
+    if (!rule) continue;
+    if (rule.startsWith('!')) exceptions.add(rule.slice(1));
+    else if (rule.startsWith('*.')) wildcards.add(rule.slice(2));
+    else rules.add(rule);
+  }
+  publicSuffixSets = { rules, wildcards, exceptions };
+  return publicSuffixSets;
+}
+
+/**
+ * "mail.google.com" -> "google.com", "news.bbc.co.uk" -> "bbc.co.uk".
+ * IP addresses, single-label hosts and bare public suffixes are returned unchanged.
+ */
+function getRegistrableDomain(hostname) {
+  if (!hostname) return hostname;
+  const host = hostname.toLowerCase();
+  if (host.includes(':') || /^\d+(\.\d+){3}$/.test(host)) return host;
+  const labels = host.split('.');
+  if (labels.length < 2) return host;
+  const { rules, wildcards, exceptions } = getPublicSuffixSets();
+  // Unlisted TLDs fall back to the implicit "*" rule: a one-label suffix.
+  let suffixLength = 1;
+  for (let i = 0; i < labels.length; i++) {
+    const candidate = labels.slice(i).join('.');
+    if (exceptions.has(candidate)) {
+      suffixLength = labels.length - i - 1;
+      break;
+    }
+    if (rules.has(candidate) || (i + 1 < labels.length && wildcards.has(labels.slice(i + 1).join('.')))) {
+      suffixLength = labels.length - i;
+      break;
+    }
+  }
+  if (suffixLength >= labels.length) return host;
+  return labels.slice(-(suffixLength + 1)).join('.');
+}
+
+/**
+ * Parses the aliases textarea: one "Label = host1, host2" per line.
+ * Returns { aliases: [{ label, hosts }], errors: [{ line, error }] }.
+ */
+function parseDomainAliases(text) {
+  const aliases = [];
+  const errors = [];
+  for (const rawLine of String(text || '').split('\n')) {
+    const line = rawLine.trim();
+    if (!line) continue;
+    const eq = line.indexOf('=');
+    if (eq === -1) {
+      errors.push({ line, error: 'expected "Label = host1, host2"' });
+      continue;
+    }
+    const label = line.slice(0, eq).trim();
+    const hosts = line.slice(eq + 1).split(',').map(h => h.trim().toLowerCase().replace(/^www\./, '')).filter(Boolean);
+    if (!label) {
+      errors.push({ line, error: 'missing label' });
+    } else if (!hosts.length) {
+      errors.push({ line, error: 'no hosts listed' });
+    } else if (hosts.some(h => !/^[a-z0-9.-]+$/.test(h) || h.split('.').some(l => !l))) {
+      errors.push({ line, error: 'hosts must be plain hostnames like youtu.be' });
+    } else {
+      aliases.push({ label, hosts });
+    }
+  }
+  return { aliases, errors };
+}
+
+function formatDomainAliases(aliases) {
+  return (aliases || []).map(a => a.label + ' = ' + a.hosts.join(', ')).join('\n');
+}
+
+/**
+ * Key a hostname is shown and tagged under: the first alias listing it (or a parent
+ * domain of it), else its registrable domain when grouping is on, else the hostname.
+ * grouping is { groupByRegistrableDomain, domainAliases } from settings.
+ */
+function getDomainGroupKey(hostname, grouping) {
+  if (!hostname) return hostname;
+  for (const alias of grouping?.domainAliases || []) {
+    if (alias.hosts.some(h => hostname === h || hostname.endsWith('.' + h))) return alias.label;
+  }
+  return grouping?.groupByRegistrableDomain ? getRegistrableDomain(hostname) : hostname;
+}
+
+/** Tags set on the hostname itself plus those set on its group. */
+function getTagsForDomain(hostname, domainTags, grouping) {
+  const own = domainTags?.[hostname] || [];
+  const key = getDomainGroupKey(hostname, grouping);
+  if (key === hostname) return own;
+  const group = domainTags?.[key] || [];
+  return own.length ? [...new Set([...group, ...own])] : group;
+}
+
+/**
+ * Regroups a day (or range) view: domains are summed under their group key and
+ * timeline blocks are relabelled, keeping the original hostname in block.host.
+ * Per-hostname totals stay available as hostDomains (tag totals need them).
+ */
+function groupDayData(dayData, grouping) {
+  const domains = {};
+  for (const [hostname, data] of Object.entries(dayData.domains || {})) {
+    const key = getDomainGroupKey(hostname, grouping);
+    if (!domains[key]) domains[key] = { ms: 0 };
+    domains[key].ms += data.ms || 0;
+    for (const [path, p] of Object.entries(data.paths || {})) {
+      if (!domains[key].paths) domains[key].paths = {};
+      domains[key].paths[path] = { ms: (domains[key].paths[path]?.ms || 0) + (p.ms || 0) };
+    }
+  }
+  const timeline = (dayData.timeline || []).map(block => {
+    const key = getDomainGroupKey(block.domain, grouping);
+    return key === block.domain ? block : { ...block, domain: key, host: block.host || block.domain };
+  });
+  return { ...dayData, domains, timeline, hostDomains: dayData.hostDomains || dayData.domains || {} };
+}
+
+/** Grouping options from stored settings (the service worker passes its settings directly). */
+function getGrouping(settings) {
+  return {
+    groupByRegistrableDomain: settings?.groupByRegistrableDomain === true,
+    domainAliases: Array.isArray(settings?.domainAliases) ? settings.domainAliases : []
+  };
+}
+
+if (typeof module !== 'undefined') {
+  module.exports = {
+    getRegistrableDomain,
+    parseDomainAliases,
+    formatDomainAliases,
+    getDomainGroupKey,
+    getTagsForDomain,
+    groupDayData,
+    getGrouping
+  };
+}
@@ -0,0 +1,83 @@
+/**
+ * Website Time Tracker - Exclusion patterns
+ * Shared by the service worker (importScripts) and the popup (<script>).
+ *
+ * One pattern per entry:
+ *   example.com            exact hostname (the original behaviour)
+ *   .example.com           example.com and all of its subdomains
+ *   *.example.com          subdomains only; '*' matches anywhere in the hostname
+ *   example.com/private    hostname plus a path prefix; '*' allowed in the path too
+ * A scheme ("https://") and a leading "www." are ignored, like in hostnameFromUrl.
+ */
+
+function escapeRegExp(s) {
+  return s.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function globToRegExpSource(glob) {
+  return glob.split('*').map(escapeRegExp).join('.*');
+}
+
+/** Returns { host: RegExp, path: RegExp|null } or { error: string }. */
+function compileExcludePattern(raw) {
+  const pattern = String(raw ?? '').trim().toLowerCase().replace(/^[a-z][a-z0-9+.-]*:\/\//, '');
+  if (!pattern) return { error: 'empty pattern' };
+  const slash = pattern.indexOf('/');
+  const hostPart = (slash === -1 ? pattern : pattern.slice(0, slash)).replace(/^www\./, '');
+  const pathPart = slash === -1 ? null : pattern.slice(slash);
+
+  const suffix = hostPart.startsWith('.');
+  const host = suffix ? hostPart.slice(1) : hostPart;
+  if (!host) return { error: 'missing hostname' };
+  if (!/^[a-z0-9*.-]+$/.test(host)) return { error: 'hostname may only contain letters, digits, ".", "-" and "*"' };
+  if (host.split('.').some(label => !label)) return { error: 'hostname has an empty label' };
+  if (suffix && host.includes('*')) return { error: '"*" cannot be combined with a leading "."' };
+  if (pathPart != null && /\s/.test(pathPart)) return { error: 'path may not contain spaces' };
+
+  const hostSource = (suffix ? '(?:.+\\.)?' : '') + globToRegExpSource(host);
+  return {
+    host: new RegExp('^' + hostSource + '$'),
+    // Path patterns are prefixes: "example.com/private" also covers "/private/notes?x=1".
+    path: pathPart != null ? new RegExp('^' + globToRegExpSource(pathPart)) : null
+  };
+}
+
+/** Lists the entries that do not compile, with the reason, for the Settings dialog. */
+function validateExcludePatterns(patterns) {
+  const errors = [];
+  for (const pattern of patterns || []) {
+    const compiled = compileExcludePattern(pattern);
+    if (compiled.error) errors.push({ pattern, error: compiled.error });
+  }
+  return errors;
+}
+
+function urlPathForMatching(url) {
+  try {
+    const u = new URL(url);
+    return (u.pathname + u.search).toLowerCase();
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * True if the hostname (and the URL, for path patterns) matches an entry.
+ * Without a URL, path patterns never match; invalid entries are ignored.
+ */
+function isExcludedUrl(hostname, url, patterns) {
+  if (!hostname) return false;
+  const host = hostname.toLowerCase();
+  const path = url ? urlPathForMatching(url) : null;
+  for (const pattern of patterns || []) {
+    const compiled = compileExcludePattern(pattern);
+    if (compiled.error || !compiled.host.test(host)) continue;
+    if (!compiled.path) return true;
+    if (path != null && compiled.path.test(path)) return true;
+  }
+  return false;
+}
+
+if (typeof module !== 'undefined') {
+  module.exports = { compileExcludePattern, validateExcludePatterns, isExcludedUrl };
+}
@@ -0,0 +1,155 @@
+/**
+ * Website Time Tracker - Focus sessions
+ * Shared by the service worker (importScripts) and the popup (<script>).
+ * Load lib/domains.js and lib/tag-list.js first.
+ *
+ * A focus session is a series of focus phases, with breaks between them for Pomodoro
+ * sessions ({ focusMinutes: 25, breakMinutes: 5, cycles: 4 }) or a single phase for a
+ * free-form one ({ focusMinutes: 90, breakMinutes: 0, cycles: 1 }). The running session
+ * is stored as focusSession; finished ones go to focusHistory with their focus phases.
+ */
+
+const focusDomains = typeof getTagsForDomain === 'function'
+  ? { getTagsForDomain, withParentTags }
+  : { ...require('./domains.js'), ...require('./tag-list.js') };
+
+const FOCUS_HISTORY_MAX = 200;
+const DEFAULT_FOCUS_WORK_TAG = 'Work';
+const DEFAULT_FOCUS_DISTRACTING_TAGS = ['Social'];
+
+/** Work and distracting tags from stored settings, with the defaults when unset. */
+function getFocusTags(settings) {
+  return {
+    workTag: typeof settings?.focusWorkTag === 'string' ? settings.focusWorkTag : DEFAULT_FOCUS_WORK_TAG,
+    distractingTags: Array.isArray(settings?.focusDistractingTags) ? settings.focusDistractingTags : DEFAULT_FOCUS_DISTRACTING_TAGS
+  };
+}
+
+function clampInt(value, min, max, fallback) {
+  const n = parseInt(value, 10);
+  return Number.isFinite(n) ? Math.min(max, Math.max(min, n)) : fallback;
+}
+
+function createFocusSession(options, now) {
+  const focusMinutes = clampInt(options?.focusMinutes, 1, 600, 25);
+  const breakMinutes = clampInt(options?.breakMinutes, 0, 120, 0);
+  const cycles = clampInt(options?.cycles, 1, 12, 1);
+  return {
+    start: now,
+    focusMinutes,
+    breakMinutes,
+    cycles,
+    blockDistracting: options?.blockDistracting === true,
+    cycle: 1,
+    phase: 'focus',
+    phaseStart: now,
+    phaseEndsAt: now + focusMinutes * 60000,
+    phases: []
+  };
+}
+
+function focusRecord(session, end, phases) {
+  return {
+    start: session.start,
+    end,
+    focusMinutes: session.focusMinutes,
+    breakMinutes: session.breakMinutes,
+    cycles: session.cycles,
+    blockDistracting: session.blockDistracting,
+    phases
+  };
+}
+
+/**
+ * Moves the session past every phase that has ended by now (the alarm may fire late, or
+ * only at the next startup). Returns { session, record }: once the last focus phase is
+ * over, session is null and record is the finished session for focusHistory.
+ */
+function advanceFocusSession(session, now) {
+  const s = { ...session, phases: [...(session.phases || [])] };
+  while (s.phaseEndsAt <= now) {
+    const phaseEnd = s.phaseEndsAt;
+    if (s.phase === 'focus') {
+      s.phases.push({ start: s.phaseStart, end: phaseEnd });
+      if (s.cycle >= s.cycles) return { session: null, record: focusRecord(s, phaseEnd, s.phases) };
+      if (s.breakMinutes > 0) {
+        s.phase = 'break';
+        s.phaseStart = phaseEnd;
+        s.phaseEndsAt = phaseEnd + s.breakMinutes * 60000;
+        continue;
+      }
+    }
+    s.phase = 'focus';
+    s.cycle++;
+    s.phaseStart = phaseEnd;
+    s.phaseEndsAt = phaseEnd + s.focusMinutes * 60000;
+  }
+  return { session: s, record: null };
+}
+
+/** Focus phases so far, the current one counting up to now. */
+function getFocusPhases(session, now) {
+  const phases = [...(session.phases || [])];
+  if (session.phase === 'focus' && now > session.phaseStart) {
+    phases.push({ start: session.phaseStart, end: Math.min(now, session.phaseEndsAt) });
+  }
+  return phases;
+}
+
+/** Ends a session early; returns its focusHistory record. */
+function stopFocusSession(session, now) {
+  return focusRecord(session, now, getFocusPhases(session, now));
+}
+
+/** Site tags with their parents, so a nested tag counts as the tags above it. */
+function getRolledUpTags(hostname, domainTags, grouping) {
+  return focusDomains.withParentTags(focusDomains.getTagsForDomain(hostname, domainTags, grouping));
+}
+
+function isDistractingDomain(hostname, domainTags, grouping, distractingTags) {
+  if (!hostname || !distractingTags?.length) return false;
+  return getRolledUpTags(hostname, domainTags, grouping).some(t => distractingTags.includes(t));
+}
+
+/**
+ * How the time in the focus phases was spent, from timeline blocks clipped to them.
+ * A site with the work tag counts as work even if it also has a distracting tag.
+ * Compacted hourly blocks only know their total, so they are prorated.
+ * Returns { focusMs, workMs, distractingMs, otherMs, untrackedMs }.
+ */
+function summarizeFocus(phases, timeline, domainTags, grouping, workTag, distractingTags) {
+  const summary = { focusMs: 0, workMs: 0, distractingMs: 0, otherMs: 0, untrackedMs: 0 };
+  for (const phase of phases || []) summary.focusMs += Math.max(0, phase.end - phase.start);
+  for (const block of timeline || []) {
+    if (block?.start == null || block.end == null || block.end <= block.start) continue;
+    let ms = 0;
+    for (const phase of phases || []) {
+      const overlap = Math.min(block.end, phase.end) - Math.max(block.start, phase.start);
+      if (overlap > 0) ms += overlap;
+    }
+    if (ms <= 0) continue;
+    if (typeof block.ms === 'number') ms = block.ms * ms / (block.end - block.start);
+    const host = block.host || block.domain;
+    if (workTag && getRolledUpTags(host, domainTags, grouping).includes(workTag)) summary.workMs += ms;
+    else if (isDistractingDomain(host, domainTags, grouping, distractingTags)) summary.distractingMs += ms;
+    else summary.otherMs += ms;
+  }
+  const trackedMs = summary.workMs + summary.distractingMs + summary.otherMs;
+  summary.untrackedMs = Math.max(0, summary.focusMs - trackedMs);
+  return summary;
+}
+
+if (typeof module !== 'undefined') {
+  module.exports = {
+    FOCUS_HISTORY_MAX,
+    DEFAULT_FOCUS_WORK_TAG,
+    DEFAULT_FOCUS_DISTRACTING_TAGS,
+    getFocusTags,
+    createFocusSession,
+    advanceFocusSession,
+    getFocusPhases,
+    stopFocusSession,
+    isDistractingDomain,
+    summarizeFocus
+  };
+}
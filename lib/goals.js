@@ -0,0 +1,99 @@
+/**
+ * Website Time Tracker - Daily goals
+ * Shared by the service worker (importScripts) and the popup (<script>).
+ * Load lib/dates.js first.
+ *
+ * A goal asks for at least `minutes` of a tag's time per day: { tag, minutes, days, since }.
+ * days is 'all', 'weekdays' or 'weekends'; a tag can have one goal per variant, and on a
+ * weekday or weekend day the matching variant replaces the tag's 'all' goal. since is the
+ * date key the goal was added on, so it is never judged on earlier days.
+ * Finished days are kept in goalHistory: { [dateKey]: [{ tag, days, targetMs, ms, met }] }.
+ */
+
+const goalDates = typeof dateFromKey === 'function'
+  ? { dateFromKey, formatDateKey }
+  : require('./dates.js');
+
+const GOAL_DAYS = ['all', 'weekdays', 'weekends'];
+const GOAL_HISTORY_MAX_DAYS = 366;
+
+/** Stable id for a goal: one per tag and days variant. */
+function goalId(goal) {
+  return goal.tag + ':' + goal.days;
+}
+
+function isWeekendKey(dateKey) {
+  const weekday = goalDates.dateFromKey(dateKey).getDay();
+  return weekday === 0 || weekday === 6;
+}
+
+function goalAppliesOn(goal, dateKey) {
+  if (goal.since && dateKey < goal.since) return false;
+  if (goal.days === 'weekdays') return !isWeekendKey(dateKey);
+  if (goal.days === 'weekends') return isWeekendKey(dateKey);
+  return true;
+}
+
+/** Goals in effect on a day, at most one per tag. */
+function getGoalsForDay(goals, dateKey) {
+  const byTag = new Map();
+  for (const goal of goals || []) {
+    if (!goal?.tag || !(goal.minutes > 0) || !goalAppliesOn(goal, dateKey)) continue;
+    const current = byTag.get(goal.tag);
+    if (!current || current.days === 'all') byTag.set(goal.tag, goal);
+  }
+  return [...byTag.values()];
+}
+
+/** Progress on a day from its tag totals ({ tag: ms }, see computeTagMsFromDay). */
+function evaluateGoals(goals, dateKey, tagMs) {
+  return getGoalsForDay(goals, dateKey).map(goal => {
+    const targetMs = goal.minutes * 60000;
+    const ms = tagMs?.[goal.tag] || 0;
+    return { tag: goal.tag, days: goal.days, targetMs, ms, met: ms >= targetMs };
+  });
+}
+
+/**
+ * Finished days not yet in the history: after throughKey (or from the earliest goal's
+ * since) up to the day before todayKey, at most GOAL_HISTORY_MAX_DAYS of them.
+ */
+function getGoalHistoryKeys(goals, throughKey, todayKey) {
+  const sinceKeys = (goals || []).map(g => g?.since).filter(Boolean).sort();
+  let fromKey;
+  if (throughKey) {
+    const d = goalDates.dateFromKey(throughKey);
+    d.setDate(d.getDate() + 1);
+    fromKey = goalDates.formatDateKey(d);
+  } else {
+    fromKey = sinceKeys[0];
+  }
+  const keys = [];
+  if (!fromKey) return keys;
+  const d = goalDates.dateFromKey(fromKey);
+  for (let key = fromKey; key < todayKey; key = goalDates.formatDateKey(d)) {
+    keys.push(key);
+    d.setDate(d.getDate() + 1);
+  }
+  return keys.slice(-GOAL_HISTORY_MAX_DAYS);
+}
+
+/** Keeps the newest GOAL_HISTORY_MAX_DAYS days. */
+function pruneGoalHistory(history) {
+  const keys = Object.keys(history || {}).sort().slice(-GOAL_HISTORY_MAX_DAYS);
+  return Object.fromEntries(keys.map(k => [k, history[k]]));
+}
+
+if (typeof module !== 'undefined') {
+  module.exports = {
+    GOAL_DAYS,
+    GOAL_HISTORY_MAX_DAYS,
+    goalId,
+    isWeekendKey,
+    goalAppliesOn,
+    getGoalsForDay,
+    evaluateGoals,
+    getGoalHistoryKeys,
+    pruneGoalHistory
+  };
+}
@@ -0,0 +1,229 @@
+/**
+ * Website Time Tracker - Export and import
+ * Used by the popup (<script>).
+ * Load lib/tag-list.js, lib/focus.js, lib/pause.js and lib/goals.js first.
+ *
+ * An export is JSON: { format: EXPORT_FORMAT, version, exportedAt, days, domainTags,
+ * tagList, settings, limits, tagRules, goals, reminders, schedules, goalHistory,
+ * focusHistory, pauseHistory }. Importing merges a file into the stored data; running the
+ * same import twice changes nothing. Settings are exported but not imported.
+ * Version 1 exports stopped at limits; migrateExport reads them as version 2 with the
+ * rest empty.
+ */
+
+const importDeps = typeof normalizeTagList === 'function'
+  ? { normalizeTagList, pruneGoalHistory, FOCUS_HISTORY_MAX, PAUSE_HISTORY_MAX }
+  : { ...require('./tag-list.js'), ...require('./goals.js'), ...require('./focus.js'), ...require('./pause.js') };
+
+const EXPORT_FORMAT = 'website-time-tracker';
+const EXPORT_VERSION = 2;
+
+/** Brings an export from an older version up to EXPORT_VERSION. */
+function migrateExport(data) {
+  if (data.version >= EXPORT_VERSION) return data;
+  // Version 1 had no tag rules, goals, reminders, schedules or history.
+  return {
+    ...data,
+    version: EXPORT_VERSION,
+    tagRules: [],
+    goals: [],
+    reminders: [],
+    schedules: [],
+    goalHistory: {},
+    focusHistory: [],
+    pauseHistory: []
+  };
+}
+
+function timelineBlockKey(block) {
+  return `${block.start}-${block.end}-${block.domain}`;
+}
+
+function csvField(value) {
+  const s = String(value ?? '');
+  return /[",\r\n]/.test(s) ? '"' + s.replace(/"/g, '""') + '"' : s;
+}
+
+/**
+ * Appends the incoming items whose key (keyOf; null for an invalid item) is not in the
+ * list yet, so local items win. Returns { list, added }.
+ */
+function appendMissing(list, incoming, keyOf) {
+  const merged = Array.isArray(list) ? [...list] : [];
+  const keys = new Set(merged.map(keyOf));
+  let added = 0;
+  for (const item of Array.isArray(incoming) ? incoming : []) {
+    const key = item && typeof item === 'object' ? keyOf(item) : null;
+    if (key == null || keys.has(key)) continue;
+    keys.add(key);
+    merged.push(item);
+    added++;
+  }
+  return { list: merged, added };
+}
+
+/** Focus sessions and pauses are told apart by their start; the newest max are kept. */
+function mergeHistory(list, incoming, max) {
+  const { list: merged, added } = appendMissing(list, incoming, h => (Number.isFinite(h.start) && Number.isFinite(h.end) ? h.start : null));
+  return { list: merged.sort((a, b) => a.start - b.start).slice(-max), added };
+}
+
+/**
+ * Merges an export into the current data without double-counting.
+ * Timeline blocks are deduped by start-end-domain. A domain's ms grows by the
+ * duration of the blocks that were actually new, but never ends up below the
+ * imported total (that covers running time persisted before its block closed).
+ * Local tag assignments win over imported ones, and so do local limits, tag rules (by
+ * pattern), goals (by tag and days), reminders (by kind and target), schedules (by name)
+ * and goal history days. New tag rules go after the local ones, as they match in order.
+ * Focus and pause history are joined.
+ */
+function mergeImportedData(current, incoming) {
+  const days = { ...(current.days || {}) };
+  const domainTags = { ...(current.domainTags || {}) };
+  const currentTags = importDeps.normalizeTagList(current.tagList);
+  const importedTags = importDeps.normalizeTagList(incoming.tagList);
+  const limits = [...(current.limits || [])];
+  const summary = {
+    newDays: 0, updatedDays: 0, newBlocks: 0, addedMs: 0, newTags: 0, newDomainTags: 0, tagConflicts: 0, newLimits: 0,
+    newTagRules: 0, newGoals: 0, newReminders: 0, newSchedules: 0, newHistory: 0
+  };
+
+  for (const [dateKey, inDay] of Object.entries(incoming.days || {})) {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(dateKey) || !inDay || typeof inDay.domains !== 'object') continue;
+    const inTimeline = Array.isArray(inDay.timeline) ? inDay.timeline : [];
+    const local = days[dateKey];
+    if (!local) {
+      days[dateKey] = { domains: { ...inDay.domains }, timeline: [...inTimeline] };
+      if (Array.isArray(inDay.hourly)) Object.assign(days[dateKey], { hourly: [...inDay.hourly], compacted: true });
+      if (inDay.passive && typeof inDay.passive.domains === 'object') days[dateKey].passive = inDay.passive;
+      summary.newDays++;
+      summary.newBlocks += inTimeline.length;
+      summary.addedMs += Object.values(inDay.domains).reduce((s, d) => s + (d.ms || 0), 0);
+      continue;
+    }
+    const day = { ...local, domains: { ...local.domains }, timeline: [...(local.timeline || [])] };
+    const seen = new Set(day.timeline.map(timelineBlockKey));
+    const addedByDomain = {};
+    const addedByPath = {};
+    // A compacted local day can't tell which blocks it already has; only totals are merged.
+    // Likewise an imported day's hourly buckets are not merged into a local timeline.
+    for (const block of local.compacted ? [] : inTimeline) {
+      const key = timelineBlockKey(block);
+      if (seen.has(key)) continue;
+      seen.add(key);
+      day.timeline.push(block);
+      const dur = Math.max(0, (block.end || 0) - (block.start || 0));
+      addedByDomain[block.domain] = (addedByDomain[block.domain] || 0) + dur;
+      if (block.path) {
+        const pathKey = block.domain + '\n' + block.path;
+        addedByPath[pathKey] = (addedByPath[pathKey] || 0) + dur;
+      }
+      summary.newBlocks++;
+    }
+    let changed = false;
+    // Passive time has no per-block dedupe; it is only taken when the local day has none.
+    if (!local.passive && inDay.passive && typeof inDay.passive.domains === 'object') {
+      day.passive = inDay.passive;
+      changed = true;
+    }
+    for (const [domain, data] of Object.entries(inDay.domains)) {
+      const prevMs = day.domains[domain]?.ms || 0;
+      const nextMs = day.domains[domain]
+        ? Math.max(prevMs + (addedByDomain[domain] || 0), data.ms || 0)
+        : (data.ms || 0);
+      if (nextMs !== prevMs || !day.domains[domain]) {
+        day.domains[domain] = { ...day.domains[domain], ms: nextMs };
+        summary.addedMs += nextMs - prevMs;
+        changed = true;
+      }
+      // Path sub-keys follow the same rule as their domain total.
+      for (const [path, p] of Object.entries(data.paths || {})) {
+        const prevPaths = day.domains[domain].paths || {};
+        const prevPathMs = prevPaths[path]?.ms || 0;
+        const nextPathMs = prevPaths[path]
+          ? Math.max(prevPathMs + (addedByPath[domain + '\n' + path] || 0), p.ms || 0)
+          : (p.ms || 0);
+        if (nextPathMs === prevPathMs && prevPaths[path]) continue;
+        day.domains[domain] = { ...day.domains[domain], paths: { ...prevPaths, [path]: { ms: nextPathMs } } };
+        changed = true;
+      }
+    }
+    if (changed || day.timeline.length !== (local.timeline || []).length) {
+      day.timeline.sort((a, b) => (a.start || 0) - (b.start || 0));
+      days[dateKey] = day;
+      summary.updatedDays++;
+    }
+  }
+
+  for (const [domain, tags] of Object.entries(incoming.domainTags || {})) {
+    if (!Array.isArray(tags) || !tags.length) continue;
+    const localTags = domainTags[domain];
+    if (!localTags || !localTags.length) {
+      domainTags[domain] = [...tags];
+      summary.newDomainTags++;
+    } else if ([...localTags].sort().join('\n') !== [...tags].sort().join('\n')) {
+      summary.tagConflicts++;
+    }
+    importedTags.push(...tags);
+  }
+  // Tags already here keep their colors; new ones keep the exported colors.
+  const tagList = importDeps.normalizeTagList([...currentTags, ...importedTags]);
+  summary.newTags = tagList.length - currentTags.length;
+
+  const limitIds = new Set(limits.map(l => l.kind + ':' + l.target));
+  for (const limit of incoming.limits || []) {
+    if (!limit || !limit.target || !(limit.minutes > 0) || limitIds.has(limit.kind + ':' + limit.target)) continue;
+    limitIds.add(limit.kind + ':' + limit.target);
+    limits.push(limit);
+    summary.newLimits++;
+  }
+
+  const tagRules = appendMissing(current.tagRules, incoming.tagRules,
+    r => (typeof r.pattern === 'string' && Array.isArray(r.tags) && r.tags.length ? r.pattern : null));
+  const goals = appendMissing(current.goals, incoming.goals,
+    g => (typeof g.tag === 'string' && g.minutes > 0 ? g.tag + ':' + g.days : null));
+  const reminders = appendMissing(current.reminders, incoming.reminders,
+    r => (r.minutes > 0 || r.percent > 0 ? r.kind + ':' + (r.target ?? '') : null));
+  const schedules = appendMissing(current.schedules, incoming.schedules,
+    s => (typeof s.name === 'string' && s.name && s.start && s.end ? s.name : null));
+  Object.assign(summary, {
+    newTagRules: tagRules.added, newGoals: goals.added, newReminders: reminders.added, newSchedules: schedules.added
+  });
+
+  const goalHistory = { ...(current.goalHistory || {}) };
+  for (const [dateKey, results] of Object.entries(incoming.goalHistory || {})) {
+    if (goalHistory[dateKey] || !/^\d{4}-\d{2}-\d{2}$/.test(dateKey) || !Array.isArray(results)) continue;
+    goalHistory[dateKey] = results;
+    summary.newHistory++;
+  }
+  const focusHistory = mergeHistory(current.focusHistory, incoming.focusHistory, importDeps.FOCUS_HISTORY_MAX);
+  const pauseHistory = mergeHistory(current.pauseHistory, incoming.pauseHistory, importDeps.PAUSE_HISTORY_MAX);
+  summary.newHistory += focusHistory.added + pauseHistory.added;
+
+  return {
+    days,
+    domainTags,
+    tagList,
+    limits,
+    tagRules: tagRules.list,
+    goals: goals.list,
+    reminders: reminders.list,
+    schedules: schedules.list,
+    goalHistory: importDeps.pruneGoalHistory(goalHistory),
+    focusHistory: focusHistory.list,
+    pauseHistory: pauseHistory.list,
+    summary
+  };
+}
+
+if (typeof module !== 'undefined') {
+  module.exports = {
+    EXPORT_FORMAT,
+    EXPORT_VERSION,
+    migrateExport,
+    timelineBlockKey,
+    csvField,
+    mergeImportedData
+  };
+}
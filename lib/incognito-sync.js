@@ -0,0 +1,164 @@
+/**
+ * Website Time Tracker - Incognito hand-off
+ * Shared by the service worker (importScripts) and the popup (<script>).
+ * Load lib/tag-list.js first.
+ *
+ * With "incognito": "split" the incognito profile runs its own service worker. When
+ * keepIncognitoData is on, that instance never writes day keys itself: it appends what it
+ * recorded as a batch to the queue (INCOGNITO_SYNC_KEY), and the regular instance merges
+ * each batch into its days. Every batch has an id; merged ids are kept under
+ * INCOGNITO_SYNC_APPLIED_KEY (written together with the days), so a batch seen twice is
+ * merged once. Only the incognito instance writes the queue and only the regular one
+ * writes the applied ids, so neither can overwrite the other's update.
+ *
+ * A batch is { id, createdAt, days: { [dateKey]: day }, domainTags, tagList }.
+ * Site tags already set in the regular profile win; the batch's tags only fill in sites
+ * without any, and the differences are returned as conflicts. The service worker keeps the
+ * latest conflict per site under INCOGNITO_TAG_CONFLICTS_KEY, where Settings lists them so
+ * the incognito tags can still be applied. Tags new to the regular profile are added to its
+ * tag list; the colors of the ones it has are kept.
+ */
+
+const syncTagList = typeof normalizeTagList === 'function'
+  ? { normalizeTagList }
+  : require('./tag-list.js');
+
+const INCOGNITO_SYNC_KEY = '_incognitoSyncPending';
+const INCOGNITO_SYNC_APPLIED_KEY = 'incognitoSyncApplied';
+const INCOGNITO_SYNC_APPLIED_MAX = 500;
+const INCOGNITO_TAG_CONFLICTS_KEY = 'incognitoTagConflicts';
+const INCOGNITO_TAG_CONFLICTS_MAX = 100;
+
+/**
+ * Batches in a stored queue. Older versions stored a single { timestamp, data } marker,
+ * which becomes one batch keyed by its timestamp.
+ */
+function readSyncQueue(value) {
+  if (Array.isArray(value)) return value.filter(b => b?.id);
+  if (value?.data && value.timestamp) return [{ id: 'legacy:' + value.timestamp, createdAt: value.timestamp, ...value.data }];
+  return [];
+}
+
+/** The queue with a new batch appended and the batches already merged dropped. */
+function appendSyncBatch(queue, appliedIds, batch) {
+  const applied = new Set(appliedIds || []);
+  return [...readSyncQueue(queue).filter(b => !applied.has(b.id)), batch];
+}
+
+function addDomainEntries(target, source) {
+  for (const [domain, data] of Object.entries(source || {})) {
+    const entry = target[domain] = { ...(target[domain] || { ms: 0 }) };
+    entry.ms = (entry.ms || 0) + (data.ms || 0);
+    for (const [path, p] of Object.entries(data.paths || {})) {
+      entry.paths = { ...(entry.paths || {}), [path]: { ms: (entry.paths?.[path]?.ms || 0) + (p.ms || 0) } };
+    }
+  }
+}
+
+/** Blocks already on the timeline (same start, end and site) are not added again. */
+function mergeSyncTimeline(timeline, incoming) {
+  const byKey = new Map((timeline || []).map(b => [`${b.start}-${b.end}-${b.domain}`, b]));
+  for (const block of incoming || []) {
+    const key = `${block.start}-${block.end}-${block.domain}`;
+    if (!byKey.has(key)) byKey.set(key, block);
+  }
+  return [...byKey.values()].sort((a, b) => (a.start || 0) - (b.start || 0));
+}
+
+/** Adds a batch's day (time, blocks and passive time) to a regular day; returns a new day. */
+function mergeSyncDay(day, incoming) {
+  const merged = { ...(day || { domains: {}, timeline: [] }) };
+  merged.domains = { ...(merged.domains || {}) };
+  addDomainEntries(merged.domains, incoming.domains);
+  merged.timeline = mergeSyncTimeline(merged.timeline, incoming.timeline);
+  if (incoming.passive) {
+    const passive = { ...(merged.passive || { domains: {}, timeline: [] }) };
+    passive.domains = { ...(passive.domains || {}) };
+    addDomainEntries(passive.domains, incoming.passive.domains);
+    passive.timeline = mergeSyncTimeline(passive.timeline, incoming.passive.timeline);
+    merged.passive = passive;
+  }
+  return merged;
+}
+
+/**
+ * Regular tags win. Returns { domainTags, conflicts } where conflicts lists
+ * { domain, kept, ignored } for sites whose incoming tags differed.
+ */
+function mergeSyncDomainTags(domainTags, incoming) {
+  const merged = { ...(domainTags || {}) };
+  const conflicts = [];
+  for (const [domain, tags] of Object.entries(incoming || {})) {
+    if (!Array.isArray(tags)) continue;
+    const kept = merged[domain];
+    if (kept === undefined) {
+      merged[domain] = [...tags];
+      continue;
+    }
+    const same = kept.length === tags.length && tags.every(t => kept.includes(t));
+    if (!same) conflicts.push({ domain, kept: [...kept], ignored: [...tags] });
+  }
+  return { domainTags: merged, conflicts };
+}
+
+/**
+ * Merges the batches not yet applied into { days, domainTags, tagList } (days holds the
+ * regular days for the batches' date keys). Returns the merged items, the new applied
+ * ids and the tag conflicts; merging the same batches again changes nothing.
+ */
+function mergeSyncBatches(target, batches, appliedIds) {
+  const applied = [...(appliedIds || [])];
+  const days = { ...(target.days || {}) };
+  let domainTags = target.domainTags || {};
+  let tagList = syncTagList.normalizeTagList(target.tagList);
+  const conflicts = [];
+  const changedKeys = new Set();
+  for (const batch of batches || []) {
+    if (!batch?.id || applied.includes(batch.id)) continue;
+    for (const [dateKey, day] of Object.entries(batch.days || {})) {
+      days[dateKey] = mergeSyncDay(days[dateKey], day);
+      changedKeys.add(dateKey);
+    }
+    const tags = mergeSyncDomainTags(domainTags, batch.domainTags);
+    domainTags = tags.domainTags;
+    conflicts.push(...tags.conflicts);
+    tagList = syncTagList.normalizeTagList([...tagList, ...(batch.tagList || [])]);
+    applied.push(batch.id);
+  }
+  return {
+    days: Object.fromEntries([...changedKeys].map(k => [k, days[k]])),
+    domainTags,
+    tagList,
+    appliedIds: applied.slice(-INCOGNITO_SYNC_APPLIED_MAX),
+    conflicts
+  };
+}
+
+/**
+ * Adds newly found conflicts ({ domain, kept, ignored }) to the stored ones, stamped with
+ * at. A site keeps only its latest conflict; the oldest are dropped past the cap.
+ */
+function addSyncConflicts(stored, conflicts, at) {
+  const latest = new Map((Array.isArray(stored) ? stored : []).map(c => [c.domain, c]));
+  for (const conflict of conflicts || []) {
+    latest.delete(conflict.domain);
+    latest.set(conflict.domain, { ...conflict, at });
+  }
+  return [...latest.values()].slice(-INCOGNITO_TAG_CONFLICTS_MAX);
+}
+
+if (typeof module !== 'undefined') {
+  module.exports = {
+    INCOGNITO_SYNC_KEY,
+    INCOGNITO_SYNC_APPLIED_KEY,
+    INCOGNITO_SYNC_APPLIED_MAX,
+    INCOGNITO_TAG_CONFLICTS_KEY,
+    INCOGNITO_TAG_CONFLICTS_MAX,
+    readSyncQueue,
+    appendSyncBatch,
+    mergeSyncDay,
+    mergeSyncDomainTags,
+    mergeSyncBatches,
+    addSyncConflicts
+  };
+}
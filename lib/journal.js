@@ -0,0 +1,88 @@
+/**
+ * Website Time Tracker - Tracker event journal
+ * Shared by the service worker (importScripts) and the dashboard (<script>).
+ *
+ * When settings.journalEnabled is on, the service worker records each tab, window and idle
+ * event it handles under JOURNAL_KEY, keeping the last JOURNAL_MAX_ENTRIES. An entry is
+ * { at, type, tabId?, windowId?, idleState?, url?, active?, session?, error?, where? }:
+ * active is the { windowId, tabId, url } the browser reported as focused when the event
+ * arrived, session is the { from, to } change the event caused (absent when it kept the
+ * session), and error is the message of an error the handler caught. Entries of type
+ * 'error' come from a recovery path inside a handler; where names it. URLs are kept
+ * without their query string or fragment.
+ */
+
+const JOURNAL_KEY = 'trackerJournal';
+const JOURNAL_MAX_ENTRIES = 500;
+
+/** The journal with entries appended, dropping the oldest beyond max. */
+function appendJournalEntries(journal, entries, max = JOURNAL_MAX_ENTRIES) {
+  const all = [...(Array.isArray(journal) ? journal : []), ...(entries || [])];
+  return all.length > max ? all.slice(all.length - max) : all;
+}
+
+/** Origin and path of a URL (no query or fragment), or '' when it cannot be parsed. */
+function journalUrl(url) {
+  if (!url) return '';
+  try {
+    const u = new URL(url);
+    return u.origin !== 'null' ? u.origin + u.pathname : u.protocol + u.pathname;
+  } catch {
+    return '';
+  }
+}
+
+/** The part of a tracker session a journal entry keeps: { domain, path?, tabId }, or null. */
+function journalSessionRef(session) {
+  if (session?.domain == null) return null;
+  const ref = { domain: session.domain, tabId: session.tabId ?? null };
+  if (session.path) ref.path = session.path;
+  return ref;
+}
+
+/** { from, to } when the tracked site, path or tab changed between two refs, else null. */
+function describeSessionTransition(before, after) {
+  const same = before === after || (before && after &&
+    before.domain === after.domain && (before.path || null) === (after.path || null) && before.tabId === after.tabId);
+  return same ? null : { from: before || null, to: after || null };
+}
+
+function errorMessage(err) {
+  if (err == null) return '';
+  return err.message || String(err);
+}
+
+function formatSessionRef(ref) {
+  if (!ref) return 'nothing';
+  const site = ref.path ? ref.domain + ref.path : ref.domain;
+  return ref.tabId != null ? `${site} (tab ${ref.tabId})` : site;
+}
+
+/** One-line description of an entry's event, e.g. "tabActivated tab 12 · window 3". */
+function formatJournalEvent(entry) {
+  const parts = [entry.type === 'error' ? `error in ${entry.where || 'handler'}` : entry.type];
+  if (entry.tabId != null) parts.push(`tab ${entry.tabId}`);
+  if (entry.windowId != null) parts.push(`window ${entry.windowId}`);
+  if (entry.idleState) parts.push(entry.idleState);
+  return parts.join(' · ');
+}
+
+/** "a.com (tab 1) → b.com (tab 2)", or '' for an entry that kept the session. */
+function formatJournalTransition(entry) {
+  if (!entry.session) return '';
+  return `${formatSessionRef(entry.session.from)} → ${formatSessionRef(entry.session.to)}`;
+}
+
+if (typeof module !== 'undefined') {
+  module.exports = {
+    JOURNAL_KEY,
+    JOURNAL_MAX_ENTRIES,
+    appendJournalEntries,
+    journalUrl,
+    journalSessionRef,
+    describeSessionTransition,
+    errorMessage,
+    formatJournalEvent,
+    formatJournalTransition
+  };
+}
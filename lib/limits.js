@@ -0,0 +1,45 @@
+/**
+ * Website Time Tracker - Daily limits
+ * Used by the service worker (importScripts).
+ * Load lib/domains.js and lib/tag-list.js first.
+ *
+ * A limit is { kind: 'domain' | 'tag', target, minutes }. Usage is the day's stored time
+ * on the sites it covers; the worker adds the running session's unsaved time.
+ */
+
+const limitDeps = typeof getTagsForDomain === 'function'
+  ? { getTagsForDomain, getDomainGroupKey, withParentTags }
+  : { ...require('./domains.js'), ...require('./tag-list.js') };
+
+/** Stable id for a limit; also the key used for per-day overrides. */
+function limitId(limit) {
+  return limit.kind + ':' + limit.target;
+}
+
+/**
+ * Domain limits also cover subdomains (limit on youtube.com applies to m.youtube.com)
+ * and, when grouping is set up, every host shown under that group or alias label.
+ * Tag limits also cover the tags nested under the tag.
+ */
+function limitAppliesTo(limit, domain, domainTags, grouping) {
+  if (!limit || !domain) return false;
+  if (limit.kind === 'tag') return limitDeps.withParentTags(limitDeps.getTagsForDomain(domain, domainTags, grouping)).includes(limit.target);
+  return domain === limit.target || domain.endsWith('.' + limit.target) ||
+    limitDeps.getDomainGroupKey(domain, grouping) === limit.target;
+}
+
+function getLimitUsageMs(day, limit, domainTags, grouping) {
+  let ms = 0;
+  for (const [domain, data] of Object.entries(day?.domains || {})) {
+    if (limitAppliesTo(limit, domain, domainTags, grouping)) ms += data.ms || 0;
+  }
+  return ms;
+}
+
+if (typeof module !== 'undefined') {
+  module.exports = {
+    limitId,
+    limitAppliesTo,
+    getLimitUsageMs
+  };
+}
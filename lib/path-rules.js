@@ -0,0 +1,73 @@
+/**
+ * Website Time Tracker - Path rules
+ * Shared by the service worker (importScripts) and the popup (<script>).
+ *
+ * A rule splits one site into sub-keys by URL path, e.g.
+ *   github.com/{org}/{repo}   -> "acme/widgets" for github.com/acme/widgets/issues/3
+ *   reddit.com/r/{sub}        -> "r/rust"       for reddit.com/r/rust/comments/...
+ * Literal segments must match, {name} takes any one segment, and the sub-key is
+ * the matched part of the path. The host must match exactly (a leading "www." is ignored).
+ */
+
+/** Returns { host, segments: [{ literal } | { param }] } or { error: string }. */
+function parsePathRule(raw) {
+  const rule = String(raw ?? '').trim().replace(/^[a-z][a-z0-9+.-]*:\/\//i, '');
+  if (!rule) return { error: 'empty rule' };
+  const slash = rule.indexOf('/');
+  if (slash === -1) return { error: 'add at least one path segment, e.g. github.com/{org}' };
+  const host = rule.slice(0, slash).toLowerCase().replace(/^www\./, '');
+  if (!/^[a-z0-9.-]+$/.test(host) || host.split('.').some(l => !l)) return { error: 'invalid hostname' };
+  const parts = rule.slice(slash + 1).split('/').filter(Boolean);
+  if (!parts.length) return { error: 'add at least one path segment, e.g. github.com/{org}' };
+  const segments = [];
+  for (const part of parts) {
+    const param = /^\{([a-z0-9_-]*)\}$/i.exec(part);
+    if (param) segments.push({ param: param[1] || '_' });
+    else if (/[{}\s]/.test(part)) return { error: `invalid segment "${part}"` };
+    else segments.push({ literal: part.toLowerCase() });
+  }
+  return { host, segments };
+}
+
+function validatePathRules(rules) {
+  const errors = [];
+  for (const rule of rules || []) {
+    const parsed = parsePathRule(rule);
+    if (parsed.error) errors.push({ rule, error: parsed.error });
+  }
+  return errors;
+}
+
+/**
+ * Sub-key for the URL under the first matching rule for its hostname, or null.
+ * Sub-keys are lowercased so /Acme/Widgets and /acme/widgets are one key.
+ */
+function getPathKey(hostname, url, rules) {
+  if (!hostname || !url || !rules?.length) return null;
+  let pathParts;
+  for (const raw of rules) {
+    const rule = parsePathRule(raw);
+    if (rule.error || rule.host !== hostname) continue;
+    if (!pathParts) {
+      try {
+        pathParts = new URL(url).pathname.split('/').filter(Boolean).map(p => {
+          try {
+            return decodeURIComponent(p).toLowerCase();
+          } catch {
+            return p.toLowerCase();
+          }
+        });
+      } catch {
+        return null;
+      }
+    }
+    if (pathParts.length < rule.segments.length) continue;
+    const matches = rule.segments.every((seg, i) => seg.param || seg.literal === pathParts[i]);
+    if (matches) return pathParts.slice(0, rule.segments.length).join('/');
+  }
+  return null;
+}
+
+if (typeof module !== 'undefined') {
+  module.exports = { parsePathRule, validatePathRules, getPathKey };
+}
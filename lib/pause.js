@@ -0,0 +1,66 @@
+/**
+ * Website Time Tracker - Pausing
+ * Shared by the service worker (importScripts) and the popup (<script>).
+ * Load lib/dates.js first.
+ *
+ * While tracking is paused nothing is recorded, active or passive. The running pause is
+ * stored as trackingPause { start, until } (until is null for "until I resume"); an alarm
+ * ends a timed pause, and finished pauses go to pauseHistory as { start, end } so the
+ * timeline can show the gaps.
+ */
+
+const pauseDates = typeof getDayBounds === 'function'
+  ? { getDayBounds, getDateKeyAt }
+  : require('./dates.js');
+
+const PAUSE_HISTORY_MAX = 200;
+/** Pause lengths offered in the popup and by keyboard shortcut. */
+const PAUSE_OPTIONS = ['15m', '1h', 'tomorrow', 'indefinite'];
+
+/** When a pause started now ends: a time, or null for "until I resume". 'tomorrow' ends at the next day start. */
+function getPauseUntil(option, now, dayStartHour) {
+  if (option === '15m') return now + 15 * 60000;
+  if (option === '1h') return now + 60 * 60000;
+  if (option === 'tomorrow') {
+    return pauseDates.getDayBounds(pauseDates.getDateKeyAt(now, dayStartHour), dayStartHour).dayEnd + 1;
+  }
+  return null;
+}
+
+function createPause(option, now, dayStartHour) {
+  return { start: now, until: getPauseUntil(option, now, dayStartHour) };
+}
+
+function isPauseActive(pause, now) {
+  return pause?.start != null && (pause.until == null || pause.until > now);
+}
+
+/** The pauseHistory record for a pause ended at now (or when its timer ran out, if earlier). */
+function endPause(pause, now) {
+  const end = pause.until != null ? Math.min(pause.until, now) : now;
+  return { start: pause.start, end: Math.max(pause.start, end) };
+}
+
+function addPauseToHistory(history, record) {
+  return [...(Array.isArray(history) ? history : []), record].slice(-PAUSE_HISTORY_MAX);
+}
+
+/** Past and running pauses overlapping [from, to], newest first; the running one ends now. */
+function getPauseWindows(history, pause, from, to, now) {
+  const windows = (Array.isArray(history) ? history : []).map(p => ({ start: p.start, end: p.end }));
+  if (isPauseActive(pause, now)) windows.push({ start: pause.start, end: now, until: pause.until, running: true });
+  return windows.filter(w => w.start <= to && w.end >= from).sort((a, b) => b.end - a.end);
+}
+
+if (typeof module !== 'undefined') {
+  module.exports = {
+    PAUSE_HISTORY_MAX,
+    PAUSE_OPTIONS,
+    getPauseUntil,
+    createPause,
+    isPauseActive,
+    endPause,
+    addPauseToHistory,
+    getPauseWindows
+  };
+}
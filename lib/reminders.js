@@ -0,0 +1,88 @@
+/**
+ * Website Time Tracker - Threshold reminders
+ * Shared by the service worker (importScripts) and the popup (<script>).
+ *
+ * A reminder is one of:
+ *   { kind: 'domain', target: 'reddit.com', minutes: 45 }  time on a site today
+ *   { kind: 'continuous', minutes: 60 }                    one uninterrupted stretch on a site
+ *   { kind: 'tagShare', target: 'Social', percent: 20 }    a tag's share of today's time
+ * The service worker measures them; checkReminder decides whether one is crossed and
+ * words the notification. Each notification key is shown once per day (reminderLog)
+ * unless it was snoozed.
+ */
+
+const REMINDER_KINDS = ['domain', 'continuous', 'tagShare'];
+const REMINDER_SNOOZE_MS = 15 * 60 * 1000;
+const REMINDER_MUTE_MS = 60 * 60 * 1000;
+/** A tag's share is not judged before the day has this much tracked time. */
+const TAG_SHARE_MIN_DAY_MS = 30 * 60 * 1000;
+
+function formatReminderMs(ms) {
+  const minutes = Math.round(ms / 60000);
+  if (minutes < 60) return minutes + ' min';
+  return Math.floor(minutes / 60) + 'h' + (minutes % 60 ? ' ' + (minutes % 60) + 'm' : '');
+}
+
+function describeReminder(reminder) {
+  if (reminder.kind === 'continuous') return `${formatReminderMs(reminder.minutes * 60000)} continuous on one site`;
+  if (reminder.kind === 'tagShare') return `${reminder.target} over ${reminder.percent}% of the day`;
+  return `${formatReminderMs(reminder.minutes * 60000)} on ${reminder.target}`;
+}
+
+/**
+ * Whether a reminder is crossed by its measurement and, if so, its notification:
+ * { key, title, message }. measurement is { ms } for 'domain', { ms, domain } for
+ * 'continuous' and { ms, totalMs } (tag time, all time) for 'tagShare'.
+ */
+function checkReminder(reminder, measurement) {
+  const ms = measurement?.ms || 0;
+  if (reminder?.kind === 'tagShare') {
+    const totalMs = measurement?.totalMs || 0;
+    if (!(reminder.percent > 0) || totalMs < TAG_SHARE_MIN_DAY_MS || ms * 100 < reminder.percent * totalMs) return null;
+    return {
+      key: 'tagShare:' + reminder.target,
+      title: `${reminder.target} over ${reminder.percent}% today`,
+      message: `${reminder.target} is ${Math.round((ms / totalMs) * 100)}% of today's time (${formatReminderMs(ms)} of ${formatReminderMs(totalMs)}).`
+    };
+  }
+  if (!(reminder?.minutes > 0) || ms < reminder.minutes * 60000) return null;
+  if (reminder.kind === 'continuous') {
+    if (!measurement.domain) return null;
+    return {
+      key: 'continuous:' + measurement.domain,
+      title: 'Time for a break?',
+      message: `You've been on ${measurement.domain} for ${formatReminderMs(ms)} without a break.`
+    };
+  }
+  return {
+    key: 'domain:' + reminder.target,
+    title: `${formatReminderMs(reminder.minutes * 60000)} on ${reminder.target}`,
+    message: `You've spent ${formatReminderMs(ms)} on ${reminder.target} today.`
+  };
+}
+
+/** Not shown yet today, or snoozed and the snooze is over. entry is the reminderLog entry. */
+function isReminderDue(entry, now) {
+  return !entry || (entry.snoozedUntil != null && now >= entry.snoozedUntil);
+}
+
+/** Quiet hours run from startHour to endHour (local), past midnight if end <= start; null is off. */
+function isInQuietHours(time, startHour, endHour) {
+  if (startHour == null || endHour == null || startHour === endHour) return false;
+  const hour = new Date(time).getHours();
+  return startHour < endHour ? hour >= startHour && hour < endHour : hour >= startHour || hour < endHour;
+}
+
+if (typeof module !== 'undefined') {
+  module.exports = {
+    REMINDER_KINDS,
+    REMINDER_SNOOZE_MS,
+    REMINDER_MUTE_MS,
+    TAG_SHARE_MIN_DAY_MS,
+    formatReminderMs,
+    describeReminder,
+    checkReminder,
+    isReminderDue,
+    isInQuietHours
+  };
+}
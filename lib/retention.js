@@ -0,0 +1,106 @@
+/**
+ * Website Time Tracker - Data retention
+ * Shared by the service worker (importScripts) and the popup (<script>).
+ *
+ * Days older than the detailed-timeline window are compacted: their timeline blocks
+ * are folded into hourly per-domain buckets (day.hourly) and the timeline is emptied.
+ * day.domains is never touched, so totals stay exact. Days older than the delete
+ * window (if set) are removed entirely.
+ */
+
+const HOUR_MS = 60 * 60 * 1000;
+/** Nothing is compacted until a window is chosen in Settings. */
+const DEFAULT_DETAILED_TIMELINE_DAYS = 0;
+
+/** Start of the local hour containing ts. */
+function hourStart(ts) {
+  const d = new Date(ts);
+  d.setMinutes(0, 0, 0);
+  return d.getTime();
+}
+
+/** Active time in a timeline block; hourly buckets carry their own ms. */
+function timelineBlockMs(block) {
+  if (typeof block?.ms === 'number') return block.ms;
+  return Math.max(0, (block?.end || 0) - (block?.start || 0));
+}
+
+/**
+ * Folds timeline blocks into [{ start, domain, ms, schedule? }] buckets, one per local hour,
+ * domain and schedule (lib/schedules.js), sorted by hour. Blocks spanning an hour boundary
+ * are split across buckets.
+ * Existing buckets (from an earlier compaction) are merged in.
+ */
+function compactTimeline(timeline, hourly) {
+  const buckets = new Map();
+  const add = (start, domain, ms, schedule) => {
+    if (!domain || ms <= 0) return;
+    const key = start + '|' + domain + '|' + (schedule || '');
+    const bucket = buckets.get(key);
+    if (bucket) bucket.ms += ms;
+    else buckets.set(key, schedule ? { start, domain, ms, schedule } : { start, domain, ms });
+  };
+  for (const bucket of hourly || []) add(bucket.start, bucket.domain, bucket.ms || 0, bucket.schedule);
+  for (const block of timeline || []) {
+    if (!block || block.start == null || block.end == null) continue;
+    let t = block.start;
+    while (t < block.end) {
+      const hour = hourStart(t);
+      const next = Math.min(block.end, hour + HOUR_MS);
+      add(hour, block.domain, next - t, block.schedule);
+      t = next;
+    }
+  }
+  return [...buckets.values()].sort((a, b) => a.start - b.start || a.domain.localeCompare(b.domain));
+}
+
+/**
+ * Compacted copy of a day; domains (and their path sub-keys) are kept as they are.
+ * Passive time (day.passive) is compacted the same way, into its own buckets.
+ */
+function compactDay(day) {
+  const compacted = {
+    ...day,
+    timeline: [],
+    hourly: compactTimeline(day.timeline, day.hourly),
+    compacted: true
+  };
+  if (day.passive) {
+    compacted.passive = { ...day.passive, timeline: [], hourly: compactTimeline(day.passive.timeline, day.passive.hourly) };
+  }
+  return compacted;
+}
+
+/** Hourly buckets as read-only timeline blocks spanning their hour. */
+function hourlyToBlocks(hourly) {
+  return (hourly || []).map(b => {
+    const block = { start: b.start, end: b.start + HOUR_MS, domain: b.domain, ms: b.ms, hourly: true };
+    if (b.schedule) block.schedule = b.schedule;
+    return block;
+  });
+}
+
+/**
+ * Which stored days to compact and delete. Keys before compactBeforeKey are compacted
+ * unless before alreadyCompactedBeforeKey; keys before deleteBeforeKey (if any) are deleted.
+ */
+function planRetention(dateKeys, compactBeforeKey, deleteBeforeKey, alreadyCompactedBeforeKey) {
+  const remove = deleteBeforeKey ? dateKeys.filter(k => k < deleteBeforeKey) : [];
+  const compact = compactBeforeKey
+    ? dateKeys.filter(k => k < compactBeforeKey && !remove.includes(k) &&
+        !(alreadyCompactedBeforeKey && k < alreadyCompactedBeforeKey))
+    : [];
+  return { compact, remove };
+}
+
+if (typeof module !== 'undefined') {
+  module.exports = {
+    HOUR_MS,
+    DEFAULT_DETAILED_TIMELINE_DAYS,
+    timelineBlockMs,
+    compactTimeline,
+    compactDay,
+    hourlyToBlocks,
+    planRetention
+  };
+}
@@ -0,0 +1,170 @@
+/**
+ * Website Time Tracker - Tracking schedules
+ * Shared by the service worker (importScripts) and the popup (<script>).
+ * Load lib/exclusions.js and lib/retention.js first.
+ *
+ * A schedule is a named weekly time window: { name, days, start, end } with days 'all',
+ * 'weekdays' or 'weekends' and start/end as "HH:MM" local times (an end at or before the
+ * start runs past midnight). Schedules are kept in list order under "schedules"; the name
+ * is the id. Timeline blocks are split where a schedule begins or ends, and a block inside
+ * one gets schedule: name (the first in the list when they overlap), so reports can be
+ * split by schedule. Blocks recorded before a schedule existed count as outside it.
+ *
+ * settings.trackOnlySchedule names a schedule outside of which nothing is tracked, or
+ * only the sites matching settings.trackOnlyScheduleDomains (exclusion patterns) when
+ * that list is not empty.
+ */
+
+const scheduleDeps = typeof isExcludedUrl === 'function'
+  ? { isExcludedUrl, timelineBlockMs }
+  : { ...require('./exclusions.js'), ...require('./retention.js') };
+
+const SCHEDULE_DAYS = ['all', 'weekdays', 'weekends'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/** Minutes after midnight for "HH:MM", or null. */
+function parseClockMinutes(value) {
+  const m = /^(\d{1,2}):(\d{2})$/.exec(String(value ?? '').trim());
+  if (!m) return null;
+  const hours = Number(m[1]);
+  const minutes = Number(m[2]);
+  return hours <= 23 && minutes <= 59 ? hours * 60 + minutes : null;
+}
+
+/** Error message for a new schedule, or null. existing is the current list. */
+function validateSchedule(schedule, existing) {
+  const name = String(schedule?.name ?? '').trim();
+  if (!name) return 'Enter a name.';
+  if ((existing || []).some(s => s.name === name)) return `A schedule named "${name}" already exists.`;
+  if (!SCHEDULE_DAYS.includes(schedule.days)) return 'Pick the days.';
+  const start = parseClockMinutes(schedule.start);
+  const end = parseClockMinutes(schedule.end);
+  if (start == null || end == null) return 'Enter a start and end time.';
+  if (start === end) return 'The end must differ from the start.';
+  return null;
+}
+
+function scheduleRunsOn(schedule, weekday) {
+  if (schedule.days === 'weekdays') return weekday >= 1 && weekday <= 5;
+  if (schedule.days === 'weekends') return weekday === 0 || weekday === 6;
+  return true;
+}
+
+/** The schedule's windows [{ start, end }] overlapping [from, to), oldest first. */
+function getScheduleIntervals(schedule, from, to) {
+  const startMin = parseClockMinutes(schedule?.start);
+  const endMin = parseClockMinutes(schedule?.end);
+  if (startMin == null || endMin == null || startMin === endMin || !(to > from)) return [];
+  const intervals = [];
+  // Start a day early for windows that run past midnight into the range.
+  const day = new Date(from - DAY_MS);
+  day.setHours(0, 0, 0, 0);
+  while (day.getTime() < to) {
+    if (scheduleRunsOn(schedule, day.getDay())) {
+      const start = new Date(day.getFullYear(), day.getMonth(), day.getDate(), 0, startMin).getTime();
+      const endDay = endMin > startMin ? day.getDate() : day.getDate() + 1;
+      const end = new Date(day.getFullYear(), day.getMonth(), endDay, 0, endMin).getTime();
+      if (end > from && start < to) intervals.push({ start, end });
+    }
+    day.setDate(day.getDate() + 1);
+  }
+  return intervals;
+}
+
+function isScheduleRunning(schedule, time) {
+  return getScheduleIntervals(schedule, time, time + 1).length > 0;
+}
+
+/** Name of the first schedule running at time, or null. */
+function getScheduleAt(schedules, time) {
+  return (schedules || []).find(s => isScheduleRunning(s, time))?.name ?? null;
+}
+
+/**
+ * Splits [start, end) where any schedule begins or ends: [{ start, end, schedule }] with
+ * schedule the name running during that piece or null. Empty when end <= start.
+ */
+function splitAtSchedules(start, end, schedules) {
+  if (!(end > start)) return [];
+  const cuts = new Set([start, end]);
+  for (const schedule of schedules || []) {
+    for (const interval of getScheduleIntervals(schedule, start, end)) {
+      if (interval.start > start && interval.start < end) cuts.add(interval.start);
+      if (interval.end > start && interval.end < end) cuts.add(interval.end);
+    }
+  }
+  const points = [...cuts].sort((a, b) => a - b);
+  const pieces = [];
+  for (let i = 0; i < points.length - 1; i++) {
+    pieces.push({ start: points[i], end: points[i + 1], schedule: getScheduleAt(schedules, points[i]) });
+  }
+  return pieces;
+}
+
+/** The schedule settings.trackOnlySchedule names, or null when tracking is not limited. */
+function getTrackingSchedule(settings, schedules) {
+  if (!settings?.trackOnlySchedule) return null;
+  return (schedules || []).find(s => s.name === settings.trackOnlySchedule) || null;
+}
+
+/** False when the site is limited to a schedule that is not running at time. */
+function isTrackedBySchedule(hostname, url, time, settings, schedules) {
+  const schedule = getTrackingSchedule(settings, schedules);
+  if (!schedule) return true;
+  const domains = settings.trackOnlyScheduleDomains || [];
+  if (domains.length && !scheduleDeps.isExcludedUrl(hostname, url, domains)) return true;
+  return isScheduleRunning(schedule, time);
+}
+
+/** The next time after time at which the schedule begins or ends (within a week), or null. */
+function getNextScheduleBoundary(schedule, time) {
+  const points = getScheduleIntervals(schedule, time, time + 8 * DAY_MS)
+    .flatMap(i => [i.start, i.end])
+    .filter(t => t > time);
+  return points.length ? Math.min(...points) : null;
+}
+
+/** End of the schedule's last window that ended at or before time, or null. */
+function getLastScheduleEnd(schedule, time) {
+  const ends = getScheduleIntervals(schedule, time - 8 * DAY_MS, time + 1)
+    .map(i => i.end)
+    .filter(t => t <= time);
+  return ends.length ? Math.max(...ends) : null;
+}
+
+/**
+ * Domain totals ({ domain: { ms, paths? } }) of the timeline blocks recorded in a schedule,
+ * or outside every schedule when scheduleName is null.
+ */
+function summarizeScheduleDomains(timeline, scheduleName) {
+  const domains = {};
+  for (const block of timeline || []) {
+    if ((block.schedule || null) !== scheduleName) continue;
+    const ms = scheduleDeps.timelineBlockMs(block);
+    if (!block.domain || ms <= 0) continue;
+    const entry = domains[block.domain] || (domains[block.domain] = { ms: 0 });
+    entry.ms += ms;
+    if (block.path) {
+      if (!entry.paths) entry.paths = {};
+      entry.paths[block.path] = { ms: (entry.paths[block.path]?.ms || 0) + ms };
+    }
+  }
+  return domains;
+}
+
+if (typeof module !== 'undefined') {
+  module.exports = {
+    SCHEDULE_DAYS,
+    parseClockMinutes,
+    validateSchedule,
+    getScheduleIntervals,
+    isScheduleRunning,
+    getScheduleAt,
+    splitAtSchedules,
+    getTrackingSchedule,
+    isTrackedBySchedule,
+    getNextScheduleBoundary,
+    getLastScheduleEnd,
+    summarizeScheduleDomains
+  };
+}
@@ -0,0 +1,135 @@
+/**
+ * Website Time Tracker - Day storage
+ * Shared by the service worker (importScripts) and the popup (<script>).
+ *
+ * Each day is stored under its own key ("day:2025-02-13") so reads and writes only
+ * touch the days involved; "dayIndex" is the sorted list of stored date keys.
+ * Older versions kept every day in one "days" object; migrateDayStorage() splits it.
+ */
+
+const DAY_KEY_PREFIX = 'day:';
+const DAY_INDEX_KEY = 'dayIndex';
+
+function dayStorageKey(dateKey) {
+  return DAY_KEY_PREFIX + dateKey;
+}
+
+function dateKeyFromStorageKey(storageKey) {
+  return storageKey.startsWith(DAY_KEY_PREFIX) ? storageKey.slice(DAY_KEY_PREFIX.length) : null;
+}
+
+/** Date keys whose day changed in a chrome.storage.onChanged event. */
+function changedDateKeys(changes) {
+  return Object.keys(changes || {}).map(dateKeyFromStorageKey).filter(Boolean);
+}
+
+/** Returns { [dateKey]: day } for the stored days among dateKeys. */
+async function loadDays(dateKeys) {
+  if (!dateKeys?.length) return {};
+  const raw = await chrome.storage.local.get(dateKeys.map(dayStorageKey));
+  const days = {};
+  for (const dateKey of dateKeys) {
+    const day = raw[dayStorageKey(dateKey)];
+    if (day) days[dateKey] = day;
+  }
+  return days;
+}
+
+async function loadDay(dateKey) {
+  return (await loadDays([dateKey]))[dateKey] || null;
+}
+
+async function listDayKeys() {
+  const { [DAY_INDEX_KEY]: index } = await chrome.storage.local.get(DAY_INDEX_KEY);
+  return Array.isArray(index) ? index : [];
+}
+
+/** Every stored day; only for whole-history actions such as export. */
+async function loadAllDays() {
+  return loadDays(await listDayKeys());
+}
+
+/**
+ * Writes the given days (and any extra items) in one storage call,
+ * adding new date keys to the index.
+ */
+async function saveDays(daysByKey, extraItems) {
+  const items = { ...(extraItems || {}) };
+  const dateKeys = Object.keys(daysByKey || {});
+  for (const dateKey of dateKeys) items[dayStorageKey(dateKey)] = daysByKey[dateKey];
+  if (dateKeys.length) {
+    const index = await listDayKeys();
+    const missing = dateKeys.filter(k => !index.includes(k));
+    if (missing.length) items[DAY_INDEX_KEY] = [...index, ...missing].sort();
+  }
+  await chrome.storage.local.set(items);
+}
+
+async function deleteDays(dateKeys) {
+  if (!dateKeys?.length) return;
+  await chrome.storage.local.remove(dateKeys.map(dayStorageKey));
+  const index = await listDayKeys();
+  await chrome.storage.local.set({ [DAY_INDEX_KEY]: index.filter(k => !dateKeys.includes(k)) });
+}
+
+/**
+ * Folds legacy days into already-split ones (a write may land before the
+ * migration runs): totals are added and timelines concatenated.
+ */
+function mergeLegacyDays(legacyDays, storedDays) {
+  const result = {};
+  for (const [dateKey, legacy] of Object.entries(legacyDays || {})) {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(dateKey) || !legacy || typeof legacy.domains !== 'object') continue;
+    const stored = storedDays?.[dateKey];
+    if (!stored) {
+      result[dateKey] = { ...legacy, timeline: legacy.timeline || [] };
+      continue;
+    }
+    const domains = { ...legacy.domains };
+    for (const [domain, data] of Object.entries(stored.domains || {})) {
+      const prev = domains[domain] || { ms: 0 };
+      const paths = { ...(prev.paths || {}) };
+      for (const [path, p] of Object.entries(data.paths || {})) {
+        paths[path] = { ms: (paths[path]?.ms || 0) + (p.ms || 0) };
+      }
+      domains[domain] = { ...prev, ms: (prev.ms || 0) + (data.ms || 0), ...(Object.keys(paths).length ? { paths } : {}) };
+    }
+    const timeline = [...(legacy.timeline || []), ...(stored.timeline || [])]
+      .sort((a, b) => (a.start || 0) - (b.start || 0));
+    result[dateKey] = { ...legacy, ...stored, domains, timeline };
+  }
+  return result;
+}
+
+/**
+ * Moves a legacy "days" object into per-day keys and rebuilds the index from the
+ * stored day keys. Safe to run on every startup.
+ */
+async function migrateDayStorage() {
+  const { days: legacyDays } = await chrome.storage.local.get('days');
+  if (legacyDays && typeof legacyDays === 'object') {
+    const stored = await loadDays(Object.keys(legacyDays));
+    await saveDays(mergeLegacyDays(legacyDays, stored));
+    await chrome.storage.local.remove('days');
+  }
+  const storageKeys = typeof chrome.storage.local.getKeys === 'function'
+    ? await chrome.storage.local.getKeys()
+    : Object.keys(await chrome.storage.local.get(null));
+  const index = storageKeys.map(dateKeyFromStorageKey).filter(Boolean).sort();
+  await chrome.storage.local.set({ [DAY_INDEX_KEY]: index });
+}
+
+if (typeof module !== 'undefined') {
+  module.exports = {
+    dayStorageKey,
+    changedDateKeys,
+    loadDays,
+    loadDay,
+    listDayKeys,
+    loadAllDays,
+    saveDays,
+    deleteDays,
+    mergeLegacyDays,
+    migrateDayStorage
+  };
+}
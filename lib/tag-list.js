@@ -0,0 +1,111 @@
+/**
+ * Website Time Tracker - Tag list
+ * Shared by the service worker (importScripts), the popup and the dashboard (<script>).
+ *
+ * The tag list is stored as [{ name, color }] sorted by name. Tags nest with "/" in the name
+ * ("Work/Meetings" is a child of "Work"), and time on a site counts toward its tags and every
+ * parent above them. Older versions stored plain names; normalizeTagList reads both, and the
+ * service worker rewrites the old format once (see needsTagListMigration).
+ */
+
+const TAG_SEPARATOR = '/';
+/** Default tag colors, handed out in list order; the toolbar badge used these before tags had colors. */
+const TAG_COLORS = [
+  '#7aa2f7', '#bb9af7', '#9ece6a', '#e0af68', '#f7768e',
+  '#2ac3de', '#ff9e64', '#73daca', '#c0caf5', '#565f89'
+];
+const TAG_COLOR_PATTERN = /^#[0-9a-f]{6}$/i;
+
+/** "Work / Meetings/" → "Work/Meetings": levels trimmed, empty ones dropped; '' if nothing is left. */
+function normalizeTagName(name) {
+  return String(name ?? '').split(TAG_SEPARATOR).map(s => s.trim()).filter(Boolean).join(TAG_SEPARATOR);
+}
+
+/** Parents of a nested tag, outermost first: "Work/Meetings/1:1" → ["Work", "Work/Meetings"]. */
+function getParentTags(tag) {
+  const levels = String(tag ?? '').split(TAG_SEPARATOR);
+  return levels.slice(0, -1).map((_, i) => levels.slice(0, i + 1).join(TAG_SEPARATOR));
+}
+
+/** The tags with every parent added, each once; time and limits on a tag also count for its parents. */
+function withParentTags(tags) {
+  const all = new Set();
+  for (const tag of tags || []) {
+    for (const parent of getParentTags(tag)) all.add(parent);
+    all.add(tag);
+  }
+  return [...all];
+}
+
+/** True for the tag itself and every tag nested below it. */
+function isTagOrChild(tag, ancestor) {
+  return tag === ancestor || String(tag ?? '').startsWith(ancestor + TAG_SEPARATOR);
+}
+
+/** The name below a tag's parent: "Work/Meetings" → "Meetings". */
+function getTagLeafName(tag) {
+  const levels = String(tag ?? '').split(TAG_SEPARATOR);
+  return levels[levels.length - 1];
+}
+
+/**
+ * The stored tag list as [{ name, color }], sorted by name, each name once. Parents of
+ * nested tags are added when missing. Plain names and entries without a valid color take
+ * the first default color no other tag uses, so an old list keeps its badge colors.
+ */
+function normalizeTagList(list) {
+  const byName = new Map();
+  for (const entry of Array.isArray(list) ? list : []) {
+    const name = normalizeTagName(typeof entry === 'string' ? entry : entry?.name);
+    if (!name || byName.has(name)) continue;
+    byName.set(name, typeof entry === 'object' && TAG_COLOR_PATTERN.test(entry.color || '') ? entry.color : null);
+  }
+  for (const name of [...byName.keys()]) {
+    for (const parent of getParentTags(name)) if (!byName.has(parent)) byName.set(parent, null);
+  }
+  const used = new Set([...byName.values()].filter(Boolean).map(c => c.toLowerCase()));
+  let reused = 0;
+  return [...byName.keys()].sort().map(name => {
+    let color = byName.get(name);
+    if (!color) {
+      color = TAG_COLORS.find(c => !used.has(c)) || TAG_COLORS[reused++ % TAG_COLORS.length];
+      used.add(color);
+    }
+    return { name, color };
+  });
+}
+
+/** True when the stored list still needs rewriting by normalizeTagList (plain names, missing colors). */
+function needsTagListMigration(list) {
+  return Array.isArray(list) && JSON.stringify(list) !== JSON.stringify(normalizeTagList(list));
+}
+
+function getTagNames(tagList) {
+  return normalizeTagList(tagList).map(t => t.name);
+}
+
+/** A tag's color, or its nearest parent's when the tag is not in the list; null if neither is. */
+function getTagColor(tagList, tag) {
+  const colors = new Map(normalizeTagList(tagList).map(t => [t.name, t.color]));
+  for (const name of [tag, ...getParentTags(tag).reverse()]) {
+    if (colors.has(name)) return colors.get(name);
+  }
+  return null;
+}
+
+if (typeof module !== 'undefined') {
+  module.exports = {
+    TAG_SEPARATOR,
+    TAG_COLORS,
+    TAG_COLOR_PATTERN,
+    normalizeTagName,
+    getParentTags,
+    withParentTags,
+    isTagOrChild,
+    getTagLeafName,
+    normalizeTagList,
+    needsTagListMigration,
+    getTagNames,
+    getTagColor
+  };
+}
@@ -0,0 +1,58 @@
+/**
+ * Website Time Tracker - Automatic tagging rules
+ * Shared by the service worker (importScripts) and the popup (<script>).
+ * Load lib/exclusions.js first; rule patterns use its hostname syntax (*.edu, .google.com).
+ *
+ * Rules are ordered and the first match wins. Tags written by a rule are marked in
+ * autoTaggedDomains; any other domainTags entry is a manual assignment and is never
+ * overwritten by rules.
+ */
+
+const tagRulePatterns = typeof compileExcludePattern === 'function'
+  ? { compileExcludePattern }
+  : require('./exclusions.js');
+
+function validateTagRulePattern(pattern) {
+  if (String(pattern ?? '').includes('/')) return 'tag rules match hostnames only (no paths)';
+  const compiled = tagRulePatterns.compileExcludePattern(pattern);
+  return compiled.error || null;
+}
+
+/** First rule whose pattern matches the hostname, or null. */
+function findTagRule(hostname, rules) {
+  if (!hostname) return null;
+  for (const rule of rules || []) {
+    if (!rule?.tags?.length || validateTagRulePattern(rule.pattern)) continue;
+    if (tagRulePatterns.compileExcludePattern(rule.pattern).host.test(hostname)) return rule;
+  }
+  return null;
+}
+
+/**
+ * Re-applies rules to the given domains. Manual assignments are skipped; auto tags
+ * whose rule no longer matches are removed. Returns new objects and the change count.
+ */
+function applyTagRules(domains, domainTags, autoTaggedDomains, rules) {
+  const nextTags = { ...(domainTags || {}) };
+  const nextAuto = { ...(autoTaggedDomains || {}) };
+  let changed = 0;
+  for (const domain of domains) {
+    const isManual = nextTags[domain] !== undefined && !nextAuto[domain];
+    if (isManual) continue;
+    const rule = findTagRule(domain, rules);
+    const before = JSON.stringify(nextTags[domain]);
+    if (rule) {
+      nextTags[domain] = [...rule.tags];
+      nextAuto[domain] = true;
+    } else {
+      delete nextTags[domain];
+      delete nextAuto[domain];
+    }
+    if (JSON.stringify(nextTags[domain]) !== before) changed++;
+  }
+  return { domainTags: nextTags, autoTaggedDomains: nextAuto, changed };
+}
+
+if (typeof module !== 'undefined') {
+  module.exports = { validateTagRulePattern, findTagRule, applyTagRules };
+}
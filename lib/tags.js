@@ -0,0 +1,194 @@
+/**
+ * Website Time Tracker - Tag edits
+ * Shared by the popup and the dashboard (<script>).
+ * Load lib/tag-list.js and lib/focus.js first.
+ *
+ * Tags are referenced from several storage keys (TAG_STORAGE_KEYS). These functions take
+ * the stored items and return only the changed ones, ready for chrome.storage.local.set.
+ * Renaming, merging and deleting a tag also apply to the tags nested under it.
+ */
+
+const tagDeps = typeof getFocusTags === 'function'
+  ? { getFocusTags, normalizeTagName, normalizeTagList, getTagNames, isTagOrChild, TAG_COLOR_PATTERN }
+  : { ...require('./focus.js'), ...require('./tag-list.js') };
+
+const TAG_STORAGE_KEYS = ['tagList', 'domainTags', 'autoTaggedDomains', 'limits', 'tagRules', 'settings', 'goals', 'goalHistory', 'reminders', 'limitOverrides'];
+
+function asArray(value) {
+  return Array.isArray(value) ? value : [];
+}
+
+/** Adds a tag (and any missing parents) to the tag list; null if the name is empty or taken. */
+function addTag(items, name) {
+  const tag = tagDeps.normalizeTagName(name);
+  const list = tagDeps.normalizeTagList(items.tagList);
+  if (!tag || list.some(t => t.name === tag)) return null;
+  return { tagList: tagDeps.normalizeTagList([...list, tag]) };
+}
+
+/** Sets a tag's color ("#rrggbb"); null for an unknown tag or an invalid color. */
+function setTagColor(items, tag, color) {
+  const list = tagDeps.normalizeTagList(items.tagList);
+  if (!tagDeps.TAG_COLOR_PATTERN.test(color || '') || !list.some(t => t.name === tag)) return null;
+  return { tagList: list.map(t => (t.name === tag ? { ...t, color } : t)) };
+}
+
+/**
+ * Points an item list at new tags. An item whose tag changes is dropped when its key is
+ * already taken by an item that kept its tag, so the target's own limit or goal wins.
+ */
+function retagItems(list, retag, tagOf, withTag, keyOf) {
+  const items = asArray(list);
+  const moved = item => tagOf(item) != null && retag(tagOf(item)) !== tagOf(item);
+  const keys = new Set(items.filter(item => !moved(item)).map(keyOf));
+  return items.flatMap(item => {
+    if (!moved(item)) return [item];
+    const next = withTag(item, retag(tagOf(item)));
+    if (keys.has(keyOf(next))) return [];
+    keys.add(keyOf(next));
+    return [next];
+  });
+}
+
+/** Applies retag (old name → new name) to every stored reference to a tag. */
+function retagEverywhere(items, retag) {
+  const domainTags = {};
+  for (const [domain, tags] of Object.entries(items.domainTags || {})) {
+    domainTags[domain] = [...new Set((tags || []).map(retag))];
+  }
+  const goalHistory = {};
+  for (const [dateKey, results] of Object.entries(items.goalHistory || {})) {
+    goalHistory[dateKey] = retagItems(results, retag, r => r.tag, (r, tag) => ({ ...r, tag }), r => r.tag + ':' + r.days);
+  }
+  // Limit extensions are keyed by limit id ("tag:<name>") and follow their limit; on a merge
+  // the target's own extension wins, as its limit does.
+  const limitOverrides = {};
+  for (const [dateKey, extras] of Object.entries(items.limitOverrides || {})) {
+    limitOverrides[dateKey] = Object.fromEntries(retagItems(Object.entries(extras || {}), retag,
+      ([id]) => (id.startsWith('tag:') ? id.slice(4) : null), ([, ms], tag) => ['tag:' + tag, ms], ([id]) => id));
+  }
+  const focusTags = tagDeps.getFocusTags(items.settings);
+  return {
+    domainTags,
+    limits: retagItems(items.limits, retag, l => (l.kind === 'tag' ? l.target : null), (l, target) => ({ ...l, target }), l => l.kind + ':' + l.target),
+    goals: retagItems(items.goals, retag, g => g.tag, (g, tag) => ({ ...g, tag }), g => g.tag + ':' + g.days),
+    goalHistory,
+    limitOverrides,
+    reminders: retagItems(items.reminders, retag, r => (r.kind === 'tagShare' ? r.target : null), (r, target) => ({ ...r, target }), r => r.kind + ':' + r.target),
+    tagRules: asArray(items.tagRules).map(r => ({ ...r, tags: [...new Set((r.tags || []).map(retag))] })),
+    settings: {
+      ...(items.settings || {}),
+      focusWorkTag: focusTags.workTag && retag(focusTags.workTag),
+      focusDistractingTags: [...new Set(focusTags.distractingTags.map(retag))]
+    }
+  };
+}
+
+/** Maps a tag and the tags nested under it from one name to another. */
+function subtreeRetag(from, to) {
+  return tag => (tagDeps.isTagOrChild(tag, from) ? to + tag.slice(from.length) : tag);
+}
+
+/**
+ * Renames a tag and the tags nested under it everywhere they are used, keeping their
+ * colors. Null if the new name is empty, already a tag, or nested under the old one.
+ */
+function renameTag(items, from, name) {
+  const to = tagDeps.normalizeTagName(name);
+  const names = tagDeps.getTagNames(items.tagList);
+  if (!to || !names.includes(from) || names.includes(to) || tagDeps.isTagOrChild(to, from)) return null;
+  const retag = subtreeRetag(from, to);
+  const list = tagDeps.normalizeTagList(items.tagList).map(t => ({ ...t, name: retag(t.name) }));
+  return { tagList: tagDeps.normalizeTagList(list), ...retagEverywhere(items, retag) };
+}
+
+/**
+ * Merges a tag into an existing one: its sites, limits, goals, reminders and rules move to
+ * the target, and its nested tags move under the target. Where both tags had a limit, goal
+ * or reminder of the same kind, the target's is kept. Null if either tag is unknown or the
+ * target is the tag itself or nested under it.
+ */
+function mergeTags(items, from, into) {
+  const names = tagDeps.getTagNames(items.tagList);
+  if (!names.includes(from) || !names.includes(into) || tagDeps.isTagOrChild(into, from)) return null;
+  const retag = subtreeRetag(from, into);
+  const list = tagDeps.normalizeTagList(items.tagList);
+  // Tags already under the target come first, so they keep their colors.
+  const kept = list.filter(t => !tagDeps.isTagOrChild(t.name, from));
+  const moved = list.filter(t => tagDeps.isTagOrChild(t.name, from)).map(t => ({ ...t, name: retag(t.name) }));
+  return { tagList: tagDeps.normalizeTagList([...kept, ...moved]), ...retagEverywhere(items, retag) };
+}
+
+/**
+ * Renames a tag from the Settings form, or merges it when the new name is already a tag.
+ * Returns { update } (null when there is nothing to do), with confirm set to the question to
+ * ask before a merge, or { error } with the reason the edit cannot be made.
+ */
+function renameOrMergeTag(items, from, name) {
+  const to = tagDeps.normalizeTagName(name);
+  if (!from || !to || to === from) return { update: null };
+  const names = tagDeps.getTagNames(items.tagList);
+  if (!names.includes(from)) return { error: `Tag "${from}" no longer exists.` };
+  if (tagDeps.isTagOrChild(to, from)) return { error: `"${to}" is nested under "${from}", so "${from}" cannot be moved there.` };
+  if (!names.includes(to)) return { update: renameTag(items, from, to) };
+  return {
+    update: mergeTags(items, from, to),
+    confirm: `Merge tag "${from}" into "${to}"? Its sites, limits, goals and reminders move to "${to}".`
+  };
+}
+
+/**
+ * Deletes a tag and the tags nested under it everywhere: site assignments, tag-based
+ * limits and their extensions, goals and reminders, tagging rules (rules left without tags
+ * are dropped) and the focus tag settings.
+ */
+function removeTag(items, tag) {
+  const removed = t => tagDeps.isTagOrChild(t, tag);
+  const domainTags = {};
+  for (const [domain, tags] of Object.entries(items.domainTags || {})) {
+    const next = (tags || []).filter(t => !removed(t));
+    if (next.length) domainTags[domain] = next;
+  }
+  const limitOverrides = {};
+  for (const [dateKey, extras] of Object.entries(items.limitOverrides || {})) {
+    limitOverrides[dateKey] = Object.fromEntries(Object.entries(extras || {})
+      .filter(([id]) => !(id.startsWith('tag:') && removed(id.slice(4)))));
+  }
+  const focusTags = tagDeps.getFocusTags(items.settings);
+  return {
+    tagList: tagDeps.normalizeTagList(items.tagList).filter(t => !removed(t.name)),
+    domainTags,
+    limits: asArray(items.limits).filter(l => !(l.kind === 'tag' && removed(l.target))),
+    limitOverrides,
+    goals: asArray(items.goals).filter(g => !removed(g.tag)),
+    reminders: asArray(items.reminders).filter(r => !(r.kind === 'tagShare' && removed(r.target))),
+    tagRules: asArray(items.tagRules)
+      .map(r => ({ ...r, tags: (r.tags || []).filter(t => !removed(t)) }))
+      .filter(r => r.tags.length),
+    settings: {
+      ...(items.settings || {}),
+      focusWorkTag: removed(focusTags.workTag) ? '' : focusTags.workTag,
+      focusDistractingTags: focusTags.distractingTags.filter(t => !removed(t))
+    }
+  };
+}
+
+/** Sets a site's tags by hand, which makes them a manual assignment that rules never overwrite. */
+function setDomainTags(items, domain, tags) {
+  const autoTaggedDomains = { ...(items.autoTaggedDomains || {}) };
+  delete autoTaggedDomains[domain];
+  return { domainTags: { ...(items.domainTags || {}), [domain]: [...tags] }, autoTaggedDomains };
+}
+
+if (typeof module !== 'undefined') {
+  module.exports = {
+    TAG_STORAGE_KEYS,
+    addTag,
+    setTagColor,
+    renameTag,
+    mergeTags,
+    renameOrMergeTag,
+    removeTag,
+    setDomainTags
+  };
+}
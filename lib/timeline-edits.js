@@ -0,0 +1,167 @@
+/**
+ * Website Time Tracker - Timeline edits
+ * Shared by the service worker (importScripts) and the popup (<script>).
+ *
+ * Edits change one stored day and keep day.domains in step with its timeline: a block's
+ * change in length is added to (or taken from) its site's ms and its path's ms, so totals,
+ * limits, goals and the pie chart follow every edit. The tracker adds time rounded down to
+ * settings.timeGranularityMs, so edits take granularityMs and count a block as its rounded
+ * length too. Blocks added by hand are marked manual: true and changed blocks edited: true.
+ * Compacted (hourly) and passive blocks are not editable. Each function returns { day }
+ * with a new day object, or { error }.
+ *
+ * The popup does not write days itself: it sends each edit to the worker (EDIT_TIMELINE),
+ * which applies it with applyTimelineEdit in turn with its own writes to the same day.
+ */
+
+/** Rounds recorded time down to the granularity (ms); 0 or none keeps it exact. */
+function roundMs(ms, granularityMs) {
+  if (!granularityMs || granularityMs <= 0) return ms;
+  return Math.floor(ms / granularityMs) * granularityMs;
+}
+
+/** What a block added to its site's total. */
+function blockMs(block, granularityMs) {
+  return roundMs(block.end - block.start, granularityMs);
+}
+
+/**
+ * The site or label a block is recorded under. Something that reads as a site ("docs.com",
+ * "https://www.docs.com/x") becomes its hostname so it joins that site's time; anything
+ * else ("Offline meeting") is a free-form label, kept as typed but trimmed. '' if empty.
+ */
+function normalizeBlockLabel(value) {
+  const label = String(value ?? '').trim();
+  if (/^\S+\.\S+$/.test(label)) {
+    try {
+      return new URL(label.includes('://') ? label : 'https://' + label).hostname.replace(/^www\./, '');
+    } catch {}
+  }
+  return label;
+}
+
+/** Index of a stored block in day.timeline, matched by start, end and hostname. */
+function findTimelineBlock(day, block) {
+  const domain = block.host || block.domain;
+  return (day?.timeline || []).findIndex(b => b.start === block.start && b.end === block.end && b.domain === domain);
+}
+
+/** A copy of the day whose domains, timeline and touched entries can be changed freely. */
+function copyDay(day) {
+  return { ...day, domains: { ...(day.domains || {}) }, timeline: [...(day.timeline || [])] };
+}
+
+function adjustDomainMs(day, domain, path, deltaMs) {
+  const entry = { ...(day.domains[domain] || { ms: 0 }) };
+  entry.ms = Math.max(0, (entry.ms || 0) + deltaMs);
+  if (path) {
+    entry.paths = { ...(entry.paths || {}) };
+    const ms = Math.max(0, (entry.paths[path]?.ms || 0) + deltaMs);
+    if (ms > 0) entry.paths[path] = { ms };
+    else delete entry.paths[path];
+    if (!Object.keys(entry.paths).length) delete entry.paths;
+  }
+  day.domains[domain] = entry;
+  // A site with no time and no blocks left is dropped rather than listed at 0s.
+  if (entry.ms <= 0 && !day.timeline.some(b => b.domain === domain)) delete day.domains[domain];
+}
+
+/**
+ * Checks a block's new times against the day: { dayStart, dayEnd } from getDayBounds and
+ * now (blocks cannot end in the future). ignoreIndex is the block being changed.
+ */
+function validateBlockRange(day, start, end, bounds, ignoreIndex) {
+  if (!Number.isFinite(start) || !Number.isFinite(end) || end <= start) return 'The end must be after the start.';
+  if (start < bounds.dayStart || end > bounds.dayEnd + 1) return 'Both times must fall within this day.';
+  if (bounds.now != null && end > bounds.now) return 'The end cannot be in the future.';
+  const overlapping = (day?.timeline || []).some((b, i) => i !== ignoreIndex && b.start < end && b.end > start);
+  if (overlapping) return 'This overlaps another block on the timeline.';
+  return null;
+}
+
+function deleteTimelineBlock(day, block, granularityMs) {
+  const index = findTimelineBlock(day, block);
+  if (index === -1) return { error: 'This block no longer exists.' };
+  const next = copyDay(day);
+  const [removed] = next.timeline.splice(index, 1);
+  adjustDomainMs(next, removed.domain, removed.path, -blockMs(removed, granularityMs));
+  return { day: next };
+}
+
+/**
+ * Changes a block's times and/or site: changes is { start, end, domain }. A block moved to
+ * another site loses its path, which belonged to the old site.
+ */
+function updateTimelineBlock(day, block, changes, bounds, granularityMs) {
+  const index = findTimelineBlock(day, block);
+  if (index === -1) return { error: 'This block no longer exists.' };
+  const old = day.timeline[index];
+  const start = changes.start ?? old.start;
+  const end = changes.end ?? old.end;
+  const domain = normalizeBlockLabel(changes.domain) || old.domain;
+  if (start === old.start && end === old.end && domain === old.domain) return { day };
+  const error = validateBlockRange(day, start, end, bounds, index);
+  if (error) return { error };
+  const next = copyDay(day);
+  const updated = { ...old, start, end, domain, edited: true };
+  if (domain !== old.domain) delete updated.path;
+  next.timeline[index] = updated;
+  adjustDomainMs(next, old.domain, old.path, -blockMs(old, granularityMs));
+  adjustDomainMs(next, domain, updated.path, blockMs(updated, granularityMs));
+  return { day: next };
+}
+
+/** Splits a block in two at a time inside it; the idle marker (endedBy) stays on the second part. */
+function splitTimelineBlock(day, block, at) {
+  const index = findTimelineBlock(day, block);
+  if (index === -1) return { error: 'This block no longer exists.' };
+  const old = day.timeline[index];
+  if (!(at > old.start && at < old.end)) return { error: 'Pick a time between the block\'s start and end.' };
+  const next = copyDay(day);
+  const first = { ...old, end: at, edited: true };
+  delete first.endedBy;
+  next.timeline.splice(index, 1, first, { ...old, start: at, edited: true });
+  return { day: next };
+}
+
+/** Adds a block by hand (e.g. an offline meeting): entry is { domain, start, end }, domain a site or label. */
+function addManualBlock(day, entry, bounds, granularityMs) {
+  const domain = normalizeBlockLabel(entry.domain);
+  if (!domain) return { error: 'Enter a site or label.' };
+  const base = day || { domains: {}, timeline: [] };
+  const error = validateBlockRange(base, entry.start, entry.end, bounds, -1);
+  if (error) return { error };
+  const next = copyDay(base);
+  next.timeline.push({ start: entry.start, end: entry.end, domain, manual: true });
+  next.timeline.sort((a, b) => (a.start || 0) - (b.start || 0));
+  adjustDomainMs(next, domain, null, roundMs(entry.end - entry.start, granularityMs));
+  return { day: next };
+}
+
+/**
+ * Applies one edit as sent by the popup: { kind: 'update', block, changes },
+ * { kind: 'split', block, at }, { kind: 'delete', block } or { kind: 'add', entry }.
+ */
+function applyTimelineEdit(day, edit, bounds, granularityMs) {
+  switch (edit?.kind) {
+    case 'update': return updateTimelineBlock(day, edit.block, edit.changes || {}, bounds, granularityMs);
+    case 'split': return splitTimelineBlock(day, edit.block, edit.at);
+    case 'delete': return deleteTimelineBlock(day, edit.block, granularityMs);
+    case 'add': return addManualBlock(day, edit.entry || {}, bounds, granularityMs);
+    default: return { error: 'Unknown edit.' };
+  }
+}
+
+if (typeof module !== 'undefined') {
+  module.exports = {
+    roundMs,
+    normalizeBlockLabel,
+    findTimelineBlock,
+    validateBlockRange,
+    deleteTimelineBlock,
+    updateTimelineBlock,
+    splitTimelineBlock,
+    addManualBlock,
+    applyTimelineEdit
+  };
+}
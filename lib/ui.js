@@ -0,0 +1,55 @@
+/**
+ * Website Time Tracker - Display helpers
+ * Shared by the service worker (importScripts), the popup, the dashboard and the block
+ * page (<script>).
+ *
+ * Durations are shown the same way on every page: seconds under a minute, minutes and
+ * seconds under an hour, then hours and minutes.
+ */
+
+function formatMs(ms) {
+  if (ms < 60000) return Math.round(ms / 1000) + 's';
+  if (ms < 3600000) {
+    const m = Math.floor(ms / 60000);
+    const s = Math.round((ms % 60000) / 1000);
+    return s ? m + 'm ' + s + 's' : m + 'm';
+  }
+  const minutes = Math.round(ms / 60000);
+  return Math.floor(minutes / 60) + 'h' + (minutes % 60 ? ' ' + (minutes % 60) + 'm' : '');
+}
+
+/** Badge text fits four characters: "45m", "1:05", "12h". */
+function formatBadgeTime(ms) {
+  const minutes = Math.floor(ms / 60000);
+  if (minutes < 60) return minutes + 'm';
+  const hours = Math.floor(minutes / 60);
+  if (hours >= 10) return hours + 'h';
+  return hours + ':' + String(minutes % 60).padStart(2, '0');
+}
+
+/** Text safe to put in HTML, including attribute values. */
+function escapeHtml(s) {
+  return String(s)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function downloadFile(filename, content, type) {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  a.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+if (typeof module !== 'undefined') {
+  module.exports = {
+    formatMs,
+    formatBadgeTime,
+    escapeHtml,
+    downloadFile
+  };
+}
@@ -1,6 +1,6 @@
 /**
  * Website Time Tracker - Popup UI
- * Timeline view, Pie chart view, Delete, Settings.
+ * Timeline view, Pie chart view, Heatmap view, date ranges, Delete, Settings, Export/Import.
  */
 
 const PIE_COLORS = [
@@ -9,24 +9,47 @@ const PIE_COLORS = [
 ];
 const OTHER_COLOR = '#3b4261';
 const PIE_OTHER_THRESHOLD = 0.02;
+const LEGEND_MAX_PATHS = 5;
+const GOAL_HISTORY_SHOWN_DAYS = 7;
+const GOAL_DAYS_LABELS = { all: 'every day', weekdays: 'weekdays', weekends: 'weekends' };
+/** Timeline gap marker text by the block's endedBy. */
+const GAP_MARKER_LABELS = { idle: 'Idle from ', locked: 'Screen locked at ', schedule: 'Schedule ended at ' };
+const HEATMAP_WEEKDAYS = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+const FOCUS_PRESETS = {
+  pomodoro: { focusMinutes: 25, breakMinutes: 5, cycles: 4 },
+  50: { focusMinutes: 50 },
+  90: { focusMinutes: 90 }
+};
 
+// Declared before currentDateKey, whose initializer reads it through getDateKey().
+let dayStartHour = 0;       // from settings; see lib/dates.js
 let currentDateKey = getDateKey();
-let cachedDays = {};
+let rangeMode = 'day';
+let customFromKey = null;
+let customToKey = null;
+let cachedDays = {};        // only the days in the selected range, keyed by date
 let cachedDomainTags = {};
 let cachedTagList = [];
+let cachedGrouping = { groupByRegistrableDomain: false, domainAliases: [] };
 let liveUpdateInterval = null;
 let pieViewMode = 'sites';
+let pieSchedule = 'all';    // 'all', 'schedule:<name>' or 'outside' (time outside every schedule)
+let cachedSchedules = [];   // see lib/schedules.js
+let cachedCurrentSession = null;
+let heatmapWeeks = 4;
+let heatmapFilter = 'all';  // 'all', 'domain:<group key>' or 'tag:<name>'
+let cachedFocus = { session: null, history: [], workTag: DEFAULT_FOCUS_WORK_TAG, distractingTags: DEFAULT_FOCUS_DISTRACTING_TAGS };
+let focusTimerInterval = null;
+let cachedPause = { pause: null, history: [] };  // trackingPause and pauseHistory (see lib/pause.js)
+let cachedPassiveSessions = {};  // running passive sessions by tab id (see background.js)
+let cachedGoals = [];
+let cachedGoalHistory = {};
+let mergeGapMs = 0;         // from settings.mergeGapSeconds; 0 lists every block
+const expandedTimelineRows = new Set();  // merged rows shown with their visits, by timelineRowKey
 
+/** Key of the tracking day containing the given time (now by default). */
 function getDateKey(date) {
-  const d = date ? new Date(date) : new Date();
-  return d.getFullYear() + '-' + String(d.getMonth() + 1).padStart(2, '0') + '-' + String(d.getDate()).padStart(2, '0');
-}
-
-function formatMs(ms) {
-  if (ms < 60000) return Math.round(ms / 1000) + 's';
-  const m = Math.floor(ms / 60000);
-  const s = Math.round((ms % 60000) / 1000);
-  return s ? m + 'm ' + s + 's' : m + 'm';
+  return getDateKeyAt(date || Date.now(), dayStartHour);
 }
 
 function formatTime(ts) {
@@ -34,10 +57,15 @@ function formatTime(ts) {
   return d.toLocaleTimeString(undefined, { hour: '2-digit', minute: '2-digit' });
 }
 
-function getDayData(days, dateKey) {
-  const day = days?.[dateKey];
-  if (!day || !day.domains) return { domains: {}, timeline: [] };
-  return { domains: day.domains, timeline: day.timeline || [] };
+/** Date keys covered by the range selector (a single day unless a range is chosen). */
+function getRangeDateKeys() {
+  if (rangeMode === 'day') return [currentDateKey];
+  return getRangeKeys(rangeMode, getDateKey(), customFromKey, customToKey);
+}
+
+function getViewData() {
+  const data = aggregateDays(cachedDays, getRangeDateKeys());
+  return { ...groupDayData(data, cachedGrouping), passive: groupDayData(data.passive, cachedGrouping) };
 }
 
 function getTimelineSortedChronologically(timeline) {
@@ -53,13 +81,6 @@ function getTimelineNewestFirst(timeline) {
     .sort((a, b) => (b.start || 0) - (a.start || 0));
 }
 
-function getDayBounds(dateKey) {
-  const [y, m, d] = dateKey.split('-').map(Number);
-  const start = new Date(y, m - 1, d, 0, 0, 0, 0).getTime();
-  const end = new Date(y, m - 1, d, 23, 59, 59, 999).getTime();
-  return { dayStart: start, dayEnd: end };
-}
-
 function domainToColorMap(sortedBlocks) {
   const order = [];
   const seen = new Set();
@@ -76,6 +97,12 @@ function domainToColorMap(sortedBlocks) {
   return map;
 }
 
+/** A site's tag on the timeline, edged in the tag's color. */
+function tagPillHtml(tag, tagList) {
+  const color = getTagColor(tagList, tag);
+  return `<span class="timeline-tag-pill"${color ? ` style="--tag-color:${color}"` : ''}>${escapeHtml(tag)}</span>`;
+}
+
 function renderTimeline(dayData, currentSession, domainTags, tagList) {
   const placeholder = document.getElementById('timelinePlaceholder');
   const container = document.getElementById('timelineBlocks');
@@ -83,35 +110,88 @@ function renderTimeline(dayData, currentSession, domainTags, tagList) {
   const tags = domainTags || {};
   const tagsList = tagList || [];
   let blocks = getTimelineNewestFirst(dayData.timeline);
-  const isViewingToday = currentDateKey === getDateKey();
+  const rangeKeys = getRangeDateKeys();
+  const isViewingToday = rangeKeys.includes(getDateKey());
+  const showDates = rangeKeys.length > 1;
   if (currentSession && isViewingToday) {
+    // A session that began before the range (e.g. before the day start) is shown from the range start.
     const liveBlock = {
-      domain: currentSession.domain,
-      start: currentSession.start,
+      domain: getDomainGroupKey(currentSession.domain, cachedGrouping),
+      path: currentSession.path,
+      start: Math.max(currentSession.start, getDayBounds(rangeKeys[0], dayStartHour).dayStart),
       end: Date.now(),
       _live: true
     };
     blocks = [liveBlock, ...blocks];
   }
-  if (blocks.length === 0) {
+  // Passive blocks are listed alongside but kept out of blocks, which the focus summaries use.
+  const passiveBlocks = getTimelineNewestFirst(dayData.passive?.timeline).map(b => ({ ...b, _passive: true }));
+  if (isViewingToday) {
+    for (const s of Object.values(cachedPassiveSessions)) {
+      passiveBlocks.unshift({
+        domain: getDomainGroupKey(s.domain, cachedGrouping),
+        start: Math.max(s.start, getDayBounds(rangeKeys[0], dayStartHour).dayStart),
+        end: Date.now(),
+        _live: true,
+        _passive: true
+      });
+    }
+  }
+  const { dayStart } = getDayBounds(rangeKeys[0], dayStartHour);
+  const { dayEnd } = getDayBounds(rangeKeys[rangeKeys.length - 1], dayStartHour);
+  const pauseWindows = getPauseWindows(cachedPause.history, cachedPause.pause, dayStart, dayEnd, Date.now());
+  if (blocks.length === 0 && passiveBlocks.length === 0 && pauseWindows.length === 0) {
     placeholder.classList.remove('hidden');
     return;
   }
   placeholder.classList.add('hidden');
-  const colorByDomain = domainToColorMap(blocks);
-  for (const block of blocks) {
+  const colorByDomain = domainToColorMap([...blocks, ...passiveBlocks]);
+  const focusWindows = getFocusWindows(dayStart, dayEnd);
+  const focusPhases = focusWindows.flatMap(w => w.phases);
+  // Focus sessions are drawn as markers above the blocks recorded during them.
+  // Idle gaps are marked where the block before them ended; paused gaps span the pause.
+  const markers = [
+    ...focusWindows.map(w => ({ ...w, _focusMarker: true, at: w.end })),
+    ...pauseWindows.map(w => ({ ...w, _pauseMarker: true, at: w.end })),
+    ...blocks.filter(b => b.endedBy && b.endedBy !== 'paused').map(b => ({ _gapMarker: true, at: b.end, endedBy: b.endedBy }))
+  ];
+  const items = [...mergeTimelineBlocks(blocks, mergeGapMs), ...passiveBlocks, ...markers]
+    .sort((a, b) => (b.at ?? b.start) - (a.at ?? a.start) || (b.at != null ? 1 : 0) - (a.at != null ? 1 : 0));
+  for (const block of items) {
+    if (block._focusMarker) {
+      container.appendChild(renderFocusMarker(block, blocks));
+      continue;
+    }
+    if (block._pauseMarker) {
+      const gap = document.createElement('div');
+      gap.className = 'timeline-gap-marker timeline-pause-marker';
+      gap.textContent = block.running
+        ? `Paused since ${formatTime(block.start)} · ${formatPauseEnd(block.until)}`
+        : `Paused ${formatTime(block.start)} – ${formatTime(block.end)} (${formatMs(block.end - block.start)})`;
+      container.appendChild(gap);
+      continue;
+    }
+    if (block._gapMarker) {
+      const gap = document.createElement('div');
+      gap.className = 'timeline-gap-marker';
+      gap.textContent = (GAP_MARKER_LABELS[block.endedBy] || GAP_MARKER_LABELS.idle) + formatTime(block.at);
+      container.appendChild(gap);
+      continue;
+    }
     const start = block.start || 0;
     const end = block.end || start;
-    const ms = end - start;
+    const ms = timelineBlockMs(block);
     const el = document.createElement('div');
-    el.className = 'timeline-block' + (block._live ? ' timeline-block-live' : '');
+    const inFocus = !block._passive && focusPhases.some(p => start < p.end && end > p.start);
+    const distracting = inFocus &&
+      isDistractingDomain(block.host || block.domain, tags, cachedGrouping, cachedFocus.distractingTags);
+    el.className = 'timeline-block' + (block._live ? ' timeline-block-live' : '') + (inFocus ? ' timeline-block-in-focus' : '') +
+      (block._passive ? ' timeline-block-passive' : '');
     const color = colorByDomain[block.domain] || OTHER_COLOR;
     el.style.borderLeftColor = color;
     const endLabel = block._live ? 'now' : formatTime(end);
     const blockTags = tags[block.domain] || [];
-    const tagsHtml = blockTags.length
-      ? blockTags.map(t => `<span class="timeline-tag-pill">${escapeHtml(t)}</span>`).join('')
-      : '';
+    const tagsHtml = blockTags.map(t => tagPillHtml(t, tagsList)).join('');
     const editWrap = document.createElement('div');
     editWrap.className = 'timeline-edit-tags-wrap';
     const editBtn = document.createElement('button');
@@ -122,7 +202,7 @@ function renderTimeline(dayData, currentSession, domainTags, tagList) {
     const dropdown = document.createElement('div');
     dropdown.className = 'timeline-tag-dropdown';
     dropdown.hidden = true;
-    tagsList.forEach(tag => {
+    getTagNames(tagsList).forEach(tag => {
       const label = document.createElement('label');
       const cb = document.createElement('input');
       cb.type = 'checkbox';
@@ -139,13 +219,14 @@ function renderTimeline(dayData, currentSession, domainTags, tagList) {
         closeListener = null;
       }
       const selected = [...dropdown.querySelectorAll('input:checked')].map(c => c.dataset.tag);
-      const next = { ...tags, [block.domain]: selected };
-      await chrome.storage.local.set({ domainTags: next });
-      cachedDomainTags = next;
+      const { autoTaggedDomains = {} } = await chrome.storage.local.get('autoTaggedDomains');
+      const update = setDomainTags({ domainTags: tags, autoTaggedDomains }, block.domain, selected);
+      await chrome.storage.local.set(update);
+      cachedDomainTags = update.domainTags;
       dropdown.hidden = true;
       editBtn.textContent = selected.length ? 'Edit tags' : '+ Tags';
       const pills = el.querySelector('.timeline-block-tags');
-      pills.innerHTML = selected.map(t => `<span class="timeline-tag-pill">${escapeHtml(t)}</span>`).join('');
+      pills.innerHTML = selected.map(t => tagPillHtml(t, tagsList)).join('');
     };
     editBtn.addEventListener('click', (e) => {
       e.stopPropagation();
@@ -175,60 +256,262 @@ function renderTimeline(dayData, currentSession, domainTags, tagList) {
     const main = document.createElement('div');
     main.className = 'timeline-block-main';
     main.innerHTML = `
-      <span class="timeline-domain" title="${escapeHtml(block.domain)}">${escapeHtml(block.domain)}${block._live ? ' <span class="timeline-live-badge">live</span>' : ''}</span>
+      <span class="timeline-domain" title="${escapeHtml(block.host || block.domain)}">${escapeHtml(block.domain)}${block.path ? ` <span class="timeline-path">› ${escapeHtml(block.path)}</span>` : ''}${block._live ? ' <span class="timeline-live-badge">live</span>' : ''}${block._passive ? ' <span class="timeline-passive-badge" title="Audible tab in the background; not counted as active time">passive</span>' : ''}${block.hourly ? ' <span class="timeline-hourly-badge" title="Compacted by the retention setting: time on this site during this hour">hourly</span>' : ''}${distracting ? ' <span class="timeline-distracting-badge" title="Distracting site during a focus session">distracting</span>' : ''}${block.manual ? ' <span class="timeline-edited-badge" title="Added by hand">manual</span>' : block.edited ? ' <span class="timeline-edited-badge" title="Changed by hand">edited</span>' : ''}</span>
       <span class="timeline-block-tags">${tagsHtml}</span>
     `;
     row1.appendChild(main);
     const actions = document.createElement('div');
     actions.className = 'timeline-block-actions';
     actions.appendChild(editWrap);
+    // Running, passive and compacted blocks are not stored as single entries, so only recorded blocks can be edited.
+    // Merged rows are edited visit by visit.
+    if (!block._live && !block._passive && !block.hourly && !block.visits) actions.appendChild(renderBlockEditButton(block));
     row1.appendChild(actions);
     el.appendChild(row1);
     const row2 = document.createElement('div');
     row2.className = 'timeline-block-row2';
     row2.innerHTML = `
       <span class="timeline-duration">${formatMs(ms)}</span>
-      <span class="timeline-block-time-range">${formatTime(start)} – ${endLabel}</span>
+      <span class="timeline-block-time-range">${showDates ? formatDayLabel(start) + ', ' : ''}${formatTime(start)} – ${endLabel}</span>
     `;
     el.appendChild(row2);
+    if (block.visits) renderTimelineVisits(el, row2, block);
     container.appendChild(el);
   }
 }
 
-function aggregateTimeline(timeline) {
-  const byDomain = {};
-  for (const block of timeline) {
-    const d = block.domain;
-    const dur = (block.end || 0) - (block.start || 0);
-    if (!byDomain[d]) byDomain[d] = { ms: 0, blocks: [] };
-    byDomain[d].ms += dur;
-    byDomain[d].blocks.push(block);
+function renderBlockEditButton(block) {
+  const btn = document.createElement('button');
+  btn.type = 'button';
+  btn.className = 'timeline-edit-tags-btn';
+  btn.textContent = 'Edit';
+  btn.setAttribute('aria-label', 'Edit this block of ' + block.domain);
+  btn.addEventListener('click', () => openBlockDialog(getDateKey(block.start), block));
+  return btn;
+}
+
+function timelineRowKey(row) {
+  return row.domain + '|' + row.start;
+}
+
+/** A merged row's visit count, which expands to the raw blocks it was merged from. */
+function renderTimelineVisits(el, row2, row) {
+  const key = timelineRowKey(row);
+  const toggle = document.createElement('button');
+  toggle.type = 'button';
+  toggle.className = 'timeline-visits-toggle';
+  row2.prepend(toggle);
+  const list = document.createElement('div');
+  list.className = 'timeline-visits';
+  for (const block of [...row.blocks].reverse()) {
+    const visit = document.createElement('div');
+    visit.className = 'timeline-visit';
+    visit.innerHTML = `
+      <span class="timeline-block-time-range">${formatTime(block.start)} – ${formatTime(block.end)}</span>
+      ${block.path && !row.path ? `<span class="timeline-path">› ${escapeHtml(block.path)}</span>` : ''}
+      <span class="timeline-duration">${formatMs(timelineBlockMs(block))}</span>
+    `;
+    visit.appendChild(renderBlockEditButton(block));
+    list.appendChild(visit);
   }
-  return Object.entries(byDomain)
-    .map(([domain, data]) => ({ domain, ...data }))
-    .sort((a, b) => b.ms - a.ms);
+  el.appendChild(list);
+  const update = () => {
+    const expanded = expandedTimelineRows.has(key);
+    toggle.textContent = (expanded ? '▾ ' : '▸ ') + row.visits + ' visits';
+    toggle.setAttribute('aria-expanded', String(expanded));
+    list.hidden = !expanded;
+  };
+  toggle.addEventListener('click', () => {
+    if (!expandedTimelineRows.delete(key)) expandedTimelineRows.add(key);
+    update();
+  });
+  update();
 }
 
-function escapeHtml(s) {
-  const div = document.createElement('div');
-  div.textContent = s;
-  return div.innerHTML;
+/** Past and running focus sessions overlapping [from, to], newest first. */
+function getFocusWindows(from, to) {
+  const now = Date.now();
+  const windows = (cachedFocus.history || []).map(r => ({ start: r.start, end: r.end, phases: r.phases || [] }));
+  if (cachedFocus.session) {
+    windows.push({ start: cachedFocus.session.start, end: now, phases: getFocusPhases(cachedFocus.session, now), running: true });
+  }
+  return windows.filter(w => w.start <= to && w.end >= from).sort((a, b) => b.end - a.end);
 }
 
-function computeTagMsFromDay(dayData, domainTags) {
-  const domains = dayData.domains || {};
-  const tagMs = {};
-  for (const [domain, data] of Object.entries(domains)) {
-    const ms = data.ms || 0;
-    if (ms <= 0) continue;
-    const tags = domainTags[domain];
-    if (tags && tags.length) {
-      tags.forEach(t => { tagMs[t] = (tagMs[t] || 0) + ms; });
-    } else {
-      tagMs['Untagged'] = (tagMs['Untagged'] || 0) + ms;
-    }
+function formatFocusSummary(summary) {
+  const pct = ms => summary.focusMs ? Math.round((ms / summary.focusMs) * 100) + '%' : '0%';
+  const parts = cachedFocus.workTag ? [`${cachedFocus.workTag} ${formatMs(summary.workMs)} (${pct(summary.workMs)})`] : [];
+  parts.push(`other ${formatMs(summary.otherMs)}`);
+  if (summary.distractingMs) parts.push(`distracting ${formatMs(summary.distractingMs)}`);
+  if (summary.untrackedMs >= 60000) parts.push(`away ${formatMs(summary.untrackedMs)}`);
+  return parts.join(' · ');
+}
+
+function renderFocusMarker(focusWindow, blocks) {
+  const el = document.createElement('div');
+  el.className = 'timeline-focus-marker';
+  const summary = summarizeFocus(focusWindow.phases, blocks, cachedDomainTags, cachedGrouping, cachedFocus.workTag, cachedFocus.distractingTags);
+  const endLabel = focusWindow.running ? 'now' : formatTime(focusWindow.end);
+  el.textContent = `Focus ${formatTime(focusWindow.start)} – ${endLabel} · ${formatFocusSummary(summary)}`;
+  return el;
+}
+
+function formatCountdown(ms) {
+  const total = Math.max(0, Math.ceil(ms / 1000));
+  const m = Math.floor(total / 60);
+  return m + ':' + String(total % 60).padStart(2, '0');
+}
+
+/** Focus bar: the running session's countdown, or the start controls and the last session's summary. */
+async function renderFocusBar(currentSession) {
+  const session = cachedFocus.session;
+  document.getElementById('focusIdle').hidden = !!session;
+  document.getElementById('focusRunning').hidden = !session;
+  if (focusTimerInterval) clearInterval(focusTimerInterval);
+  focusTimerInterval = null;
+  const summaryEl = document.getElementById('focusSummary');
+  if (session) {
+    summaryEl.hidden = true;
+    const statusEl = document.getElementById('focusStatus');
+    // Each tick reads cachedFocus.session, which the storage listener keeps current as
+    // the worker moves the session to its next phase.
+    const tick = () => {
+      const running = cachedFocus.session || session;
+      const distracting = running.phase === 'focus' && currentSession &&
+        isDistractingDomain(currentSession.domain, cachedDomainTags, cachedGrouping, cachedFocus.distractingTags);
+      const label = running.phase === 'focus' ? 'Focus' : 'Break';
+      const cycle = running.cycles > 1 ? ` · ${running.cycle}/${running.cycles}` : '';
+      statusEl.innerHTML = `${label} ${formatCountdown(running.phaseEndsAt - Date.now())} left${cycle}` +
+        (distracting ? '<span class="focus-flag">⚑ distracting site</span>' : '');
+    };
+    tick();
+    focusTimerInterval = setInterval(tick, 1000);
+    return;
+  }
+  const last = cachedFocus.history[cachedFocus.history.length - 1];
+  if (!last || getDateKeyAt(last.end, dayStartHour) !== getDateKey()) {
+    summaryEl.hidden = true;
+    return;
+  }
+  const dateKeys = [...new Set([getDateKeyAt(last.start, dayStartHour), getDateKeyAt(last.end, dayStartHour)])];
+  const days = await loadDays(dateKeys);
+  const blocks = dateKeys.flatMap(k => getDayData(days, k).timeline);
+  if (currentSession) blocks.push({ start: currentSession.start, end: Date.now(), domain: currentSession.domain });
+  const summary = summarizeFocus(last.phases, blocks, cachedDomainTags, cachedGrouping, cachedFocus.workTag, cachedFocus.distractingTags);
+  summaryEl.textContent = `Last focus ${formatTime(last.start)} – ${formatTime(last.end)}: ${formatFocusSummary(summary)}`;
+  summaryEl.hidden = false;
+}
+
+/** "until 11:30", "until Mon, Mar 3, 04:00" for another day, or "until you resume". */
+function formatPauseEnd(until) {
+  if (until == null) return 'until you resume';
+  const sameDay = new Date(until).toDateString() === new Date().toDateString();
+  return 'until ' + (sameDay ? '' : formatDayLabel(until) + ', ') + formatTime(until);
+}
+
+/** Pause row: the controls, or how long tracking stays paused. */
+function renderPauseBar() {
+  const paused = isPauseActive(cachedPause.pause, Date.now());
+  document.getElementById('pauseIdle').hidden = paused;
+  document.getElementById('pauseRunning').hidden = !paused;
+  if (paused) document.getElementById('pauseStatus').textContent = 'Tracking paused ' + formatPauseEnd(cachedPause.pause.until);
+}
+
+document.getElementById('btnPause').addEventListener('click', async () => {
+  const option = document.getElementById('pauseOption').value;
+  await chrome.runtime.sendMessage({ type: 'PAUSE_TRACKING', option }).catch(() => null);
+});
+document.getElementById('btnResume').addEventListener('click', async () => {
+  await chrome.runtime.sendMessage({ type: 'RESUME_TRACKING' }).catch(() => null);
+});
+
+document.getElementById('focusPreset').addEventListener('change', (e) => {
+  document.getElementById('focusCustomMinutes').hidden = e.target.value !== 'custom';
+});
+document.getElementById('btnStartFocus').addEventListener('click', async () => {
+  const preset = document.getElementById('focusPreset').value;
+  const options = preset === 'custom'
+    ? { focusMinutes: parseInt(document.getElementById('focusCustomMinutes').value, 10) || 45 }
+    : { ...FOCUS_PRESETS[preset] };
+  options.blockDistracting = document.getElementById('focusBlockDistracting').checked;
+  await chrome.runtime.sendMessage({ type: 'START_FOCUS', options }).catch(() => null);
+});
+document.getElementById('btnStopFocus').addEventListener('click', async () => {
+  await chrome.runtime.sendMessage({ type: 'STOP_FOCUS' }).catch(() => null);
+});
+
+function renderDayTotals(perDay) {
+  const container = document.getElementById('dayTotals');
+  container.innerHTML = '';
+  if (!perDay || perDay.length <= 1) {
+    container.hidden = true;
+    return;
+  }
+  container.hidden = false;
+  const maxMs = Math.max(...perDay.map(d => d.ms), 1);
+  const total = perDay.reduce((s, d) => s + d.ms, 0);
+  const header = document.createElement('div');
+  header.className = 'day-totals-header';
+  header.innerHTML = `<span>${perDay.length} days</span><span>${formatMs(total)} total · ${formatMs(Math.round(total / perDay.length))}/day avg</span>`;
+  container.appendChild(header);
+  for (const { dateKey, ms } of perDay) {
+    const row = document.createElement('button');
+    row.type = 'button';
+    row.className = 'day-totals-row';
+    row.title = 'Show ' + dateKey;
+    row.innerHTML = `
+      <span class="day-totals-label">${escapeHtml(formatDayLabel(dateKey))}</span>
+      <span class="day-totals-bar"><span style="width:${(ms / maxMs) * 100}%"></span></span>
+      <span class="day-totals-ms">${ms ? formatMs(ms) : '–'}</span>
+    `;
+    row.addEventListener('click', () => {
+      currentDateKey = dateKey;
+      setRangeMode('day');
+    });
+    container.appendChild(row);
+  }
+}
+
+/**
+ * Progress bars for the goals in effect on the viewed day, each with the days before it
+ * from goalHistory (met, missed, or no goal). Shown for a single day only.
+ */
+function renderGoals(dayData) {
+  const container = document.getElementById('goals');
+  container.innerHTML = '';
+  const rangeKeys = getRangeDateKeys();
+  const results = rangeKeys.length === 1
+    ? evaluateGoals(cachedGoals, rangeKeys[0], computeTagMsFromDay(dayData, cachedDomainTags, cachedGrouping))
+    : [];
+  container.hidden = results.length === 0;
+  const historyKeys = getDateKeysBefore(rangeKeys[0], GOAL_HISTORY_SHOWN_DAYS);
+  for (const result of results) {
+    const row = document.createElement('div');
+    row.className = 'goal-row' + (result.met ? ' goal-met' : '');
+    const pct = Math.min(100, (result.ms / result.targetMs) * 100);
+    const past = historyKeys.map(k => (cachedGoalHistory[k] || []).find(r => r.tag === result.tag));
+    const judged = past.filter(Boolean);
+    const dots = past.map((r, i) => {
+      const status = r ? (r.met ? ' met' : ' missed') : '';
+      const title = `${historyKeys[i]}: ${r ? `${formatMs(r.ms)} of ${formatMs(r.targetMs)}` : 'no goal'}`;
+      return `<span class="goal-history-day${status}" title="${escapeHtml(title)}"></span>`;
+    }).join('');
+    row.innerHTML = `
+      <span class="goal-label"><span><strong>${escapeHtml(result.tag)}</strong> ${result.met ? 'goal met' : 'goal'}</span><span>${formatMs(result.ms)} / ${formatMs(result.targetMs)}</span></span>
+      <span class="goal-bar"><span style="width:${pct}%"></span></span>
+      <span class="goal-history">${dots}${judged.length ? `<span class="goal-history-summary">met ${judged.filter(r => r.met).length} of ${judged.length} previous days</span>` : ''}</span>
+    `;
+    container.appendChild(row);
   }
-  return tagMs;
+}
+
+/** The count date keys before dateKey, oldest first. */
+function getDateKeysBefore(dateKey, count) {
+  const to = dateFromKey(dateKey);
+  to.setDate(to.getDate() - 1);
+  const from = dateFromKey(dateKey);
+  from.setDate(from.getDate() - count);
+  return getDateKeysBetween(formatDateKey(from), formatDateKey(to));
 }
 
 function drawPieChart(canvasId, dayData, viewMode, domainTags) {
@@ -236,8 +519,10 @@ function drawPieChart(canvasId, dayData, viewMode, domainTags) {
   const placeholder = document.getElementById('piePlaceholder');
   const legendEl = document.getElementById('pieLegend');
   legendEl.innerHTML = '';
-  const domains = dayData.domains || {};
-  const total = Object.values(domains).reduce((s, o) => s + (o.ms || 0), 0);
+  // The passive view is a by-site chart of passive time; the other views note it below the legend.
+  const domains = (viewMode === 'passive' ? dayData.passive?.domains : dayData.domains) || {};
+  const total = sumDomainMs(domains);
+  const passiveMs = viewMode === 'passive' ? 0 : sumDomainMs(dayData.passive?.domains);
   if (total === 0) {
     placeholder.classList.remove('hidden');
     canvas.style.display = 'none';
@@ -249,19 +534,25 @@ function drawPieChart(canvasId, dayData, viewMode, domainTags) {
   let entries;
   let labelKey;
   if (viewMode === 'tags') {
-    const tagMs = computeTagMsFromDay(dayData, domainTags || {});
+    // Slices are top-level tags (their totals include nested tags), listed with their children.
+    const tagMs = computeTagMsFromDay(dayData, domainTags || {}, cachedGrouping);
     entries = Object.entries(tagMs)
-      .map(([tag, ms]) => ({ tag, ms }))
+      .filter(([tag]) => !tag.includes(TAG_SEPARATOR))
+      .map(([tag, ms]) => ({ tag, ms, paths: getChildTagMs(tagMs, tag) }))
       .filter(e => e.ms > 0)
       .sort((a, b) => b.ms - a.ms);
     labelKey = 'tag';
   } else {
     entries = Object.entries(domains)
-      .map(([domain, data]) => ({ domain, ms: data.ms || 0 }))
+      .map(([domain, data]) => ({ domain, ms: data.ms || 0, paths: data.paths }))
       .filter(e => e.ms > 0)
       .sort((a, b) => b.ms - a.ms);
     labelKey = 'domain';
   }
+  // Visit statistics come from the timeline, so compacted days (hourly blocks only) have none.
+  const visitStats = viewMode === 'tags'
+    ? {}
+    : computeVisitStats(viewMode === 'passive' ? dayData.passive?.timeline : dayData.timeline, mergeGapMs);
 
   const otherThreshold = total * PIE_OTHER_THRESHOLD;
   const main = [];
@@ -297,7 +588,8 @@ function drawPieChart(canvasId, dayData, viewMode, domainTags) {
   for (let i = 0; i < main.length; i++) {
     const slice = main[i];
     const angle = (slice.ms / total) * 2 * Math.PI;
-    const color = slice._other ? OTHER_COLOR : PIE_COLORS[i % PIE_COLORS.length];
+    const tagColor = viewMode === 'tags' && !slice._other ? getTagColor(cachedTagList, slice.label) : null;
+    const color = slice._other ? OTHER_COLOR : tagColor || PIE_COLORS[i % PIE_COLORS.length];
     ctx.fillStyle = color;
     ctx.beginPath();
     ctx.moveTo(cx, cy);
@@ -313,43 +605,268 @@ function drawPieChart(canvasId, dayData, viewMode, domainTags) {
     item.className = 'pie-legend-item';
     item.innerHTML = `<span class="pie-legend-swatch" style="background:${color}"></span><span>${escapeHtml(label)} ${pct}% · ${duration}</span>`;
     legendEl.appendChild(item);
+    const stats = !slice._other && visitStats[slice.label];
+    if (stats) {
+      const statsEl = document.createElement('div');
+      statsEl.className = 'pie-legend-stats';
+      statsEl.textContent = `${stats.visits} ${stats.visits === 1 ? 'visit' : 'visits'} · longest ${formatMs(stats.longestMs)} · avg ${formatMs(stats.avgMs)}`;
+      legendEl.appendChild(statsEl);
+    }
+    if (slice.paths) renderLegendPaths(legendEl, slice.paths);
+  }
+  if (passiveMs > 0) {
+    const note = document.createElement('div');
+    note.className = 'pie-legend-note';
+    note.textContent = `Not included: ${formatMs(passiveMs)} passive (audible tabs)`;
+    legendEl.appendChild(note);
+  }
+}
+
+function sumDomainMs(domains) {
+  return Object.values(domains || {}).reduce((s, o) => s + (o.ms || 0), 0);
+}
+
+/** A tag's direct children as { leafName: { ms } }, or null when it has none. */
+function getChildTagMs(tagMs, tag) {
+  const children = Object.entries(tagMs).filter(([name]) => getParentTags(name).pop() === tag);
+  return children.length ? Object.fromEntries(children.map(([name, ms]) => [getTagLeafName(name), { ms }])) : null;
+}
+
+/** Path-rule sub-keys nested under their site (or child tags under their tag) in the legend, largest first. */
+function renderLegendPaths(legendEl, paths) {
+  const sorted = Object.entries(paths)
+    .map(([path, data]) => ({ path, ms: data.ms || 0 }))
+    .filter(p => p.ms > 0)
+    .sort((a, b) => b.ms - a.ms);
+  const shown = sorted.slice(0, LEGEND_MAX_PATHS);
+  const restMs = sorted.slice(LEGEND_MAX_PATHS).reduce((s, p) => s + p.ms, 0);
+  for (const { path, ms } of shown) {
+    const sub = document.createElement('div');
+    sub.className = 'pie-legend-subitem';
+    sub.innerHTML = `<span>${escapeHtml(path)}</span><span>${formatMs(ms)}</span>`;
+    legendEl.appendChild(sub);
+  }
+  if (restMs > 0) {
+    const sub = document.createElement('div');
+    sub.className = 'pie-legend-subitem';
+    sub.innerHTML = `<span>${sorted.length - shown.length} more</span><span>${formatMs(restMs)}</span>`;
+    legendEl.appendChild(sub);
   }
 }
 
 function renderPie(dayData, viewMode, domainTags) {
+  renderPieScheduleOptions();
+  if (pieSchedule !== 'all') dayData = getScheduleViewData(pieSchedule, cachedCurrentSession);
+  // Only offer the passive view when there is passive time (or it is already selected).
+  document.getElementById('pieTogglePassive').hidden = viewMode !== 'passive' && sumDomainMs(dayData.passive?.domains) === 0;
   drawPieChart('pieCanvas', dayData, viewMode || 'sites', domainTags);
 }
 
+/** The schedule filter is only shown once a schedule exists. */
+function renderPieScheduleOptions() {
+  const select = document.getElementById('pieSchedule');
+  select.hidden = cachedSchedules.length === 0;
+  select.innerHTML = '<option value="all">All time</option>';
+  for (const schedule of cachedSchedules) {
+    const option = document.createElement('option');
+    option.value = 'schedule:' + schedule.name;
+    option.textContent = schedule.name;
+    select.appendChild(option);
+  }
+  if (cachedSchedules.length) {
+    const option = document.createElement('option');
+    option.value = 'outside';
+    option.textContent = 'Outside schedules';
+    select.appendChild(option);
+  }
+  if (![...select.options].some(o => o.value === pieSchedule)) pieSchedule = 'all';
+  select.value = pieSchedule;
+}
+
+/**
+ * The view's data for one schedule ('schedule:<name>') or for time outside every schedule
+ * ('outside'). Totals are summed from the timeline blocks labelled with it, plus the running
+ * sessions split at the schedules' boundaries, since their blocks are only written when they end.
+ * Blocks labelled with a schedule that was deleted since count as outside schedules.
+ */
+function getScheduleViewData(filter, currentSession) {
+  const scheduleName = filter === 'outside' ? null : filter.slice('schedule:'.length);
+  const rangeKeys = getRangeDateKeys();
+  const data = aggregateDays(cachedDays, rangeKeys);
+  const names = new Set(cachedSchedules.map(s => s.name));
+  const relabel = block => (block.schedule && !names.has(block.schedule) ? { ...block, schedule: null } : block);
+  const timeline = data.timeline.map(relabel);
+  const passiveTimeline = data.passive.timeline.map(relabel);
+  if (rangeKeys.includes(getDateKey())) {
+    const rangeStart = getDayBounds(rangeKeys[0], dayStartHour).dayStart;
+    const liveBlocks = session => splitAtSchedules(Math.max(session.start, rangeStart), Date.now(), cachedSchedules)
+      .map(piece => ({ ...piece, domain: session.domain, path: session.path || undefined }));
+    if (currentSession) timeline.push(...liveBlocks(currentSession));
+    for (const s of Object.values(cachedPassiveSessions)) passiveTimeline.push(...liveBlocks(s));
+  }
+  const filtered = {
+    ...data,
+    domains: summarizeScheduleDomains(timeline, scheduleName),
+    timeline: timeline.filter(b => (b.schedule || null) === scheduleName),
+    passive: {
+      domains: summarizeScheduleDomains(passiveTimeline, scheduleName),
+      timeline: passiveTimeline.filter(b => (b.schedule || null) === scheduleName)
+    }
+  };
+  return { ...groupDayData(filtered, cachedGrouping), passive: groupDayData(filtered.passive, cachedGrouping) };
+}
+
+/** Date keys of the last `weeks` weeks, ending today. */
+function getHeatmapDateKeys(weeks) {
+  const today = getDateKey();
+  const from = dateFromKey(today);
+  from.setDate(from.getDate() - weeks * 7 + 1);
+  return getDateKeysBetween(formatDateKey(from), today);
+}
+
+/** Filter choices: every tag, then the sites seen in the loaded weeks, busiest first. */
+function renderHeatmapFilterOptions(days) {
+  const select = document.getElementById('heatmapFilter');
+  const siteMs = groupDayData(aggregateDays(days, Object.keys(days)), cachedGrouping).domains;
+  const sites = Object.entries(siteMs).sort((a, b) => b[1].ms - a[1].ms).map(([domain]) => domain);
+  select.innerHTML = '<option value="all">All activity</option>';
+  const addGroup = (label, prefix, values) => {
+    if (!values.length) return;
+    const group = document.createElement('optgroup');
+    group.label = label;
+    for (const value of values) {
+      const option = document.createElement('option');
+      option.value = prefix + value;
+      option.textContent = value;
+      group.appendChild(option);
+    }
+    select.appendChild(group);
+  };
+  addGroup('Tags', 'tag:', getTagNames(cachedTagList));
+  addGroup('Sites', 'domain:', sites);
+  if (![...select.options].some(o => o.value === heatmapFilter)) heatmapFilter = 'all';
+  select.value = heatmapFilter;
+}
+
+async function renderHeatmap(currentSession) {
+  const dateKeys = getHeatmapDateKeys(heatmapWeeks);
+  const days = await loadDays(dateKeys);
+  const today = getDateKey();
+  if (currentSession && dateKeys.includes(today)) {
+    const day = days[today] || { domains: {}, timeline: [] };
+    days[today] = { ...day, timeline: [...(day.timeline || []), { start: currentSession.start, end: Date.now(), domain: currentSession.domain }] };
+  }
+  renderHeatmapFilterOptions(days);
+  const cells = computeHeatmap(days, dateKeys, heatmapFilter, cachedDomainTags, cachedGrouping);
+  const grid = document.getElementById('heatmapGrid');
+  const summary = document.getElementById('heatmapSummary');
+  const placeholder = document.getElementById('heatmapPlaceholder');
+  grid.innerHTML = '';
+  let maxMs = 0;
+  let totalMs = 0;
+  let busiest = null;
+  cells.forEach((row, weekday) => row.forEach((ms, hour) => {
+    totalMs += ms;
+    if (ms > maxMs) {
+      maxMs = ms;
+      busiest = { weekday, hour };
+    }
+  }));
+  if (totalMs === 0) {
+    placeholder.classList.remove('hidden');
+    summary.textContent = '';
+    return;
+  }
+  placeholder.classList.add('hidden');
+  grid.appendChild(document.createElement('span'));
+  for (let hour = 0; hour < 24; hour++) {
+    const label = document.createElement('span');
+    label.className = 'heatmap-hour-label';
+    label.textContent = hour % 3 === 0 ? String(hour) : '';
+    grid.appendChild(label);
+  }
+  const hourRange = hour => String(hour).padStart(2, '0') + ':00–' + String((hour + 1) % 24).padStart(2, '0') + ':00';
+  cells.forEach((row, weekday) => {
+    const label = document.createElement('span');
+    label.className = 'heatmap-day-label';
+    label.textContent = HEATMAP_WEEKDAYS[weekday];
+    grid.appendChild(label);
+    row.forEach((ms, hour) => {
+      const cell = document.createElement('span');
+      cell.className = 'heatmap-cell';
+      cell.style.setProperty('--level', String(ms / maxMs));
+      cell.title = `${HEATMAP_WEEKDAYS[weekday]} ${hourRange(hour)} · ${ms ? formatMs(ms) : 'no activity'}`;
+      grid.appendChild(cell);
+    });
+  });
+  summary.textContent = `${formatMs(totalMs)} over ${heatmapWeeks} week${heatmapWeeks === 1 ? '' : 's'} · busiest: ${HEATMAP_WEEKDAYS[busiest.weekday]} ${hourRange(busiest.hour)}`;
+}
+
 async function loadAndRender() {
-  const { days = {}, currentSession = null, domainTags = {}, tagList = [] } = await chrome.storage.local.get(['days', 'currentSession', 'domainTags', 'tagList']);
-  cachedDays = days || {};
+  const {
+    currentSession = null, domainTags = {}, tagList = [], settings = {}, focusSession = null, focusHistory = [], passiveSessions = {},
+    goals = [], goalHistory = {}, trackingPause = null, pauseHistory = [], schedules = []
+  } = await chrome.storage.local.get([
+    'currentSession', 'domainTags', 'tagList', 'settings', 'focusSession', 'focusHistory', 'passiveSessions', 'goals', 'goalHistory',
+    'trackingPause', 'pauseHistory', 'schedules'
+  ]);
+  const nextDayStartHour = normalizeDayStartHour(settings.dayStartHour);
+  if (nextDayStartHour !== dayStartHour) {
+    // Keep showing "today" when the day start moves it to another date.
+    const wasToday = currentDateKey === getDateKey();
+    dayStartHour = nextDayStartHour;
+    if (wasToday) {
+      currentDateKey = getDateKey();
+      document.getElementById('datePicker').value = currentDateKey;
+    }
+  }
+  cachedDays = await loadDays(getRangeDateKeys());
+  cachedGrouping = getGrouping(settings);
   cachedDomainTags = domainTags || {};
-  cachedTagList = Array.isArray(tagList) ? tagList : [];
-  const dayData = getDayData(cachedDays, currentDateKey);
+  cachedTagList = normalizeTagList(tagList);
+  cachedPassiveSessions = passiveSessions || {};
+  cachedGoals = Array.isArray(goals) ? goals : [];
+  cachedGoalHistory = goalHistory || {};
+  cachedSchedules = Array.isArray(schedules) ? schedules : [];
+  cachedCurrentSession = currentSession;
+  mergeGapMs = Math.max(0, settings.mergeGapSeconds || 0) * 1000;
+  cachedFocus = { session: focusSession, history: Array.isArray(focusHistory) ? focusHistory : [], ...getFocusTags(settings) };
+  cachedPause = { pause: trackingPause, history: Array.isArray(pauseHistory) ? pauseHistory : [] };
+  renderPauseBar();
+  renderFocusBar(currentSession);
+  const dayData = getViewData();
+  const isHeatmap = document.getElementById('heatmapPanel').classList.contains('active');
+  // The heatmap has its own week range, so the range's per-day totals are hidden there.
+  renderDayTotals(isHeatmap ? [] : dayData.perDay);
+  renderGoals(dayData);
   renderTimeline(dayData, currentSession, cachedDomainTags, cachedTagList);
   renderPie(dayData, pieViewMode, cachedDomainTags);
+  if (isHeatmap) await renderHeatmap(currentSession);
 
   if (liveUpdateInterval) clearInterval(liveUpdateInterval);
   liveUpdateInterval = null;
-  if (currentSession && document.getElementById('timelinePanel').classList.contains('active')) {
+  const hasLiveBlocks = currentSession || Object.keys(cachedPassiveSessions).length > 0;
+  if (hasLiveBlocks && document.getElementById('timelinePanel').classList.contains('active')) {
     liveUpdateInterval = setInterval(async () => {
       if (document.querySelector('.timeline-tag-dropdown:not([hidden])')) return;
-      const { currentSession: session, domainTags: dt = {}, tagList: tl = [] } = await chrome.storage.local.get(['currentSession', 'domainTags', 'tagList']);
-      if (!session) {
+      const { currentSession: session, domainTags: dt = {}, tagList: tl = [], passiveSessions: ps = {} } =
+        await chrome.storage.local.get(['currentSession', 'domainTags', 'tagList', 'passiveSessions']);
+      cachedPassiveSessions = ps || {};
+      if (!session && !Object.keys(cachedPassiveSessions).length) {
         clearInterval(liveUpdateInterval);
         liveUpdateInterval = null;
         return;
       }
       cachedDomainTags = dt;
-      cachedTagList = Array.isArray(tl) ? tl : [];
-      const dayData_ = getDayData(cachedDays, currentDateKey);
+      cachedTagList = normalizeTagList(tl);
+      const dayData_ = getViewData();
       renderTimeline(dayData_, session, cachedDomainTags, cachedTagList);
     }, 1000);
   }
 }
 
 function switchTab(tabName) {
-  if (tabName === 'pie' && liveUpdateInterval) {
+  if (tabName !== 'timeline' && liveUpdateInterval) {
     clearInterval(liveUpdateInterval);
     liveUpdateInterval = null;
   }
@@ -358,29 +875,34 @@ function switchTab(tabName) {
     t.setAttribute('aria-selected', t.dataset.tab === tabName);
   });
   document.querySelectorAll('.panel').forEach(p => {
-    const isTimeline = p.id === 'timelinePanel';
-    const isPie = p.id === 'piePanel';
-    const show = (tabName === 'timeline' && isTimeline) || (tabName === 'pie' && isPie);
+    const show = p.id === tabName + 'Panel';
     p.classList.toggle('active', show);
     p.hidden = !show;
   });
-  if (tabName === 'pie') loadAndRender();
-  if (tabName === 'timeline') loadAndRender();
+  loadAndRender();
 }
 
-document.getElementById('pieToggleSites').addEventListener('click', () => {
-  pieViewMode = 'sites';
-  document.getElementById('pieToggleSites').classList.add('active');
-  document.getElementById('pieToggleTags').classList.remove('active');
-  const dayData = getDayData(cachedDays, currentDateKey);
-  renderPie(dayData, pieViewMode, cachedDomainTags);
+document.getElementById('heatmapFilter').addEventListener('change', (e) => {
+  heatmapFilter = e.target.value;
+  loadAndRender();
 });
-document.getElementById('pieToggleTags').addEventListener('click', () => {
-  pieViewMode = 'tags';
-  document.getElementById('pieToggleTags').classList.add('active');
-  document.getElementById('pieToggleSites').classList.remove('active');
-  const dayData = getDayData(cachedDays, currentDateKey);
-  renderPie(dayData, pieViewMode, cachedDomainTags);
+document.getElementById('heatmapWeeks').addEventListener('change', (e) => {
+  heatmapWeeks = parseInt(e.target.value, 10) || 4;
+  loadAndRender();
+});
+
+document.getElementById('pieSchedule').addEventListener('change', (e) => {
+  pieSchedule = e.target.value;
+  renderPie(getViewData(), pieViewMode, cachedDomainTags);
+});
+
+document.querySelectorAll('[data-pie-view]').forEach(btn => {
+  btn.addEventListener('click', () => {
+    pieViewMode = btn.dataset.pieView;
+    document.querySelectorAll('[data-pie-view]').forEach(b => b.classList.toggle('active', b === btn));
+    const dayData = getViewData();
+    renderPie(dayData, pieViewMode, cachedDomainTags);
+  });
 });
 
 document.querySelectorAll('.tab').forEach(btn => {
@@ -394,80 +916,579 @@ document.getElementById('datePicker').addEventListener('change', (e) => {
   loadAndRender();
 });
 
+function setRangeMode(mode) {
+  rangeMode = ['week', 'month', 'custom'].includes(mode) ? mode : 'day';
+  const isDay = rangeMode === 'day';
+  document.getElementById('rangeSelect').value = rangeMode;
+  document.getElementById('datePicker').value = currentDateKey;
+  document.getElementById('dayPickerLabel').hidden = !isDay;
+  document.getElementById('customRange').hidden = rangeMode !== 'custom';
+  document.getElementById('btnDeleteDay').disabled = !isDay;
+  // Entries are added to one day, so adding is only offered in the single-day view.
+  document.querySelector('.timeline-toolbar').hidden = !isDay;
+  const emptyText = isDay ? 'No activity recorded for this day.' : 'No activity recorded in this range.';
+  document.getElementById('timelinePlaceholder').textContent = emptyText;
+  document.getElementById('piePlaceholder').textContent = isDay ? 'No data for this day.' : 'No data in this range.';
+  loadAndRender();
+}
+
+document.getElementById('rangeSelect').addEventListener('change', (e) => {
+  if (e.target.value === 'custom' && !customFromKey) {
+    customToKey = getDateKey();
+    const from = dateFromKey(customToKey);
+    from.setDate(from.getDate() - 6);
+    customFromKey = formatDateKey(from);
+    document.getElementById('rangeFrom').value = customFromKey;
+    document.getElementById('rangeTo').value = customToKey;
+  }
+  setRangeMode(e.target.value);
+});
+
+document.getElementById('rangeFrom').addEventListener('change', (e) => {
+  // Date inputs give YYYY-MM-DD already; see the datePicker handler for why they are not re-parsed.
+  customFromKey = e.target.value || null;
+  loadAndRender();
+});
+
+document.getElementById('rangeTo').addEventListener('change', (e) => {
+  customToKey = e.target.value || null;
+  loadAndRender();
+});
+
 document.getElementById('btnDeleteDay').addEventListener('click', async () => {
+  if (rangeMode !== 'day') return;
   if (!confirm(`Delete all data for ${currentDateKey}? This cannot be undone.`)) return;
-  const { days = {}, currentSession = null } = await chrome.storage.local.get(['days', 'currentSession']);
-  const nextDays = { ...days };
-  delete nextDays[currentDateKey];
-  const isToday = currentDateKey === getDateKey();
-  await chrome.storage.local.set({
-    days: nextDays,
-    ...(isToday ? { currentSession: null } : {})
-  });
-  cachedDays = nextDays;
+  await deleteDays([currentDateKey]);
+  if (currentDateKey === getDateKey()) await chrome.storage.local.set({ currentSession: null });
   loadAndRender();
 });
 
+const blockDialog = document.getElementById('blockDialog');
+let editingBlock = null;    // { dateKey, block } shown in the block dialog; block is null when adding
+
+/** Clock time for <input type="time" step="1">. */
+function formatClock(ts) {
+  return new Date(ts).toTimeString().slice(0, 8);
+}
+
+function showBlockError(error) {
+  const list = document.getElementById('blockErrors');
+  list.innerHTML = error ? `<li>${escapeHtml(error)}</li>` : '';
+  list.hidden = !error;
+}
+
+function openBlockDialog(dateKey, block) {
+  editingBlock = { dateKey, block };
+  const { dayStart, dayEnd } = getDayBounds(dateKey, dayStartHour);
+  const end = block ? block.end : Math.min(Date.now(), dayEnd + 1);
+  const start = block ? block.start : Math.max(dayStart, end - 30 * 60000);
+  document.getElementById('blockDialogTitle').textContent = block ? 'Edit block' : 'Add entry';
+  document.getElementById('blockDomain').value = block ? (block.host || block.domain) : '';
+  document.getElementById('blockStart').value = formatClock(start);
+  document.getElementById('blockEnd').value = formatClock(end);
+  document.getElementById('blockSplitAt').value = block ? formatClock(start + (end - start) / 2) : '';
+  document.getElementById('blockSplitField').hidden = !block;
+  document.getElementById('blockDelete').hidden = !block;
+  showBlockError(null);
+  blockDialog.showModal();
+}
+
+/** A time input's value; unchanged inputs keep the block's exact time (inputs drop milliseconds). */
+function readBlockTime(inputId, original) {
+  const value = document.getElementById(inputId).value;
+  if (original != null && value === formatClock(original)) return original;
+  return getTimeInDay(editingBlock.dateKey, value, dayStartHour);
+}
+
+/**
+ * Sends a timeline edit to the worker, which applies it in turn with its own writes to
+ * the day (see EDIT_TIMELINE), then closes the dialog or shows why it was refused.
+ */
+async function applyBlockEdit(edit) {
+  const { dateKey } = editingBlock;
+  const result = await chrome.runtime.sendMessage({ type: 'EDIT_TIMELINE', dateKey, edit }).catch(() => null);
+  if (!result?.ok) {
+    showBlockError(result?.error || 'The edit could not be saved. Try again.');
+    return;
+  }
+  blockDialog.close();
+  loadAndRender();
+}
+
+document.getElementById('btnAddBlock').addEventListener('click', () => openBlockDialog(currentDateKey, null));
+document.getElementById('blockCancel').addEventListener('click', () => blockDialog.close());
+document.getElementById('blockSave').addEventListener('click', () => {
+  const { block } = editingBlock;
+  const domain = normalizeBlockLabel(document.getElementById('blockDomain').value);
+  if (!domain) {
+    showBlockError('Enter a site or label.');
+    return;
+  }
+  const start = readBlockTime('blockStart', block?.start);
+  const end = readBlockTime('blockEnd', block?.end);
+  applyBlockEdit(block
+    ? { kind: 'update', block, changes: { start, end, domain } }
+    : { kind: 'add', entry: { domain, start, end } });
+});
+document.getElementById('blockSplit').addEventListener('click', () => {
+  const at = readBlockTime('blockSplitAt', null);
+  applyBlockEdit({ kind: 'split', block: editingBlock.block, at });
+});
+document.getElementById('blockDelete').addEventListener('click', () => {
+  if (!confirm('Delete this block? Its time is also taken off the site\'s total for the day.')) return;
+  applyBlockEdit({ kind: 'delete', block: editingBlock.block });
+});
+
 document.getElementById('btnDeleteAll').addEventListener('click', async () => {
-  if (!confirm('Delete all usage data? Settings and tags will be kept. This cannot be undone.')) return;
-  const { settings = {}, domainTags = {}, tagList = [] } = await chrome.storage.local.get(['settings', 'domainTags', 'tagList']);
+  // Goal history is a record of past usage, so it goes with the days; the goals themselves are kept.
+  if (!confirm('Delete all usage data and goal history? Settings, tags, goals, reminders and schedules will be kept. This cannot be undone.')) return;
+  const {
+    settings = {}, domainTags = {}, tagList = [], limits = [], tagRules = [], autoTaggedDomains = {}, goals = [], reminders = [], schedules = [],
+    trackingPause = null, focusSession = null
+  } = await chrome.storage.local.get([
+    'settings', 'domainTags', 'tagList', 'limits', 'tagRules', 'autoTaggedDomains', 'goals', 'reminders', 'schedules', 'trackingPause',
+    'focusSession'
+  ]);
   await chrome.storage.local.clear();
   await chrome.storage.local.set({
-    days: {},
+    dayIndex: [],
     currentSession: null,
     settings: settings.theme !== undefined ? settings : { excludeDomains: [], timeGranularityMs: 1000, theme: 'dark' },
     domainTags: domainTags && Object.keys(domainTags).length ? domainTags : {},
-    tagList: Array.isArray(tagList) ? tagList : []
+    tagList: Array.isArray(tagList) ? tagList : [],
+    limits: Array.isArray(limits) ? limits : [],
+    tagRules: Array.isArray(tagRules) ? tagRules : [],
+    autoTaggedDomains: autoTaggedDomains || {},
+    goals: Array.isArray(goals) ? goals : [],
+    reminders: Array.isArray(reminders) ? reminders : [],
+    // settings.trackOnlySchedule names one of these.
+    schedules: Array.isArray(schedules) ? schedules : [],
+    // A running pause or focus session stays in effect; its end alarm is still set.
+    ...(trackingPause ? { trackingPause } : {}),
+    ...(focusSession ? { focusSession } : {})
   });
   currentDateKey = getDateKey();
   cachedDays = {};
   cachedDomainTags = domainTags || {};
-  cachedTagList = Array.isArray(tagList) ? tagList : [];
-  document.getElementById('datePicker').value = '';
-  loadAndRender();
+  cachedTagList = normalizeTagList(tagList);
+  setRangeMode('day');
   settingsDialog.close();
 });
 
 const settingsDialog = document.getElementById('settingsDialog');
 
+// ─── Export / Import ─────────────────────────────────────────────────────────
+
+/**
+ * One row per timeline block, oldest first; tags are joined with ";" and schedule is the
+ * schedule the block was recorded in, if any.
+ * Compacted days give one row per site and hour, with the hour as start/end.
+ */
+function timelineToCsv(days, domainTags, grouping) {
+  const rows = [['date', 'domain', 'path', 'start', 'end', 'duration_s', 'tags', 'schedule']];
+  for (const dateKey of Object.keys(days || {}).sort()) {
+    for (const block of getTimelineSortedChronologically(getDayData(days, dateKey).timeline)) {
+      const start = block.start || 0;
+      const end = block.end || start;
+      rows.push([
+        dateKey,
+        block.domain,
+        block.path || '',
+        new Date(start).toISOString(),
+        new Date(end).toISOString(),
+        Math.round(timelineBlockMs(block) / 1000),
+        getTagsForDomain(block.domain, domainTags, grouping).join(';'),
+        block.schedule || ''
+      ]);
+    }
+  }
+  return rows.map(r => r.map(csvField).join(',')).join('\r\n') + '\r\n';
+}
+
+/** Everything in an export besides the days (see lib/import-export.js). */
+const EXPORTED_KEYS = ['domainTags', 'tagList', 'settings', 'limits', 'tagRules', 'goals', 'reminders', 'schedules',
+  'goalHistory', 'focusHistory', 'pauseHistory'];
+
+document.getElementById('btnExportJson').addEventListener('click', async () => {
+  const {
+    domainTags = {}, tagList = [], settings = {}, limits = [], tagRules = [], goals = [], reminders = [], schedules = [],
+    goalHistory = {}, focusHistory = [], pauseHistory = []
+  } = await chrome.storage.local.get(EXPORTED_KEYS);
+  const days = await loadAllDays();
+  const payload = {
+    format: EXPORT_FORMAT,
+    version: EXPORT_VERSION,
+    exportedAt: new Date().toISOString(),
+    days,
+    domainTags,
+    tagList,
+    settings,
+    limits,
+    tagRules,
+    goals,
+    reminders,
+    schedules,
+    goalHistory,
+    focusHistory,
+    pauseHistory
+  };
+  downloadFile(`website-time-tracker-${getDateKey()}.json`, JSON.stringify(payload, null, 2), 'application/json');
+});
+
+document.getElementById('btnExportCsv').addEventListener('click', async () => {
+  const { domainTags = {}, settings = {} } = await chrome.storage.local.get(['domainTags', 'settings']);
+  const days = await loadAllDays();
+  const csv = timelineToCsv(days, domainTags || {}, getGrouping(settings));
+  downloadFile(`website-time-tracker-${getDateKey()}.csv`, csv, 'text/csv');
+});
+
+const importDialog = document.getElementById('importDialog');
+let pendingImport = null;
+
+function renderImportSummary(summary) {
+  const lines = [
+    `${summary.newDays} new day(s), ${summary.updatedDays} existing day(s) updated`,
+    `${summary.newBlocks} new timeline block(s), ${formatMs(summary.addedMs)} of time added`,
+    `${summary.newTags} new tag(s), ${summary.newDomainTags} site tag assignment(s) added`,
+    `${summary.newLimits} new daily limit(s), ${summary.newTagRules} new tagging rule(s)`,
+    `${summary.newGoals} new goal(s), ${summary.newReminders} new reminder(s), ${summary.newSchedules} new schedule(s)`,
+    `${summary.newHistory} goal, focus or pause history record(s) added`
+  ];
+  if (summary.tagConflicts) lines.push(`${summary.tagConflicts} site(s) tagged differently in the file; your current tags are kept`);
+  lines.push('Settings in the file are not imported.');
+  const ul = document.getElementById('importSummary');
+  ul.innerHTML = lines.map(l => `<li>${escapeHtml(l)}</li>`).join('');
+}
+
+/** Current data an import merges into; only the days present in the file are loaded. */
+async function loadImportTarget(incoming) {
+  const current = await chrome.storage.local.get(EXPORTED_KEYS.filter(key => key !== 'settings'));
+  current.days = await loadDays(Object.keys(incoming.days || {}));
+  return current;
+}
+
+document.getElementById('btnImport').addEventListener('click', () => {
+  const input = document.getElementById('importFile');
+  input.value = '';
+  input.click();
+});
+
+document.getElementById('importFile').addEventListener('change', async (e) => {
+  const file = e.target.files?.[0];
+  if (!file) return;
+  let incoming;
+  try {
+    incoming = JSON.parse(await file.text());
+  } catch {
+    alert('Could not read this file: it is not valid JSON.');
+    return;
+  }
+  if (incoming?.format !== EXPORT_FORMAT || typeof incoming.version !== 'number' || typeof incoming.days !== 'object') {
+    alert('This file is not a Website Time Tracker export.');
+    return;
+  }
+  if (incoming.version > EXPORT_VERSION) {
+    alert('This export was made by a newer version of the extension. Update the extension and try again.');
+    return;
+  }
+  incoming = migrateExport(incoming);
+  const current = await loadImportTarget(incoming);
+  pendingImport = incoming;
+  renderImportSummary(mergeImportedData(current, incoming).summary);
+  importDialog.showModal();
+});
+
+document.getElementById('importCancel').addEventListener('click', () => {
+  pendingImport = null;
+  importDialog.close();
+});
+
+document.getElementById('importConfirm').addEventListener('click', async () => {
+  if (!pendingImport) return;
+  const incoming = pendingImport;
+  pendingImport = null;
+  // Merge again against fresh storage: the tracker may have written since the preview.
+  const current = await loadImportTarget(incoming);
+  const {
+    days, domainTags, tagList, limits, tagRules, goals, reminders, schedules, goalHistory, focusHistory, pauseHistory
+  } = mergeImportedData(current, incoming);
+  await saveDays(days, { domainTags, tagList, limits, tagRules, goals, reminders, schedules, goalHistory, focusHistory, pauseHistory });
+  // Imported days may be older than the detailed-timeline window; compact them too.
+  await chrome.runtime.sendMessage({ type: 'APPLY_RETENTION', rescan: true }).catch(() => null);
+  cachedDomainTags = domainTags;
+  cachedTagList = tagList;
+  renderSettingsTagList(tagList);
+  renderSettingsLimitList(limits, getTagNames(tagList));
+  renderSettingsTagRuleList(tagRules);
+  renderSettingsGoalList(goals);
+  renderSettingsReminderList(reminders);
+  renderSettingsScheduleList(schedules);
+  importDialog.close();
+  loadAndRender();
+});
+
+/** Tags with their colors, nested tags indented under their parent; also fills the tag to rename. */
 function renderSettingsTagList(tagList) {
   const ul = document.getElementById('tagList');
   ul.innerHTML = '';
+  (tagList || []).forEach(({ name, color }) => {
+    const li = document.createElement('li');
+    const indent = getParentTags(name).length * 14;
+    li.innerHTML = `
+      <span class="tag-list-label" style="padding-left:${indent}px">
+        <input type="color" class="tag-color-input" value="${color}" data-tag="${escapeHtml(name)}" aria-label="Color of ${escapeHtml(name)}">
+        <span class="tag-name" title="${escapeHtml(name)}">${escapeHtml(getTagLeafName(name))}</span>
+      </span>
+      <button type="button" class="btn-tag-delete" data-tag="${escapeHtml(name)}">Delete</button>`;
+    ul.appendChild(li);
+  });
+  const select = document.getElementById('renameTagFrom');
+  const selected = select.value;
+  select.innerHTML = '';
+  for (const { name } of tagList || []) {
+    const option = document.createElement('option');
+    option.value = name;
+    option.textContent = name;
+    select.appendChild(option);
+  }
+  if ((tagList || []).some(t => t.name === selected)) select.value = selected;
+}
+
+/** Saves a tag edit that touches every tag reference (see lib/tags.js) and refreshes the settings lists. */
+async function applyTagEdit(update) {
+  await chrome.storage.local.set(update);
+  document.getElementById('focusWorkTag').value = update.settings.focusWorkTag;
+  document.getElementById('focusDistractingTags').value = update.settings.focusDistractingTags.join(', ');
+  cachedTagList = update.tagList;
+  cachedDomainTags = update.domainTags;
+  renderSettingsTagList(update.tagList);
+  renderSettingsLimitList(update.limits, getTagNames(update.tagList));
+  renderSettingsGoalList(update.goals);
+  renderSettingsReminderList(update.reminders);
+  renderSettingsTagRuleList(update.tagRules);
+  loadAndRender();
+}
+
+function describeLimit(limit) {
+  return limit.kind === 'tag' ? `Tag: ${limit.target}` : limit.target;
+}
+
+function renderSettingsLimitList(limits, tagList) {
+  const ul = document.getElementById('limitList');
+  ul.innerHTML = '';
+  (limits || []).forEach((limit, i) => {
+    const li = document.createElement('li');
+    li.innerHTML = `<span class="tag-name">${escapeHtml(describeLimit(limit))}</span><span class="limit-budget">${formatMs(limit.minutes * 60000)}/day</span><button type="button" class="btn-limit-delete" data-limit-index="${i}">Delete</button>`;
+    ul.appendChild(li);
+  });
+  const options = document.getElementById('limitTagOptions');
+  options.innerHTML = '';
   (tagList || []).forEach(tag => {
+    const opt = document.createElement('option');
+    opt.value = tag;
+    options.appendChild(opt);
+  });
+}
+
+function renderSettingsGoalList(goals) {
+  const ul = document.getElementById('goalList');
+  ul.innerHTML = '';
+  (goals || []).forEach((goal, i) => {
+    const li = document.createElement('li');
+    li.innerHTML = `<span class="tag-name">${escapeHtml(goal.tag)}, ${GOAL_DAYS_LABELS[goal.days] || goal.days}</span><span class="limit-budget">≥ ${formatMs(goal.minutes * 60000)}/day</span><button type="button" class="btn-limit-delete" data-goal-index="${i}">Delete</button>`;
+    ul.appendChild(li);
+  });
+}
+
+function renderSettingsScheduleList(schedules) {
+  const ul = document.getElementById('scheduleList');
+  ul.innerHTML = '';
+  (schedules || []).forEach((schedule, i) => {
+    const li = document.createElement('li');
+    li.innerHTML = `<span class="tag-name">${escapeHtml(schedule.name)}, ${GOAL_DAYS_LABELS[schedule.days] || schedule.days}</span><span class="limit-budget">${escapeHtml(schedule.start)}–${escapeHtml(schedule.end)}</span><button type="button" class="btn-limit-delete" data-schedule-index="${i}">Delete</button>`;
+    ul.appendChild(li);
+  });
+}
+
+/** Sites whose incognito tags were not applied because they already had tags here. */
+function renderIncognitoTagConflicts(conflicts) {
+  const ul = document.getElementById('incognitoTagConflictList');
+  ul.innerHTML = '';
+  for (const { domain, kept, ignored } of Array.isArray(conflicts) ? conflicts : []) {
+    const li = document.createElement('li');
+    li.innerHTML = `<span class="tag-name">${escapeHtml(domain)}: incognito tags ${escapeHtml(ignored.join(', ') || 'none')} not applied (kept ${escapeHtml(kept.join(', ') || 'none')})</span><span class="tag-rule-actions"><button type="button" class="btn-conflict-apply" data-domain="${escapeHtml(domain)}">Use</button><button type="button" class="btn-limit-delete" data-domain="${escapeHtml(domain)}">Dismiss</button></span>`;
+    ul.appendChild(li);
+  }
+  ul.hidden = !ul.children.length;
+}
+
+/** "Only track during" choices: any time, or one of the schedules; keeps the choice if it still exists. */
+function renderTrackOnlyScheduleOptions(schedules, selected) {
+  const select = document.getElementById('trackOnlySchedule');
+  select.innerHTML = '<option value="">Any time</option>';
+  for (const schedule of schedules || []) {
+    const option = document.createElement('option');
+    option.value = schedule.name;
+    option.textContent = schedule.name;
+    select.appendChild(option);
+  }
+  select.value = [...select.options].some(o => o.value === selected) ? selected : '';
+}
+
+/** Only-track sites use the exclusion syntax; returns true if all are valid. */
+function renderTrackOnlyScheduleErrors(patterns) {
+  const errors = validateExcludePatterns(patterns);
+  const ul = document.getElementById('trackOnlyScheduleErrors');
+  ul.innerHTML = errors.map(e => `<li>${escapeHtml(e.pattern)}: ${escapeHtml(e.error)}</li>`).join('');
+  ul.hidden = errors.length === 0;
+  return errors.length === 0;
+}
+
+function renderSettingsReminderList(reminders) {
+  const ul = document.getElementById('reminderList');
+  ul.innerHTML = '';
+  (reminders || []).forEach((reminder, i) => {
     const li = document.createElement('li');
-    li.innerHTML = `<span class="tag-name">${escapeHtml(tag)}</span><button type="button" class="btn-tag-delete" data-tag="${escapeHtml(tag)}">Delete</button>`;
+    li.innerHTML = `<span class="tag-name">${escapeHtml(describeReminder(reminder))}</span><button type="button" class="btn-limit-delete" data-reminder-index="${i}">Delete</button>`;
     ul.appendChild(li);
   });
 }
 
+/** Quiet hours selects: "Off" and every hour of the day. */
+function fillQuietHourOptions() {
+  for (const id of ['quietHoursStart', 'quietHoursEnd']) {
+    const select = document.getElementById(id);
+    select.innerHTML = '<option value="">Off</option>';
+    for (let h = 0; h < 24; h++) {
+      const option = document.createElement('option');
+      option.value = String(h);
+      option.textContent = String(h).padStart(2, '0') + ':00';
+      select.appendChild(option);
+    }
+  }
+}
+fillQuietHourOptions();
+
+function normalizeLimitDomain(value) {
+  const v = value.trim().toLowerCase();
+  try {
+    return new URL(v.includes('://') ? v : 'https://' + v).hostname.replace(/^www\./, '');
+  } catch {
+    return '';
+  }
+}
+
+function parseExcludeDomains(raw) {
+  return raw.trim() ? raw.split(/\n/).map(s => s.trim().toLowerCase()).filter(Boolean) : [];
+}
+
+/** Shows invalid exclusion patterns under the textarea; returns true if all are valid. */
+function renderExcludeErrors(excludeDomains) {
+  const errors = validateExcludePatterns(excludeDomains);
+  const ul = document.getElementById('excludeErrors');
+  ul.innerHTML = errors.map(e => `<li>${escapeHtml(e.pattern)}: ${escapeHtml(e.error)}</li>`).join('');
+  ul.hidden = errors.length === 0;
+  return errors.length === 0;
+}
+
+/** Never-idle patterns use the exclusion syntax, hostnames only; returns true if all are valid. */
+function renderNeverIdleErrors(patterns) {
+  const errors = [
+    ...validateExcludePatterns(patterns.filter(p => !p.includes('/'))),
+    ...patterns.filter(p => p.includes('/')).map(pattern => ({ pattern, error: 'hostnames only (no paths)' }))
+  ];
+  const ul = document.getElementById('neverIdleErrors');
+  ul.innerHTML = errors.map(e => `<li>${escapeHtml(e.pattern)}: ${escapeHtml(e.error)}</li>`).join('');
+  ul.hidden = errors.length === 0;
+  return errors.length === 0;
+}
+
+function renderAliasErrors(errors) {
+  const ul = document.getElementById('aliasErrors');
+  ul.innerHTML = errors.map(e => `<li>${escapeHtml(e.line)}: ${escapeHtml(e.error)}</li>`).join('');
+  ul.hidden = errors.length === 0;
+}
+
+/** Shows invalid path rules under the textarea; returns true if all are valid. */
+function renderPathRuleErrors(pathRules) {
+  const errors = validatePathRules(pathRules);
+  const ul = document.getElementById('pathRuleErrors');
+  ul.innerHTML = errors.map(e => `<li>${escapeHtml(e.rule)}: ${escapeHtml(e.error)}</li>`).join('');
+  ul.hidden = errors.length === 0;
+  return errors.length === 0;
+}
+
 function applyTheme(theme) {
   const v = theme === 'light' ? 'light' : 'dark';
   document.documentElement.dataset.theme = v;
 }
 
+document.getElementById('btnDashboard').addEventListener('click', () => {
+  chrome.runtime.openOptionsPage();
+});
+
 document.getElementById('btnSettings').addEventListener('click', async () => {
-  const { settings = {}, tagList = [] } = await chrome.storage.local.get(['settings', 'tagList']);
+  const {
+    settings = {}, tagList = [], limits = [], tagRules = [], goals = [], reminders = [], schedules = [],
+    [INCOGNITO_TAG_CONFLICTS_KEY]: tagConflicts = []
+  } = await chrome.storage.local.get(['settings', 'tagList', 'limits', 'tagRules', 'goals', 'reminders', 'schedules', INCOGNITO_TAG_CONFLICTS_KEY]);
   document.getElementById('excludeDomains').value = (settings.excludeDomains || []).join('\n');
+  renderExcludeErrors(settings.excludeDomains || []);
+  document.getElementById('groupByRegistrableDomain').checked = settings.groupByRegistrableDomain === true;
+  document.getElementById('domainAliases').value = formatDomainAliases(settings.domainAliases);
+  renderAliasErrors([]);
+  document.getElementById('pathRules').value = (settings.pathRules || []).join('\n');
+  renderPathRuleErrors(settings.pathRules || []);
   document.getElementById('timeGranularity').value = settings.timeGranularityMs ?? 1000;
+  document.getElementById('dayStartHour').value = String(normalizeDayStartHour(settings.dayStartHour));
+  document.getElementById('mergeGapSeconds').value = String(settings.mergeGapSeconds || 0);
   document.getElementById('themeSelect').value = (settings.theme === 'light' ? 'light' : 'dark');
+  document.getElementById('badgeMode').value = ['site', 'total', 'off'].includes(settings.badgeMode) ? settings.badgeMode : 'site';
   document.getElementById('keepIncognitoData').checked = settings.keepIncognitoData === true;
+  renderIncognitoTagConflicts(tagConflicts);
+  document.getElementById('idleThresholdSec').value = settings.idleThresholdSec ?? 60;
+  document.getElementById('idleGraceMinutes').value = settings.idleGraceMinutes ?? 0;
+  document.getElementById('lockStopsImmediately').checked = settings.lockStopsImmediately !== false;
+  document.getElementById('trackPassive').checked = settings.trackPassive === true;
+  document.getElementById('neverIdleDomains').value = (settings.neverIdleDomains || []).join('\n');
+  renderNeverIdleErrors(settings.neverIdleDomains || []);
+  document.getElementById('newScheduleName').value = '';
+  renderSettingsScheduleList(Array.isArray(schedules) ? schedules : []);
+  renderTrackOnlyScheduleOptions(Array.isArray(schedules) ? schedules : [], settings.trackOnlySchedule || '');
+  document.getElementById('trackOnlyScheduleDomains').value = (settings.trackOnlyScheduleDomains || []).join('\n');
+  renderTrackOnlyScheduleErrors(settings.trackOnlyScheduleDomains || []);
+  document.getElementById('detailedTimelineDays').value = settings.detailedTimelineDays ?? DEFAULT_DETAILED_TIMELINE_DAYS;
+  document.getElementById('deleteAfterMonths').value = settings.deleteAfterMonths ?? 0;
+  // The defaults name tags that may have been deleted; only existing tags are shown.
+  const focusTags = getFocusTags(settings);
+  const knownTags = getTagNames(tagList);
+  document.getElementById('focusWorkTag').value = knownTags.includes(focusTags.workTag) ? focusTags.workTag : '';
+  document.getElementById('focusDistractingTags').value = focusTags.distractingTags.filter(t => knownTags.includes(t)).join(', ');
   document.getElementById('newTagName').value = '';
-  renderSettingsTagList(Array.isArray(tagList) ? tagList : []);
+  document.getElementById('renameTagTo').value = '';
+  renderSettingsTagList(normalizeTagList(tagList));
+  document.getElementById('newLimitTarget').value = '';
+  renderSettingsLimitList(Array.isArray(limits) ? limits : [], getTagNames(tagList));
+  renderSettingsGoalList(Array.isArray(goals) ? goals : []);
+  document.getElementById('newReminderTarget').value = '';
+  renderSettingsReminderList(Array.isArray(reminders) ? reminders : []);
+  document.getElementById('quietHoursStart').value = Number.isInteger(settings.quietHoursStart) ? String(settings.quietHoursStart) : '';
+  document.getElementById('quietHoursEnd').value = Number.isInteger(settings.quietHoursEnd) ? String(settings.quietHoursEnd) : '';
+  document.getElementById('newTagRulePattern').value = '';
+  document.getElementById('newTagRuleTags').value = '';
+  renderSettingsTagRuleList(Array.isArray(tagRules) ? tagRules : []);
   settingsDialog.showModal();
 });
 async function addTagFromInput() {
   const input = document.getElementById('newTagName');
   const name = input.value.trim();
   if (!name) return;
-  const { tagList = [] } = await chrome.storage.local.get('tagList');
-  const list = Array.isArray(tagList) ? tagList : [];
-  if (list.includes(name)) return;
-  list.push(name);
-  list.sort();
-  await chrome.storage.local.set({ tagList: list });
-  cachedTagList = list;
+  const update = addTag(await chrome.storage.local.get('tagList'), name);
+  if (!update) return;
+  await chrome.storage.local.set(update);
+  cachedTagList = update.tagList;
   input.value = '';
-  renderSettingsTagList(list);
+  renderSettingsTagList(update.tagList);
 }
 document.getElementById('btnAddTag').addEventListener('click', () => addTagFromInput());
 document.getElementById('newTagName').addEventListener('keydown', (e) => {
@@ -481,32 +1502,401 @@ document.getElementById('tagList').addEventListener('click', async (e) => {
   if (!btn) return;
   const tag = btn.dataset.tag;
   if (!tag) return;
-  if (!confirm(`Delete tag "${tag}"? This will remove it from all sites.`)) return;
-  const { tagList = [], domainTags = {} } = await chrome.storage.local.get(['tagList', 'domainTags']);
-  const list = (Array.isArray(tagList) ? tagList : []).filter(t => t !== tag);
-  const nextTags = {};
-  for (const [domain, tags] of Object.entries(domainTags || {})) {
-    const next = (tags || []).filter(t => t !== tag);
-    if (next.length) nextTags[domain] = next;
-  }
-  await chrome.storage.local.set({ tagList: list, domainTags: nextTags });
-  cachedTagList = list;
-  cachedDomainTags = nextTags;
-  renderSettingsTagList(list);
-  loadAndRender();
+  const nested = cachedTagList.some(t => t.name !== tag && isTagOrChild(t.name, tag));
+  if (!confirm(`Delete tag "${tag}"${nested ? ' and the tags nested under it' : ''}? This will remove it from all sites.`)) return;
+  await applyTagEdit(removeTag(await chrome.storage.local.get(TAG_STORAGE_KEYS), tag));
+});
+document.getElementById('tagList').addEventListener('change', async (e) => {
+  const input = e.target.closest('.tag-color-input');
+  if (!input) return;
+  const update = setTagColor(await chrome.storage.local.get('tagList'), input.dataset.tag, input.value);
+  if (!update) return;
+  await chrome.storage.local.set(update);
+  cachedTagList = update.tagList;
+});
+
+/** Renames the chosen tag, or merges it into the tag named when that tag exists. */
+async function renameTagFromInput() {
+  const input = document.getElementById('renameTagTo');
+  const items = await chrome.storage.local.get(TAG_STORAGE_KEYS);
+  const result = renameOrMergeTag(items, document.getElementById('renameTagFrom').value, input.value);
+  if (result.error) {
+    alert(result.error);
+    return;
+  }
+  if (!result.update || (result.confirm && !confirm(result.confirm))) return;
+  input.value = '';
+  await applyTagEdit(result.update);
+}
+document.getElementById('btnRenameTag').addEventListener('click', () => renameTagFromInput());
+document.getElementById('renameTagTo').addEventListener('keydown', (e) => {
+  if (e.key === 'Enter') {
+    e.preventDefault();
+    renameTagFromInput();
+  }
+});
+
+async function addLimitFromInput() {
+  const kind = document.getElementById('newLimitKind').value === 'tag' ? 'tag' : 'domain';
+  const targetInput = document.getElementById('newLimitTarget');
+  const minutes = parseInt(document.getElementById('newLimitMinutes').value, 10);
+  const { limits = [], tagList = [] } = await chrome.storage.local.get(['limits', 'tagList']);
+  const tags = getTagNames(tagList);
+  const target = kind === 'tag' ? targetInput.value.trim() : normalizeLimitDomain(targetInput.value);
+  if (!target || !(minutes > 0)) return;
+  if (kind === 'tag' && !tags.includes(target)) {
+    alert(`Tag "${target}" does not exist. Add it under Tags first.`);
+    return;
+  }
+  // One limit per site/tag: adding again replaces the budget.
+  const list = (Array.isArray(limits) ? limits : []).filter(l => !(l.kind === kind && l.target === target));
+  list.push({ kind, target, minutes });
+  list.sort((a, b) => a.kind.localeCompare(b.kind) || a.target.localeCompare(b.target));
+  await chrome.storage.local.set({ limits: list });
+  targetInput.value = '';
+  renderSettingsLimitList(list, tags);
+}
+document.getElementById('btnAddLimit').addEventListener('click', () => addLimitFromInput());
+document.getElementById('newLimitTarget').addEventListener('keydown', (e) => {
+  if (e.key === 'Enter') {
+    e.preventDefault();
+    addLimitFromInput();
+  }
+});
+document.getElementById('newLimitKind').addEventListener('change', (e) => {
+  document.getElementById('newLimitTarget').placeholder = e.target.value === 'tag' ? 'e.g. Social' : 'e.g. youtube.com';
+});
+function renderSettingsTagRuleList(tagRules) {
+  const ul = document.getElementById('tagRuleList');
+  ul.innerHTML = '';
+  (tagRules || []).forEach((rule, i) => {
+    const li = document.createElement('li');
+    li.innerHTML = `
+      <span class="tag-name">${escapeHtml(rule.pattern)} → ${escapeHtml(rule.tags.join(', '))}</span>
+      <span class="tag-rule-actions">
+        <button type="button" class="btn-rule-move" data-rule-index="${i}" data-rule-move="-1" ${i === 0 ? 'disabled' : ''} aria-label="Move up">↑</button>
+        <button type="button" class="btn-rule-move" data-rule-index="${i}" data-rule-move="1" ${i === tagRules.length - 1 ? 'disabled' : ''} aria-label="Move down">↓</button>
+        <button type="button" class="btn-rule-delete" data-rule-index="${i}">Delete</button>
+      </span>`;
+    ul.appendChild(li);
+  });
+}
+
+async function addTagRuleFromInput() {
+  const patternInput = document.getElementById('newTagRulePattern');
+  const tagsInput = document.getElementById('newTagRuleTags');
+  const pattern = patternInput.value.trim().toLowerCase();
+  const tags = tagsInput.value.split(',').map(t => t.trim()).filter(Boolean);
+  if (!pattern || !tags.length) return;
+  const error = validateTagRulePattern(pattern);
+  if (error) {
+    alert(`Invalid pattern "${pattern}": ${error}`);
+    return;
+  }
+  const { tagRules = [], tagList = [] } = await chrome.storage.local.get(['tagRules', 'tagList']);
+  const knownTags = getTagNames(tagList);
+  const missing = tags.filter(t => !knownTags.includes(t));
+  if (missing.length) {
+    alert(`Unknown tag(s): ${missing.join(', ')}. Add them under Tags first.`);
+    return;
+  }
+  const list = [...(Array.isArray(tagRules) ? tagRules : []), { pattern, tags }];
+  await chrome.storage.local.set({ tagRules: list });
+  patternInput.value = '';
+  tagsInput.value = '';
+  renderSettingsTagRuleList(list);
+}
+document.getElementById('btnAddTagRule').addEventListener('click', () => addTagRuleFromInput());
+document.getElementById('newTagRuleTags').addEventListener('keydown', (e) => {
+  if (e.key === 'Enter') {
+    e.preventDefault();
+    addTagRuleFromInput();
+  }
+});
+document.getElementById('tagRuleList').addEventListener('click', async (e) => {
+  const btn = e.target.closest('.btn-rule-move, .btn-rule-delete');
+  if (!btn) return;
+  const index = Number(btn.dataset.ruleIndex);
+  const { tagRules = [] } = await chrome.storage.local.get('tagRules');
+  const list = [...(Array.isArray(tagRules) ? tagRules : [])];
+  if (btn.classList.contains('btn-rule-delete')) {
+    list.splice(index, 1);
+  } else {
+    const target = index + Number(btn.dataset.ruleMove);
+    if (target < 0 || target >= list.length) return;
+    [list[index], list[target]] = [list[target], list[index]];
+  }
+  await chrome.storage.local.set({ tagRules: list });
+  renderSettingsTagRuleList(list);
+});
+document.getElementById('btnReapplyTagRules').addEventListener('click', async () => {
+  if (!confirm('Re-apply tagging rules to every site in your history? Tags you set by hand are kept.')) return;
+  const { domainTags = {}, autoTaggedDomains = {}, tagRules = [] } =
+    await chrome.storage.local.get(['domainTags', 'autoTaggedDomains', 'tagRules']);
+  const days = await loadAllDays();
+  const domains = new Set();
+  for (const day of Object.values(days || {})) {
+    Object.keys(day?.domains || {}).forEach(d => domains.add(d));
+  }
+  const result = applyTagRules(domains, domainTags, autoTaggedDomains, tagRules);
+  await chrome.storage.local.set({ domainTags: result.domainTags, autoTaggedDomains: result.autoTaggedDomains });
+  cachedDomainTags = result.domainTags;
+  alert(`Tagging rules re-applied: ${result.changed} site(s) changed.`);
+});
+
+document.getElementById('limitList').addEventListener('click', async (e) => {
+  const btn = e.target.closest('.btn-limit-delete');
+  if (!btn) return;
+  const index = Number(btn.dataset.limitIndex);
+  const { limits = [], tagList = [] } = await chrome.storage.local.get(['limits', 'tagList']);
+  const list = (Array.isArray(limits) ? limits : []).filter((_, i) => i !== index);
+  await chrome.storage.local.set({ limits: list });
+  renderSettingsLimitList(list, getTagNames(tagList));
+});
+
+async function addGoalFromInput() {
+  const tagInput = document.getElementById('newGoalTag');
+  const tag = tagInput.value.trim();
+  const days = document.getElementById('newGoalDays').value;
+  const minutes = parseInt(document.getElementById('newGoalMinutes').value, 10);
+  if (!tag || !(minutes > 0) || !GOAL_DAYS.includes(days)) return;
+  const { goals = [], tagList = [] } = await chrome.storage.local.get(['goals', 'tagList']);
+  if (!getTagNames(tagList).includes(tag)) {
+    alert(`Tag "${tag}" does not exist. Add it under Tags first.`);
+    return;
+  }
+  // One goal per tag and days: adding again replaces the target but keeps its history start.
+  const list = Array.isArray(goals) ? [...goals] : [];
+  const existing = list.find(g => goalId(g) === goalId({ tag, days }));
+  const goal = { tag, days, minutes, since: existing?.since || getDateKey() };
+  const next = list.filter(g => g !== existing).concat(goal)
+    .sort((a, b) => a.tag.localeCompare(b.tag) || GOAL_DAYS.indexOf(a.days) - GOAL_DAYS.indexOf(b.days));
+  await chrome.storage.local.set({ goals: next });
+  tagInput.value = '';
+  renderSettingsGoalList(next);
+}
+document.getElementById('btnAddGoal').addEventListener('click', () => addGoalFromInput());
+document.getElementById('newGoalTag').addEventListener('keydown', (e) => {
+  if (e.key === 'Enter') {
+    e.preventDefault();
+    addGoalFromInput();
+  }
+});
+
+document.getElementById('goalList').addEventListener('click', async (e) => {
+  const btn = e.target.closest('.btn-limit-delete');
+  if (!btn) return;
+  const index = Number(btn.dataset.goalIndex);
+  const { goals = [] } = await chrome.storage.local.get('goals');
+  const list = (Array.isArray(goals) ? goals : []).filter((_, i) => i !== index);
+  await chrome.storage.local.set({ goals: list });
+  renderSettingsGoalList(list);
+});
+
+async function addScheduleFromInput() {
+  const nameInput = document.getElementById('newScheduleName');
+  const schedule = {
+    name: nameInput.value.trim(),
+    days: document.getElementById('newScheduleDays').value,
+    start: document.getElementById('newScheduleStart').value,
+    end: document.getElementById('newScheduleEnd').value
+  };
+  const { schedules = [] } = await chrome.storage.local.get('schedules');
+  const list = Array.isArray(schedules) ? schedules : [];
+  const error = validateSchedule(schedule, list);
+  if (error) {
+    alert(error);
+    return;
+  }
+  const next = [...list, schedule];
+  await chrome.storage.local.set({ schedules: next });
+  nameInput.value = '';
+  renderSettingsScheduleList(next);
+  renderTrackOnlyScheduleOptions(next, document.getElementById('trackOnlySchedule').value);
+}
+document.getElementById('btnAddSchedule').addEventListener('click', () => addScheduleFromInput());
+document.getElementById('newScheduleName').addEventListener('keydown', (e) => {
+  if (e.key === 'Enter') {
+    e.preventDefault();
+    addScheduleFromInput();
+  }
+});
+
+// Time recorded in a deleted schedule counts as outside schedules (see getScheduleViewData).
+document.getElementById('scheduleList').addEventListener('click', async (e) => {
+  const btn = e.target.closest('.btn-limit-delete');
+  if (!btn) return;
+  const index = Number(btn.dataset.scheduleIndex);
+  const { schedules = [] } = await chrome.storage.local.get('schedules');
+  const list = (Array.isArray(schedules) ? schedules : []).filter((_, i) => i !== index);
+  await chrome.storage.local.set({ schedules: list });
+  renderSettingsScheduleList(list);
+  renderTrackOnlyScheduleOptions(list, document.getElementById('trackOnlySchedule').value);
+});
+
+// "Use" sets the site's tags to the incognito ones by hand; either button clears the entry.
+document.getElementById('incognitoTagConflictList').addEventListener('click', async (e) => {
+  const btn = e.target.closest('button[data-domain]');
+  if (!btn) return;
+  const domain = btn.dataset.domain;
+  const items = await chrome.storage.local.get([INCOGNITO_TAG_CONFLICTS_KEY, 'domainTags', 'autoTaggedDomains']);
+  const conflicts = Array.isArray(items[INCOGNITO_TAG_CONFLICTS_KEY]) ? items[INCOGNITO_TAG_CONFLICTS_KEY] : [];
+  const conflict = conflicts.find(c => c.domain === domain);
+  const rest = conflicts.filter(c => c.domain !== domain);
+  const update = conflict && btn.classList.contains('btn-conflict-apply') ? setDomainTags(items, domain, conflict.ignored) : {};
+  await chrome.storage.local.set({ ...update, [INCOGNITO_TAG_CONFLICTS_KEY]: rest });
+  renderIncognitoTagConflicts(rest);
+  if (update.domainTags) {
+    cachedDomainTags = update.domainTags;
+    loadAndRender();
+  }
+});
+
+function updateReminderInputs() {
+  const kind = document.getElementById('newReminderKind').value;
+  const target = document.getElementById('newReminderTarget');
+  target.hidden = kind === 'continuous';
+  target.placeholder = kind === 'tagShare' ? 'Tag, e.g. Social' : 'e.g. reddit.com';
+  document.getElementById('newReminderUnit').textContent = kind === 'tagShare' ? '%' : 'min';
+}
+document.getElementById('newReminderKind').addEventListener('change', updateReminderInputs);
+
+async function addReminderFromInput() {
+  const kind = document.getElementById('newReminderKind').value;
+  const targetInput = document.getElementById('newReminderTarget');
+  const value = parseInt(document.getElementById('newReminderValue').value, 10);
+  if (!REMINDER_KINDS.includes(kind) || !(value > 0)) return;
+  const { reminders = [], tagList = [] } = await chrome.storage.local.get(['reminders', 'tagList']);
+  let reminder;
+  if (kind === 'continuous') {
+    reminder = { kind, minutes: value };
+  } else if (kind === 'tagShare') {
+    const target = targetInput.value.trim();
+    if (!target || value > 100) return;
+    if (!getTagNames(tagList).includes(target)) {
+      alert(`Tag "${target}" does not exist. Add it under Tags first.`);
+      return;
+    }
+    reminder = { kind, target, percent: value };
+  } else {
+    const target = normalizeLimitDomain(targetInput.value);
+    if (!target) return;
+    reminder = { kind, target, minutes: value };
+  }
+  // One reminder per kind and target: adding again replaces the threshold.
+  const list = (Array.isArray(reminders) ? reminders : [])
+    .filter(r => !(r.kind === reminder.kind && (r.target ?? null) === (reminder.target ?? null)))
+    .concat(reminder);
+  await chrome.storage.local.set({ reminders: list });
+  targetInput.value = '';
+  renderSettingsReminderList(list);
+}
+document.getElementById('btnAddReminder').addEventListener('click', () => addReminderFromInput());
+document.getElementById('newReminderTarget').addEventListener('keydown', (e) => {
+  if (e.key === 'Enter') {
+    e.preventDefault();
+    addReminderFromInput();
+  }
+});
+
+document.getElementById('reminderList').addEventListener('click', async (e) => {
+  const btn = e.target.closest('.btn-limit-delete');
+  if (!btn) return;
+  const index = Number(btn.dataset.reminderIndex);
+  const { reminders = [] } = await chrome.storage.local.get('reminders');
+  const list = (Array.isArray(reminders) ? reminders : []).filter((_, i) => i !== index);
+  await chrome.storage.local.set({ reminders: list });
+  renderSettingsReminderList(list);
+});
+
+document.getElementById('excludeDomains').addEventListener('input', (e) => {
+  renderExcludeErrors(parseExcludeDomains(e.target.value));
+});
+document.getElementById('neverIdleDomains').addEventListener('input', (e) => {
+  renderNeverIdleErrors(parseExcludeDomains(e.target.value));
+});
+document.getElementById('domainAliases').addEventListener('input', (e) => {
+  renderAliasErrors(parseDomainAliases(e.target.value).errors);
+});
+document.getElementById('pathRules').addEventListener('input', (e) => {
+  renderPathRuleErrors(e.target.value.split(/\n/).map(s => s.trim()).filter(Boolean));
 });
 
 document.getElementById('settingsCancel').addEventListener('click', () => settingsDialog.close());
 document.getElementById('settingsSave').addEventListener('click', async () => {
-  const raw = document.getElementById('excludeDomains').value.trim();
-  const excludeDomains = raw ? raw.split(/\n/).map(s => s.trim().toLowerCase()).filter(Boolean) : [];
+  const excludeDomains = parseExcludeDomains(document.getElementById('excludeDomains').value);
+  if (!renderExcludeErrors(excludeDomains)) return;
+  const { aliases: domainAliases, errors: aliasErrors } = parseDomainAliases(document.getElementById('domainAliases').value);
+  renderAliasErrors(aliasErrors);
+  if (aliasErrors.length) return;
+  const groupByRegistrableDomain = document.getElementById('groupByRegistrableDomain').checked;
+  const pathRules = document.getElementById('pathRules').value.split(/\n/).map(s => s.trim()).filter(Boolean);
+  if (!renderPathRuleErrors(pathRules)) return;
   const timeGranularityMs = Math.max(1000, parseInt(document.getElementById('timeGranularity').value, 10) || 1000);
+  const nextDayStartHour = normalizeDayStartHour(parseInt(document.getElementById('dayStartHour').value, 10));
+  const mergeGapSeconds = Math.max(0, parseInt(document.getElementById('mergeGapSeconds').value, 10) || 0);
   const theme = document.getElementById('themeSelect').value === 'light' ? 'light' : 'dark';
+  const badgeMode = document.getElementById('badgeMode').value;
   const keepIncognitoData = document.getElementById('keepIncognitoData').checked;
-  const { settings = {} } = await chrome.storage.local.get('settings');
+  const neverIdleDomains = parseExcludeDomains(document.getElementById('neverIdleDomains').value);
+  if (!renderNeverIdleErrors(neverIdleDomains)) return;
+  const idleThresholdSec = Math.max(15, parseInt(document.getElementById('idleThresholdSec').value, 10) || 60);
+  const idleGraceMinutes = Math.max(0, parseInt(document.getElementById('idleGraceMinutes').value, 10) || 0);
+  const lockStopsImmediately = document.getElementById('lockStopsImmediately').checked;
+  const trackPassive = document.getElementById('trackPassive').checked;
+  const trackOnlySchedule = document.getElementById('trackOnlySchedule').value;
+  const trackOnlyScheduleDomains = parseExcludeDomains(document.getElementById('trackOnlyScheduleDomains').value);
+  if (!renderTrackOnlyScheduleErrors(trackOnlyScheduleDomains)) return;
+  const quietStart = document.getElementById('quietHoursStart').value;
+  const quietEnd = document.getElementById('quietHoursEnd').value;
+  // Quiet hours need both ends; one left on "Off" turns them off.
+  const quietHoursStart = quietStart && quietEnd ? parseInt(quietStart, 10) : null;
+  const quietHoursEnd = quietStart && quietEnd ? parseInt(quietEnd, 10) : null;
+  const detailedTimelineDays = Math.max(0, parseInt(document.getElementById('detailedTimelineDays').value, 10) || 0);
+  const deleteAfterMonths = Math.max(0, parseInt(document.getElementById('deleteAfterMonths').value, 10) || 0);
+  const focusWorkTag = document.getElementById('focusWorkTag').value.trim();
+  const focusDistractingTags = document.getElementById('focusDistractingTags').value.split(',').map(t => t.trim()).filter(Boolean);
+  const { settings = {}, tagList = [] } = await chrome.storage.local.get(['settings', 'tagList']);
+  const knownTags = getTagNames(tagList);
+  const unknownFocusTags = [focusWorkTag, ...focusDistractingTags].filter(t => t && !knownTags.includes(t));
+  if (unknownFocusTags.length) {
+    alert(`Unknown tag(s) in Focus sessions: ${unknownFocusTags.join(', ')}. Add them under Tags first.`);
+    return;
+  }
+  const previousDeleteMonths = settings.deleteAfterMonths || 0;
+  if (deleteAfterMonths > 0 && (previousDeleteMonths === 0 || deleteAfterMonths < previousDeleteMonths) &&
+      !confirm(`Days older than ${deleteAfterMonths} month(s) will be deleted now and from then on. This cannot be undone.`)) {
+    return;
+  }
   await chrome.storage.local.set({
-    settings: { ...settings, excludeDomains, timeGranularityMs, theme, keepIncognitoData }
+    settings: {
+      ...settings,
+      excludeDomains,
+      timeGranularityMs,
+      dayStartHour: nextDayStartHour,
+      mergeGapSeconds,
+      theme,
+      badgeMode,
+      keepIncognitoData,
+      idleThresholdSec,
+      idleGraceMinutes,
+      lockStopsImmediately,
+      neverIdleDomains,
+      trackPassive,
+      trackOnlySchedule,
+      trackOnlyScheduleDomains,
+      quietHoursStart,
+      quietHoursEnd,
+      groupByRegistrableDomain,
+      domainAliases,
+      pathRules,
+      detailedTimelineDays,
+      deleteAfterMonths,
+      focusWorkTag,
+      focusDistractingTags
+    }
   });
+  await chrome.runtime.sendMessage({ type: 'APPLY_RETENTION' }).catch(() => null);
   applyTheme(theme);
   settingsDialog.close();
 });
@@ -519,7 +1909,17 @@ settingsDialog.addEventListener('cancel', (e) => {
 document.getElementById('datePicker').value = currentDateKey;
 
 chrome.storage.onChanged.addListener((changes, areaName) => {
-  if (areaName === 'local' && (changes.days || changes.settings || changes.currentSession || changes.domainTags || changes.tagList)) {
+  if (areaName !== 'local') return;
+  if (changes.focusSession) {
+    // The countdown follows the new phase now rather than after the reload below.
+    cachedFocus = { ...cachedFocus, session: changes.focusSession.newValue ?? null };
+    renderFocusBar(cachedCurrentSession);
+  }
+  const rangeKeys = getRangeDateKeys();
+  const viewedDayChanged = changedDateKeys(changes).some(k => rangeKeys.includes(k));
+  if (viewedDayChanged || changes.settings || changes.currentSession || changes.domainTags || changes.tagList ||
+      changes.focusSession || changes.focusHistory || changes.passiveSessions || changes.goals || changes.goalHistory ||
+      changes.trackingPause || changes.pauseHistory || changes.schedules) {
     if (changes.settings?.newValue?.theme) applyTheme(changes.settings.newValue.theme);
     loadAndRender();
   }
@@ -528,5 +1928,8 @@ chrome.storage.onChanged.addListener((changes, areaName) => {
 (async () => {
   const { settings = {} } = await chrome.storage.local.get('settings');
   applyTheme(settings.theme);
+  dayStartHour = normalizeDayStartHour(settings.dayStartHour);
+  currentDateKey = getDateKey();
+  document.getElementById('datePicker').value = currentDateKey;
   loadAndRender();
 })();
@@ -0,0 +1,242 @@
+/**
+ * Replays an exported tracker journal (Dashboard → Diagnostics → Export) against the
+ * service worker's TrackerState under a fake chrome API, and reports every event whose
+ * session change differs from the one recorded.
+ *
+ * Run: node tests/replay.js path/to/journal.json
+ *
+ * The fake browser is rebuilt from the entries: each event's ids and URL and the active
+ * tab seen when it arrived. Only the exported settings and schedules are loaded, so limits,
+ * focus sessions and auto-tagging do not take part; URLs were stored without query strings.
+ * Alarms are not journaled: tests add { at, type: 'alarm', name } entries to fire one that
+ * the worker has set.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { journalSessionRef, describeSessionTransition, formatJournalEvent } = require('../lib/journal.js');
+
+const ROOT = path.join(__dirname, '..');
+
+function makeEvent() {
+  const listeners = [];
+  return {
+    addListener: fn => listeners.push(fn), removeListener() {}, hasListener: fn => listeners.includes(fn),
+    dispatch: (...args) => Promise.all(listeners.map(fn => fn(...args)))
+  };
+}
+
+/** A chrome API backed by memory: storage (world.store), alarms (world.alarms), and tabs/windows taken from the journal. */
+function makeFakeChrome(world, settings, schedules, incognito) {
+  const store = world.store;
+  store.settings = { ...settings, journalEnabled: false };
+  store.schedules = schedules;
+  const copy = value => (value === undefined ? undefined : JSON.parse(JSON.stringify(value)));
+  const local = {
+    async get(keys) {
+      if (keys == null) return copy(store);
+      const out = {};
+      if (typeof keys === 'string' || Array.isArray(keys)) {
+        for (const key of [].concat(keys)) if (key in store) out[key] = copy(store[key]);
+        return out;
+      }
+      for (const [key, fallback] of Object.entries(keys)) out[key] = key in store ? copy(store[key]) : fallback;
+      return out;
+    },
+    async set(items) {
+      for (const [key, value] of Object.entries(items)) store[key] = copy(value);
+    },
+    async remove(keys) {
+      for (const key of [].concat(keys)) delete store[key];
+    },
+    async getKeys() {
+      return Object.keys(store);
+    }
+  };
+  const activeTab = windowId => Object.values(world.tabs).find(t => t.active && t.windowId === windowId);
+  const noop = async () => {};
+  return {
+    storage: { local, onChanged: makeEvent() },
+    tabs: {
+      onActivated: makeEvent(), onUpdated: makeEvent(), onRemoved: makeEvent(),
+      async get(tabId) {
+        if (!world.tabs[tabId]) throw new Error(`No tab with id: ${tabId}.`);
+        return { ...world.tabs[tabId] };
+      },
+      async query(query) {
+        if (query.audible) return [];
+        const windowId = query.currentWindow ? world.lastFocusedWindowId : query.windowId;
+        const tab = activeTab(windowId);
+        return tab ? [{ ...tab }] : [];
+      },
+      update: noop
+    },
+    windows: {
+      WINDOW_ID_NONE: -1,
+      onRemoved: makeEvent(), onFocusChanged: makeEvent(),
+      async get(windowId) {
+        if (world.closedWindowIds.has(windowId)) throw new Error(`No window with id: ${windowId}.`);
+        return { id: windowId };
+      },
+      async getLastFocused() {
+        return world.lastFocusedWindowId != null ? { id: world.lastFocusedWindowId } : {};
+      }
+    },
+    idle: { onStateChanged: makeEvent(), setDetectionInterval() {}, async queryState() { return world.idleState; } },
+    alarms: {
+      onAlarm: makeEvent(),
+      async get(name) {
+        return copy(world.alarms[name]);
+      },
+      create(name, info) {
+        world.alarms[name] = { name, ...info };
+      },
+      async clear(name) {
+        const existed = name in world.alarms;
+        delete world.alarms[name];
+        return existed;
+      },
+      /** Replay only: runs a set alarm's listeners; one-off alarms are then gone, as in Chrome. */
+      async fire(name) {
+        const alarm = world.alarms[name];
+        if (!alarm) return;
+        if (!alarm.periodInMinutes) delete world.alarms[name];
+        await this.onAlarm.dispatch({ name });
+      }
+    },
+    runtime: { onMessage: makeEvent(), onStartup: makeEvent(), onInstalled: makeEvent(), getURL: p => p },
+    action: { setBadgeText: noop, setBadgeBackgroundColor: noop, setTitle: noop },
+    notifications: { create: noop, clear: noop, onButtonClicked: makeEvent() },
+    commands: { onCommand: makeEvent() },
+    extension: { inIncognitoContext: incognito }
+  };
+}
+
+function setTab(world, tabId, windowId, url, active, incognito) {
+  if (tabId == null) return;
+  const tab = world.tabs[tabId] || (world.tabs[tabId] = { id: tabId });
+  if (windowId != null) tab.windowId = windowId;
+  if (url) tab.url = url;
+  if (incognito) tab.incognito = true;
+  if (active) {
+    for (const other of Object.values(world.tabs)) if (other.windowId === tab.windowId) other.active = false;
+    tab.active = true;
+  }
+}
+
+/** Brings the fake browser to what the entry saw when its event arrived. */
+function applyEntry(world, entry) {
+  if (entry.active) {
+    world.lastFocusedWindowId = entry.active.windowId;
+    setTab(world, entry.active.tabId, entry.active.windowId, entry.active.url, true, entry.active.incognito);
+  }
+  if (entry.type === 'tabActivated') {
+    // No URL means the worker could not read the tab either.
+    if (entry.url) setTab(world, entry.tabId, entry.windowId, entry.url, true, entry.incognito);
+    else delete world.tabs[entry.tabId];
+  }
+  if (entry.type === 'tabUpdated') setTab(world, entry.tabId, entry.windowId, entry.url, false, entry.incognito);
+  if (entry.type === 'tabRemoved') delete world.tabs[entry.tabId];
+  if (entry.type === 'windowRemoved') world.closedWindowIds.add(entry.windowId);
+  if (entry.type === 'idle') world.idleState = entry.idleState;
+  // A journal can begin partway through a pause.
+  if (entry.type === 'resume' && !world.store.trackingPause) world.store.trackingPause = { start: entry.at, until: null };
+}
+
+/** How each journaled event type reaches the worker (the handlers named in background.js). */
+const REPLAY_HANDLERS = {
+  tabActivated: (bg, e) => bg.onTabActivated({ tabId: e.tabId, windowId: e.windowId }),
+  tabUpdated: (bg, e) => bg.onTabUpdated(e.tabId, { url: e.url }, { id: e.tabId, windowId: e.windowId, url: e.url }),
+  tabRemoved: (bg, e) => bg.onTabRemoved(e.tabId),
+  windowRemoved: (bg, e) => bg.onWindowRemoved(e.windowId),
+  windowFocus: (bg, e) => bg.handleWindowFocus(e.windowId),
+  idle: (bg, e) => bg.onIdleStateChange(e.idleState),
+  reconcile: bg => bg.reconcileWithCurrentTab(),
+  pause: (bg, e) => bg.pauseTracking(e.option),
+  resume: bg => bg.resumeTracking(),
+  schedule: bg => bg.applyTrackingSchedule(),
+  alarm: (bg, e) => bg.chrome.alarms.fire(e.name)
+};
+
+/**
+ * Replays journal entries in order. Returns { replayed, mismatches, worker } where each
+ * mismatch is { index, entry, expected, actual } with the recorded and replayed session
+ * changes, and worker is the replayed service worker's global scope.
+ * Replay starts from the session the first recorded change began with.
+ * options.store is the storage to start from; passing one store to two replays, one with
+ * options.incognito, runs a regular and an incognito instance on shared storage.
+ */
+async function replayJournal(entries, settings = {}, schedules = [], { store = {}, incognito = false } = {}) {
+  const world = { store, tabs: {}, lastFocusedWindowId: null, closedWindowIds: new Set(), idleState: 'active', alarms: {} };
+  let now = entries[0]?.at || 0;
+  class ReplayDate extends Date {
+    constructor(...args) {
+      if (args.length) super(...args);
+      else super(now);
+    }
+    static now() {
+      return now;
+    }
+  }
+  const context = {
+    chrome: makeFakeChrome(world, settings, schedules, incognito),
+    console: { log() {}, warn() {}, error() {} },
+    URL, URLSearchParams, Date: ReplayDate, structuredClone, crypto,
+    setTimeout: () => 0, clearTimeout() {}, setInterval: () => 0, clearInterval() {}
+  };
+  context.self = context;
+  context.importScripts = (...files) => {
+    for (const file of files) vm.runInContext(fs.readFileSync(path.join(ROOT, file), 'utf8'), context, { filename: file });
+  };
+  vm.createContext(context);
+  vm.runInContext(fs.readFileSync(path.join(ROOT, 'background.js'), 'utf8'), context, { filename: 'background.js' });
+  const state = vm.runInContext('state', context);
+
+  // Events before the first change kept whatever the worker was tracking then.
+  const first = entries.find(e => REPLAY_HANDLERS[e.type] && e.session);
+  const initial = first?.session.from;
+  if (initial) {
+    const windowId = entries.find(e => e.active)?.active.windowId ?? null;
+    state.session = { domain: initial.domain, path: initial.path ?? null, start: now, persistedAt: now, tabId: initial.tabId, windowId };
+    state.focusedWindowId = windowId;
+  }
+
+  const mismatches = [];
+  let replayed = 0;
+  for (const [index, entry] of entries.entries()) {
+    const handle = REPLAY_HANDLERS[entry.type];
+    if (!handle) continue;
+    now = entry.at;
+    applyEntry(world, entry);
+    const before = journalSessionRef(state.session);
+    await handle(context, entry).catch(() => {});
+    if (state.pendingWrite) await state.pendingWrite.catch(() => {});
+    replayed++;
+    const actual = describeSessionTransition(before, journalSessionRef(state.session));
+    const expected = entry.session || null;
+    if (JSON.stringify(actual) !== JSON.stringify(expected)) mismatches.push({ index, entry, expected, actual });
+  }
+  return { replayed, mismatches, worker: context };
+}
+
+if (require.main === module) {
+  const file = process.argv[2];
+  if (!file) {
+    console.error('Usage: node tests/replay.js <journal.json>');
+    process.exit(2);
+  }
+  const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const entries = Array.isArray(data) ? data : data.entries || [];
+  replayJournal(entries, data.settings || {}, data.schedules || []).then(({ replayed, mismatches }) => {
+    for (const m of mismatches) {
+      console.log(`#${m.index} ${new Date(m.entry.at).toISOString()} ${formatJournalEvent(m.entry)}`);
+      console.log(`  recorded: ${JSON.stringify(m.expected)}`);
+      console.log(`  replayed: ${JSON.stringify(m.actual)}`);
+    }
+    console.log(`${replayed} events replayed, ${mismatches.length} differ`);
+    process.exit(mismatches.length ? 1 : 0);
+  });
+}
+
+module.exports = { replayJournal };
@@ -1,9 +1,111 @@
 /**
  * Unit tests for Website Time Tracker logic.
  * Run with: node tests/unit.js
- * Tests: date key, hostname extraction, time rounding, timeline aggregation.
+ * Tests: date key, hostname extraction, time rounding, timeline aggregation,
+ * date ranges, import merge, daily limits, exclusion patterns, domain grouping, path rules,
+ * tagging rules, day storage, retention, day boundaries, heatmap, focus sessions, passive time,
+ * daily goals, reminders, toolbar badge, dashboard, tag edits, tag hierarchy and colors,
+ * timeline edits, visit merging, incognito hand-off, pausing, schedules, tracker journal and its replay.
  */
 
+const { dayStorageKey, changedDateKeys, mergeLegacyDays } = require('../lib/storage.js');
+const {
+  createFocusSession,
+  advanceFocusSession,
+  getFocusPhases,
+  stopFocusSession,
+  isDistractingDomain,
+  summarizeFocus
+} = require('../lib/focus.js');
+const { goalId, getGoalsForDay, evaluateGoals, getGoalHistoryKeys, pruneGoalHistory } = require('../lib/goals.js');
+const { formatReminderMs, describeReminder, checkReminder, isReminderDue, isInQuietHours } = require('../lib/reminders.js');
+const {
+  formatDateKey,
+  dateFromKey,
+  getDateKeyAt,
+  getDayBounds,
+  splitAtDayBoundaries,
+  getTimeInDay,
+  getDateKeysBetween,
+  getRangeKeys
+} = require('../lib/dates.js');
+const { formatMs, formatBadgeTime, escapeHtml } = require('../lib/ui.js');
+const { isExcludedUrl, validateExcludePatterns } = require('../lib/exclusions.js');
+const {
+  getRegistrableDomain,
+  parseDomainAliases,
+  getDomainGroupKey,
+  getTagsForDomain,
+  groupDayData
+} = require('../lib/domains.js');
+const { validatePathRules, getPathKey } = require('../lib/path-rules.js');
+const { validateTagRulePattern, findTagRule, applyTagRules } = require('../lib/tag-rules.js');
+const { HOUR_MS, timelineBlockMs, compactTimeline, compactDay, hourlyToBlocks, planRetention } = require('../lib/retention.js');
+const {
+  getDayData,
+  aggregateDays,
+  aggregateTimeline,
+  mergeTimelineBlocks,
+  computeVisitStats,
+  computeTagMsFromDay,
+  summarizeDomains,
+  getDailyBreakdown,
+  computeHeatmap
+} = require('../lib/aggregate.js');
+const {
+  getParentTags,
+  withParentTags,
+  isTagOrChild,
+  getTagLeafName,
+  normalizeTagList,
+  needsTagListMigration,
+  getTagNames,
+  getTagColor
+} = require('../lib/tag-list.js');
+const { addTag, setTagColor, renameTag, mergeTags, renameOrMergeTag, removeTag, setDomainTags } = require('../lib/tags.js');
+const {
+  roundMs,
+  validateBlockRange,
+  deleteTimelineBlock,
+  updateTimelineBlock,
+  splitTimelineBlock,
+  addManualBlock,
+  applyTimelineEdit,
+  normalizeBlockLabel
+} = require('../lib/timeline-edits.js');
+const { limitAppliesTo, getLimitUsageMs } = require('../lib/limits.js');
+const { EXPORT_VERSION, migrateExport, csvField, mergeImportedData } = require('../lib/import-export.js');
+const { readSyncQueue, appendSyncBatch, mergeSyncDomainTags, mergeSyncBatches, addSyncConflicts } = require('../lib/incognito-sync.js');
+const {
+  appendJournalEntries,
+  journalUrl,
+  journalSessionRef,
+  describeSessionTransition,
+  formatJournalEvent,
+  formatJournalTransition
+} = require('../lib/journal.js');
+const { replayJournal } = require('./replay.js');
+const {
+  parseClockMinutes,
+  validateSchedule,
+  getScheduleIntervals,
+  getScheduleAt,
+  splitAtSchedules,
+  isTrackedBySchedule,
+  getNextScheduleBoundary,
+  getLastScheduleEnd,
+  summarizeScheduleDomains
+} = require('../lib/schedules.js');
+const {
+  PAUSE_HISTORY_MAX,
+  getPauseUntil,
+  createPause,
+  isPauseActive,
+  endPause,
+  addPauseToHistory,
+  getPauseWindows
+} = require('../lib/pause.js');
+
 function getDateKey(date) {
   const d = date ? new Date(date) : new Date();
   return d.getFullYear() + '-' + String(d.getMonth() + 1).padStart(2, '0') + '-' + String(d.getDate()).padStart(2, '0');
@@ -21,25 +123,6 @@ function hostnameFromUrl(url) {
   }
 }
 
-function roundMs(ms, granularityMs) {
-  if (!granularityMs || granularityMs <= 0) return ms;
-  return Math.floor(ms / granularityMs) * granularityMs;
-}
-
-function aggregateTimeline(timeline) {
-  const byDomain = {};
-  for (const block of timeline) {
-    const d = block.domain;
-    const dur = (block.end || 0) - (block.start || 0);
-    if (!byDomain[d]) byDomain[d] = { ms: 0, blocks: [] };
-    byDomain[d].ms += dur;
-    byDomain[d].blocks.push(block);
-  }
-  return Object.entries(byDomain)
-    .map(([domain, data]) => ({ domain, ...data }))
-    .sort((a, b) => b.ms - a.ms);
-}
-
 let passed = 0;
 let failed = 0;
 
@@ -92,6 +175,806 @@ eq(agg[0].ms, 6000, 'a.com total 6s');
 eq(agg[1].domain, 'b.com', 'second domain is b.com');
 eq(agg[1].ms, 3000, 'b.com total 3s');
 
-console.log('\n---');
-console.log(passed + ' passed, ' + failed + ' failed');
-process.exit(failed > 0 ? 1 : 0);
+console.log('\nDate ranges');
+eq(getDateKeysBetween('2025-02-27', '2025-03-02'), ['2025-02-27', '2025-02-28', '2025-03-01', '2025-03-02'], 'range crosses month end');
+eq(getDateKeysBetween('2025-03-02', '2025-03-02'), ['2025-03-02'], 'single-day range');
+eq(getDateKeysBetween('2025-03-02', '2025-03-01'), [], 'reversed range is empty');
+eq(getRangeKeys('week', '2025-03-02').length, 7, 'week range is the last 7 days');
+eq(getRangeKeys('month', '2025-03-02'), ['2025-03-01', '2025-03-02'], 'month range starts on the 1st');
+eq(getRangeKeys('30', '2025-03-02')[0], '2025-02-01', 'day-count range ends today');
+eq(getRangeKeys('custom', '2025-03-02', '2025-02-27', '2025-02-28'), ['2025-02-27', '2025-02-28'], 'custom range uses its own dates');
+eq([formatMs(45000), formatMs(125000), formatMs(120000), formatMs(7530000)], ['45s', '2m 5s', '2m', '2h 6m'], 'durations shown in seconds, minutes or hours');
+eq(escapeHtml('<a href="x">&</a>'), '&lt;a href=&quot;x&quot;&gt;&amp;&lt;/a&gt;', 'html and attribute characters escaped');
+const rangeDays = {
+  '2025-03-01': { domains: { 'a.com': { ms: 1000 }, 'b.com': { ms: 2000 } }, timeline: [{ start: 1, end: 2, domain: 'a.com' }] },
+  '2025-03-03': { domains: { 'a.com': { ms: 4000 } }, timeline: [{ start: 3, end: 4, domain: 'a.com' }] }
+};
+const rangeAgg = aggregateDays(rangeDays, ['2025-03-01', '2025-03-02', '2025-03-03']);
+eq(rangeAgg.domains, { 'a.com': { ms: 5000 }, 'b.com': { ms: 2000 } }, 'domains summed across range');
+eq(rangeAgg.timeline.length, 2, 'timelines concatenated across range');
+eq(rangeAgg.perDay.map(d => d.ms), [3000, 0, 4000], 'per-day totals include empty days');
+eq(rangeDays['2025-03-01'].domains['a.com'].ms, 1000, 'aggregation does not mutate stored days');
+
+console.log('\nImport merge');
+const localData = {
+  days: { '2025-03-01': { domains: { 'a.com': { ms: 5000 } }, timeline: [{ start: 1000, end: 6000, domain: 'a.com' }] } },
+  domainTags: { 'a.com': ['Work'] },
+  tagList: ['Work'],
+  limits: [{ kind: 'domain', target: 'a.com', minutes: 30 }]
+};
+const exported = {
+  days: {
+    '2025-03-01': {
+      domains: { 'a.com': { ms: 8000 }, 'b.com': { ms: 2000 } },
+      timeline: [{ start: 1000, end: 6000, domain: 'a.com' }, { start: 7000, end: 10000, domain: 'a.com' }, { start: 10000, end: 12000, domain: 'b.com' }]
+    },
+    '2025-03-02': { domains: { 'c.com': { ms: 1000 } }, timeline: [{ start: 20000, end: 21000, domain: 'c.com' }] }
+  },
+  domainTags: { 'a.com': ['Social'], 'b.com': ['Study'] },
+  tagList: ['Social', 'Study'],
+  limits: [{ kind: 'domain', target: 'a.com', minutes: 10 }, { kind: 'tag', target: 'Study', minutes: 60 }]
+};
+const merged = mergeImportedData(localData, exported);
+eq(merged.days['2025-03-01'].timeline.length, 3, 'duplicate block skipped, new blocks added');
+eq(merged.days['2025-03-01'].domains['a.com'].ms, 8000, 'existing domain grows by new block time');
+eq(merged.days['2025-03-01'].domains['b.com'].ms, 2000, 'new domain takes imported total');
+eq(merged.days['2025-03-02'].domains['c.com'].ms, 1000, 'new day copied');
+eq(merged.domainTags, { 'a.com': ['Work'], 'b.com': ['Study'] }, 'local tags win, missing tags added');
+eq(getTagNames(merged.tagList), ['Social', 'Study', 'Work'], 'tag lists unioned');
+eq(merged.limits.length, 2, 'only limits for new targets added');
+eq(merged.summary.tagConflicts, 1, 'tag conflict counted');
+eq(localData.days['2025-03-01'].timeline.length, 1, 'merge does not mutate current data');
+const remerged = mergeImportedData(merged, exported);
+eq(remerged.days, merged.days, 'importing the same file twice changes nothing');
+eq(remerged.summary.newBlocks + remerged.summary.addedMs, 0, 'repeat import summary is empty');
+const localExtras = {
+  tagRules: [{ pattern: '*.edu', tags: ['Study'] }],
+  goals: [{ tag: 'Work', minutes: 120, days: 'all', since: '2025-03-01' }],
+  reminders: [{ kind: 'domain', target: 'a.com', minutes: 30 }],
+  schedules: [{ name: 'Office', days: 'weekdays', start: '09:00', end: '17:00' }],
+  goalHistory: { '2025-03-01': [{ tag: 'Work', days: 'all', targetMs: 7200000, ms: 0, met: false }] },
+  focusHistory: [{ start: 5000, end: 9000 }],
+  pauseHistory: []
+};
+const exportedExtras = {
+  tagRules: [{ pattern: '*.edu', tags: ['Fun'] }, { pattern: 'news.*', tags: ['Social'] }, { pattern: 'bad' }],
+  goals: [{ tag: 'Work', minutes: 60, days: 'all' }, { tag: 'Work', minutes: 60, days: 'weekends' }],
+  reminders: [{ kind: 'domain', target: 'a.com', minutes: 10 }, { kind: 'continuous', minutes: 60 }],
+  schedules: [{ name: 'Office', days: 'all', start: '08:00', end: '18:00' }, { name: 'Evening', days: 'all', start: '19:00', end: '22:00' }],
+  goalHistory: { '2025-03-01': [], '2025-03-02': [{ tag: 'Work', days: 'all', targetMs: 7200000, ms: 7200000, met: true }] },
+  focusHistory: [{ start: 1000, end: 2000 }, { start: 5000, end: 9000 }],
+  pauseHistory: [{ start: 3000, end: 4000 }]
+};
+const mergedExtras = mergeImportedData({ days: {}, ...localExtras }, { days: {}, ...exportedExtras });
+eq([mergedExtras.tagRules.map(r => r.pattern), mergedExtras.goals.map(g => g.minutes + ':' + g.days),
+  mergedExtras.reminders.map(r => r.kind + ':' + r.minutes), mergedExtras.schedules.map(s => s.name + ':' + s.start)],
+[['*.edu', 'news.*'], ['120:all', '60:weekends'], ['domain:30', 'continuous:60'], ['Office:09:00', 'Evening:19:00']],
+'local rules, goals, reminders and schedules win; new ones are added after them');
+eq([Object.keys(mergedExtras.goalHistory), mergedExtras.goalHistory['2025-03-01'], mergedExtras.focusHistory.map(f => f.start), mergedExtras.pauseHistory.length],
+  [['2025-03-01', '2025-03-02'], localExtras.goalHistory['2025-03-01'], [1000, 5000], 1], 'histories joined without duplicates');
+eq([mergedExtras.summary.newTagRules, mergedExtras.summary.newGoals, mergedExtras.summary.newReminders, mergedExtras.summary.newSchedules,
+  mergedExtras.summary.newHistory], [1, 1, 1, 1, 3], 'import summary counts the added items');
+eq(mergeImportedData(mergedExtras, { days: {}, ...exportedExtras }).summary.newHistory, 0, 'history import is repeatable');
+const migrated = migrateExport({ version: 1, days: {}, limits: [] });
+eq([migrated.version, migrated.goals, migrated.goalHistory, EXPORT_VERSION], [2, [], {}, 2], 'version 1 exports read as version 2 with nothing beyond limits');
+eq(csvField('a,"b"'), '"a,""b"""', 'csv quotes fields with commas and quotes');
+
+console.log('\nDaily limits');
+const limitDay = { domains: { 'youtube.com': { ms: 600000 }, 'm.youtube.com': { ms: 60000 }, 'reddit.com': { ms: 120000 }, 'notyoutube.com': { ms: 5000 } } };
+const limitTags = { 'reddit.com': ['Social'], 'youtube.com': ['Social', 'Fun'] };
+assert(limitAppliesTo({ kind: 'domain', target: 'youtube.com' }, 'm.youtube.com', limitTags), 'domain limit covers subdomains');
+assert(!limitAppliesTo({ kind: 'domain', target: 'youtube.com' }, 'notyoutube.com', limitTags), 'domain limit does not match suffix without dot');
+assert(limitAppliesTo({ kind: 'tag', target: 'Social' }, 'reddit.com', limitTags), 'tag limit matches tagged domain');
+assert(!limitAppliesTo({ kind: 'tag', target: 'Social' }, 'm.youtube.com', limitTags), 'tag limit ignores untagged domain');
+eq(getLimitUsageMs(limitDay, { kind: 'domain', target: 'youtube.com' }, limitTags), 660000, 'domain usage sums domain and subdomains');
+eq(getLimitUsageMs(limitDay, { kind: 'tag', target: 'Social' }, limitTags), 720000, 'tag usage sums tagged domains');
+eq(getLimitUsageMs(undefined, { kind: 'tag', target: 'Social' }, limitTags), 0, 'no data for day is zero usage');
+const ytAlias = { groupByRegistrableDomain: false, domainAliases: [{ label: 'YouTube', hosts: ['youtube.com', 'youtu.be'] }] };
+assert(limitAppliesTo({ kind: 'domain', target: 'YouTube' }, 'youtu.be', {}, ytAlias), 'domain limit on alias label covers its hosts');
+assert(limitAppliesTo({ kind: 'tag', target: 'Fun' }, 'youtu.be', { YouTube: ['Fun'] }, ytAlias), 'tag on alias label applies to its hosts');
+const nestedLimitTags = { 'zoom.us': ['work/meetings'], 'docs.com': ['work'] };
+assert(limitAppliesTo({ kind: 'tag', target: 'work' }, 'zoom.us', nestedLimitTags), 'limit on a tag covers sites with a nested tag');
+assert(!limitAppliesTo({ kind: 'tag', target: 'work/meetings' }, 'docs.com', nestedLimitTags), 'limit on a nested tag ignores sites with only the parent');
+eq(getLimitUsageMs({ domains: { 'zoom.us': { ms: 3000 }, 'docs.com': { ms: 2000 } } }, { kind: 'tag', target: 'work' }, nestedLimitTags), 5000, 'tag usage includes nested tags');
+
+console.log('\nExclusion patterns');
+assert(isExcludedUrl('youtube.com', null, ['youtube.com']), 'plain entry still excludes exact host');
+assert(!isExcludedUrl('m.youtube.com', null, ['youtube.com']), 'plain entry stays exact');
+assert(isExcludedUrl('mail.google.com', null, ['.google.com']), 'leading dot covers subdomains');
+assert(isExcludedUrl('google.com', null, ['.google.com']), 'leading dot covers the domain itself');
+assert(isExcludedUrl('a.b.internal.corp', null, ['*.internal.corp']), 'wildcard matches nested subdomains');
+assert(!isExcludedUrl('internal.corp', null, ['*.internal.corp']), 'wildcard subdomain does not match bare domain');
+assert(!isExcludedUrl('notgoogle.com', null, ['.google.com']), 'suffix match respects label boundary');
+assert(isExcludedUrl('youtube.com', null, ['https://www.youtube.com']), 'scheme and www ignored in patterns');
+assert(isExcludedUrl('reddit.com', 'https://reddit.com/r/news/comments/1', ['reddit.com/r/news']), 'path prefix matches');
+assert(!isExcludedUrl('reddit.com', 'https://reddit.com/r/pics', ['reddit.com/r/news']), 'other paths not excluded');
+assert(!isExcludedUrl('reddit.com', undefined, ['reddit.com/r/news']), 'path pattern needs a URL');
+assert(isExcludedUrl('github.com', 'https://github.com/acme/secret/issues', ['github.com/*/secret']), 'wildcard in path');
+assert(!isExcludedUrl('a.com', null, ['a..com', 'b.com']), 'invalid entries ignored');
+eq(validateExcludePatterns(['ok.com', '*.ok.com', 'bad host', 'a..b', '.*.x.com']).map(e => e.pattern), ['bad host', 'a..b', '.*.x.com'], 'invalid patterns reported');
+
+console.log('\nDomain grouping');
+eq(getRegistrableDomain('mail.google.com'), 'google.com', 'subdomain grouped to registrable domain');
+eq(getRegistrableDomain('news.bbc.co.uk'), 'bbc.co.uk', 'multi-label public suffix respected');
+eq(getRegistrableDomain('alice.github.io'), 'alice.github.io', 'private suffixes keep sites apart');
+eq(getRegistrableDomain('co.uk'), 'co.uk', 'bare public suffix unchanged');
+eq(getRegistrableDomain('localhost'), 'localhost', 'single label unchanged');
+eq(getRegistrableDomain('192.168.0.10'), '192.168.0.10', 'IP address unchanged');
+const grouping = { groupByRegistrableDomain: true, domainAliases: [{ label: 'YouTube', hosts: ['youtube.com', 'youtu.be'] }] };
+eq(getDomainGroupKey('m.youtube.com', grouping), 'YouTube', 'alias wins over registrable domain');
+eq(getDomainGroupKey('docs.google.com', grouping), 'google.com', 'registrable grouping when enabled');
+eq(getDomainGroupKey('docs.google.com', { groupByRegistrableDomain: false, domainAliases: [] }), 'docs.google.com', 'no grouping by default');
+eq(getTagsForDomain('docs.google.com', { 'google.com': ['Work'], 'docs.google.com': ['Study'] }, grouping), ['Work', 'Study'], 'group and host tags combined');
+const grouped = groupDayData({
+  domains: { 'mail.google.com': { ms: 1000 }, 'docs.google.com': { ms: 2000 }, 'youtu.be': { ms: 500 } },
+  timeline: [{ start: 1, end: 2, domain: 'mail.google.com' }]
+}, grouping);
+eq(grouped.domains, { 'google.com': { ms: 3000 }, 'YouTube': { ms: 500 } }, 'domains summed per group');
+eq(grouped.timeline[0], { start: 1, end: 2, domain: 'google.com', host: 'mail.google.com' }, 'timeline block relabelled, host kept');
+eq(Object.keys(grouped.hostDomains).length, 3, 'per-host totals kept');
+const aliasParse = parseDomainAliases('YouTube = youtube.com, www.youtu.be\nbroken line\nX = not a host');
+eq(aliasParse.aliases, [{ label: 'YouTube', hosts: ['youtube.com', 'youtu.be'] }], 'aliases parsed');
+eq(aliasParse.errors.length, 2, 'bad alias lines reported');
+
+console.log('\nPath rules');
+const pathRules = ['github.com/{org}/{repo}', 'reddit.com/r/{sub}'];
+eq(getPathKey('github.com', 'https://github.com/Acme/Widgets/issues/3', pathRules), 'acme/widgets', 'params capture segments, lowercased');
+eq(getPathKey('github.com', 'https://github.com/acme', pathRules), null, 'too few segments does not match');
+eq(getPathKey('reddit.com', 'https://www.reddit.com/r/rust/comments/x', pathRules), 'r/rust', 'literal segments kept in key');
+eq(getPathKey('reddit.com', 'https://www.reddit.com/user/bob', pathRules), null, 'literal mismatch does not match');
+eq(getPathKey('gist.github.com', 'https://gist.github.com/a/b', pathRules), null, 'host must match exactly');
+eq(validatePathRules(['github.com', 'x.com/{a', 'ok.com/{id}']).map(e => e.rule), ['github.com', 'x.com/{a'], 'invalid path rules reported');
+const pathAgg = aggregateDays({
+  '2025-03-01': { domains: { 'github.com': { ms: 5000, paths: { 'a/b': { ms: 3000 } } } }, timeline: [] },
+  '2025-03-02': { domains: { 'github.com': { ms: 2000, paths: { 'a/b': { ms: 1000 }, 'c/d': { ms: 1000 } } } }, timeline: [] }
+}, ['2025-03-01', '2025-03-02']);
+eq(pathAgg.domains['github.com'], { ms: 7000, paths: { 'a/b': { ms: 4000 }, 'c/d': { ms: 1000 } } }, 'sub-keys summed across range');
+eq(groupDayData(pathAgg, { groupByRegistrableDomain: true, domainAliases: [] }).domains['github.com'].paths['a/b'].ms, 4000, 'sub-keys kept when grouping');
+
+console.log('\nTagging rules');
+const tagRules = [
+  { pattern: '*.atlassian.net', tags: ['Work'] },
+  { pattern: '*.edu', tags: ['Study'] },
+  { pattern: '.acme.edu', tags: ['Work'] }
+];
+eq(findTagRule('mit.edu', tagRules)?.tags, ['Study'], 'wildcard TLD rule matches');
+eq(findTagRule('cs.acme.edu', tagRules)?.tags, ['Study'], 'first matching rule wins');
+eq(findTagRule('example.com', tagRules), null, 'no rule matches');
+eq(validateTagRulePattern('github.com/acme'), 'tag rules match hostnames only (no paths)', 'path patterns rejected');
+const reapplied = applyTagRules(
+  ['mit.edu', 'team.atlassian.net', 'old.example.com', 'manual.edu'],
+  { 'old.example.com': ['Study'], 'manual.edu': ['Fun'] },
+  { 'old.example.com': true },
+  tagRules
+);
+eq(reapplied.domainTags, { 'manual.edu': ['Fun'], 'mit.edu': ['Study'], 'team.atlassian.net': ['Work'] }, 'rules applied, stale auto tags removed, manual kept');
+eq(reapplied.autoTaggedDomains, { 'mit.edu': true, 'team.atlassian.net': true }, 'auto markers follow rule matches');
+eq(reapplied.changed, 3, 'changed domains counted');
+
+console.log('\nDay storage');
+eq(dayStorageKey('2025-03-01'), 'day:2025-03-01', 'one storage key per day');
+eq(changedDateKeys({ 'day:2025-03-01': {}, dayIndex: {}, settings: {} }), ['2025-03-01'], 'changed days picked out of storage changes');
+const legacy = {
+  '2025-03-01': { domains: { 'a.com': { ms: 5000 } }, timeline: [{ start: 10, end: 20, domain: 'a.com' }] },
+  '2025-03-02': { domains: { 'b.com': { ms: 1000 } } },
+  'not-a-date': { domains: {} }
+};
+const split = mergeLegacyDays(legacy, {
+  '2025-03-01': { domains: { 'a.com': { ms: 1000 }, 'c.com': { ms: 500 } }, timeline: [{ start: 5, end: 6, domain: 'c.com' }] }
+});
+eq(Object.keys(split), ['2025-03-01', '2025-03-02'], 'only valid date keys migrated');
+eq(split['2025-03-01'].domains, { 'a.com': { ms: 6000 }, 'c.com': { ms: 500 } }, 'already-split day merged with legacy totals');
+eq(split['2025-03-01'].timeline.map(b => b.start), [5, 10], 'timelines merged in order');
+eq(split['2025-03-02'].timeline, [], 'missing timeline defaults to empty');
+
+console.log('\nRetention');
+const h10 = new Date(2025, 2, 1, 10, 0, 0).getTime();
+const detailedDay = {
+  domains: { 'a.com': { ms: 50 * 60000, paths: { x: { ms: 50 * 60000 } } }, 'b.com': { ms: 5 * 60000 } },
+  timeline: [
+    { start: h10 + 10 * 60000, end: h10 + 20 * 60000, domain: 'a.com', path: 'x' },
+    { start: h10 + 50 * 60000, end: h10 + 90 * 60000, domain: 'a.com', path: 'x' },
+    { start: h10 + 90 * 60000, end: h10 + 95 * 60000, domain: 'b.com' }
+  ]
+};
+const compactedDay = compactDay(detailedDay);
+eq(compactedDay.hourly, [
+  { start: h10, domain: 'a.com', ms: 20 * 60000 },
+  { start: h10 + HOUR_MS, domain: 'a.com', ms: 30 * 60000 },
+  { start: h10 + HOUR_MS, domain: 'b.com', ms: 5 * 60000 }
+], 'blocks folded into hourly buckets, split at the hour');
+eq(compactedDay.domains, detailedDay.domains, 'domain and path totals untouched');
+eq(compactedDay.timeline, [], 'detailed blocks removed');
+eq(compactDay({ ...compactedDay, timeline: [{ start: h10, end: h10 + 60000, domain: 'b.com' }] }).hourly[1],
+  { start: h10, domain: 'b.com', ms: 60000 }, 're-compaction merges into existing buckets');
+eq(compactTimeline([], []), [], 'empty timeline');
+const hourlyBlocks = hourlyToBlocks(compactedDay.hourly);
+eq(hourlyBlocks[0], { start: h10, end: h10 + HOUR_MS, domain: 'a.com', ms: 20 * 60000, hourly: true }, 'buckets shown as hour-long blocks');
+eq(timelineBlockMs(hourlyBlocks[0]), 20 * 60000, 'bucket duration is its active time, not the hour');
+eq(timelineBlockMs({ start: 1000, end: 4000 }), 3000, 'detailed block duration');
+eq(getDayData({ '2025-03-01': compactedDay }, '2025-03-01').timeline.length, 3, 'compacted days still render a timeline');
+const keys = ['2024-01-15', '2024-06-01', '2025-01-10', '2025-02-27', '2025-03-01'];
+eq(planRetention(keys, '2025-02-01', null, null), { compact: ['2024-01-15', '2024-06-01', '2025-01-10'], remove: [] }, 'days before the window compacted');
+eq(planRetention(keys, '2025-02-01', '2024-03-01', '2024-07-01'), { compact: ['2025-01-10'], remove: ['2024-01-15'] }, 'deleted days skipped, already compacted days not reloaded');
+eq(planRetention(keys, null, null, null), { compact: [], remove: [] }, 'keep everything when both windows are off');
+const reimported = mergeImportedData(
+  { days: { '2025-03-01': compactedDay }, domainTags: {}, tagList: [], limits: [] },
+  { days: { '2025-03-01': detailedDay } }
+);
+eq(reimported.days['2025-03-01'].domains, detailedDay.domains, 're-importing a compacted day does not double-count');
+eq(reimported.summary.newBlocks, 0, 'no detailed blocks added to a compacted day');
+
+console.log('\nDay boundaries');
+const lateEvening = new Date(2025, 2, 1, 23, 40).getTime();
+const afterMidnight = new Date(2025, 2, 2, 0, 20).getTime();
+const midnight = new Date(2025, 2, 2).getTime();
+eq(getDateKeyAt(afterMidnight, 0), '2025-03-02', 'midnight start: new day after midnight');
+eq(getDateKeyAt(afterMidnight, 4), '2025-03-01', '4:00 start: early hours count toward the previous day');
+eq(getDateKeyAt(new Date(2025, 2, 2, 4, 0).getTime(), 4), '2025-03-02', 'new day begins at the start hour');
+eq(getDateKeyAt(afterMidnight, 99), '2025-03-02', 'invalid start hour falls back to midnight');
+eq(getDayBounds('2025-03-01', 4), {
+  dayStart: new Date(2025, 2, 1, 4).getTime(),
+  dayEnd: new Date(2025, 2, 2, 4).getTime() - 1
+}, 'day bounds follow the start hour');
+eq(splitAtDayBoundaries(lateEvening, afterMidnight, 0), [
+  { dateKey: '2025-03-01', start: lateEvening, end: midnight },
+  { dateKey: '2025-03-02', start: midnight, end: afterMidnight }
+], 'session crossing midnight split in two');
+eq(splitAtDayBoundaries(lateEvening, afterMidnight, 4), [
+  { dateKey: '2025-03-01', start: lateEvening, end: afterMidnight }
+], 'no split before a later day start');
+eq(splitAtDayBoundaries(afterMidnight, afterMidnight, 0), [], 'empty interval');
+eq(splitAtDayBoundaries(lateEvening, new Date(2025, 2, 4, 1).getTime(), 0).map(p => p.dateKey),
+  ['2025-03-01', '2025-03-02', '2025-03-03', '2025-03-04'], 'multi-day interval covers every day');
+eq(formatDateKey(dateFromKey('2025-12-31')), '2025-12-31', 'date keys round-trip');
+
+console.log('\nHeatmap');
+// 2025-03-03 is a Monday.
+const mon2230 = new Date(2025, 2, 3, 22, 30).getTime();
+const heatmapDays = {
+  '2025-03-03': {
+    domains: {},
+    timeline: [
+      { start: mon2230, end: mon2230 + 45 * 60000, domain: 'www.youtube.com' },
+      { start: mon2230, end: mon2230 + 10 * 60000, domain: 'docs.example.com' }
+    ]
+  },
+  '2025-03-09': { domains: {}, timeline: [], hourly: [{ start: new Date(2025, 2, 9, 9).getTime(), domain: 'youtube.com', ms: 60000 }] }
+};
+const heatmapKeys = ['2025-03-03', '2025-03-09'];
+const allCells = computeHeatmap(heatmapDays, heatmapKeys, 'all', {}, null);
+eq([allCells[0][22], allCells[0][23]], [40 * 60000, 15 * 60000], 'blocks split at hour boundaries');
+eq(allCells[6][9], 60000, 'compacted hourly buckets land on Sunday');
+eq(allCells.flat().reduce((a, b) => a + b, 0), 56 * 60000, 'no time lost or added');
+const ytGrouping = { groupByRegistrableDomain: true, domainAliases: [] };
+eq(computeHeatmap(heatmapDays, heatmapKeys, 'domain:youtube.com', {}, ytGrouping)[0][22], 30 * 60000, 'domain filter uses group keys');
+eq(computeHeatmap(heatmapDays, heatmapKeys, 'tag:Work', { 'docs.example.com': ['Work'] }, null)[0], [
+  ...new Array(22).fill(0), 10 * 60000, 0
+], 'tag filter');
+
+console.log('\nFocus sessions');
+const MIN = 60000;
+const pomodoro = createFocusSession({ focusMinutes: 25, breakMinutes: 5, cycles: 2, blockDistracting: true }, 0);
+eq([pomodoro.phase, pomodoro.phaseEndsAt, pomodoro.blockDistracting], ['focus', 25 * MIN, true], 'session starts in a focus phase');
+eq(createFocusSession({ focusMinutes: 'abc', cycles: 99 }, 0).focusMinutes, 25, 'invalid minutes fall back to 25');
+eq(createFocusSession({ cycles: 99 }, 0).cycles, 12, 'cycles capped');
+const onBreak = advanceFocusSession(pomodoro, 26 * MIN).session;
+eq([onBreak.phase, onBreak.phaseStart, onBreak.phaseEndsAt], ['break', 25 * MIN, 30 * MIN], 'focus phase followed by a break');
+const secondFocus = advanceFocusSession(pomodoro, 31 * MIN).session;
+eq([secondFocus.phase, secondFocus.cycle, secondFocus.phases], ['focus', 2, [{ start: 0, end: 25 * MIN }]], 'missed phase changes caught up at once');
+const finished = advanceFocusSession(pomodoro, 2 * 60 * MIN);
+eq(finished.session, null, 'session ends after the last focus phase');
+eq([finished.record.end, finished.record.phases], [55 * MIN, [{ start: 0, end: 25 * MIN }, { start: 30 * MIN, end: 55 * MIN }]], 'record keeps focus phases, not breaks');
+eq(advanceFocusSession(createFocusSession({ focusMinutes: 90 }, 0), 91 * MIN).record.phases, [{ start: 0, end: 90 * MIN }], 'free-form session is one phase');
+eq(getFocusPhases(secondFocus, 40 * MIN), [{ start: 0, end: 25 * MIN }, { start: 30 * MIN, end: 40 * MIN }], 'running phase counted up to now');
+eq(stopFocusSession(onBreak, 28 * MIN).phases, [{ start: 0, end: 25 * MIN }], 'stopping during a break adds no phase');
+const focusTags = { 'github.com': ['Work'], 'twitter.com': ['Social'], 'slack.com': ['Work', 'Social'] };
+eq(isDistractingDomain('mobile.twitter.com', focusTags, { groupByRegistrableDomain: true }, ['Social']), true, 'distracting through group tags');
+eq(isDistractingDomain('twitter.com', focusTags, null, []), false, 'no distracting tags, nothing distracting');
+const focusSummary = summarizeFocus(
+  [{ start: 0, end: 25 * MIN }, { start: 30 * MIN, end: 55 * MIN }],
+  [
+    { start: -5 * MIN, end: 10 * MIN, domain: 'github.com' },
+    { start: 10 * MIN, end: 15 * MIN, domain: 'twitter.com' },
+    { start: 15 * MIN, end: 20 * MIN, domain: 'slack.com' },
+    { start: 20 * MIN, end: 35 * MIN, domain: 'news.com' },
+    { start: 0, end: 60 * MIN, domain: 'github.com', ms: 6 * MIN, hourly: true }
+  ],
+  focusTags, null, 'Work', ['Social']
+);
+eq(focusSummary, { focusMs: 50 * MIN, workMs: 20 * MIN, distractingMs: 5 * MIN, otherMs: 10 * MIN, untrackedMs: 15 * MIN },
+  'blocks clipped to focus phases, breaks excluded, hourly blocks prorated, work tag wins');
+
+console.log('\nPassive time');
+const passiveDays = {
+  '2025-03-01': {
+    domains: { 'a.com': { ms: 3000 } },
+    timeline: [{ start: 0, end: 3000, domain: 'a.com' }],
+    passive: { domains: { 'music.com': { ms: 5000 }, 'a.com': { ms: 1000 } }, timeline: [{ start: 0, end: 5000, domain: 'music.com' }] }
+  },
+  '2025-03-02': { domains: {}, timeline: [], passive: { domains: { 'music.com': { ms: 2000 } }, timeline: [] } }
+};
+const passiveAgg = aggregateDays(passiveDays, ['2025-03-01', '2025-03-02']);
+eq(passiveAgg.domains, { 'a.com': { ms: 3000 } }, 'passive time kept out of active totals');
+eq(passiveAgg.perDay.map(d => d.ms), [3000, 0], 'per-day totals are active only');
+eq(passiveAgg.passive.domains, { 'music.com': { ms: 7000 }, 'a.com': { ms: 1000 } }, 'passive totals summed separately');
+eq(passiveAgg.timeline.length + passiveAgg.passive.timeline.length, 2, 'passive blocks kept apart from the timeline');
+const compactedPassive = compactDay(passiveDays['2025-03-01']);
+eq([compactedPassive.passive.timeline, compactedPassive.passive.hourly.length, compactedPassive.passive.domains],
+  [[], 1, passiveDays['2025-03-01'].passive.domains], 'passive timeline compacted into its own buckets');
+eq(getDayData({ d: compactedPassive }, 'd').passive.timeline[0].ms, 5000, 'compacted passive time still listed');
+eq(mergeImportedData({ days: {} }, { days: passiveDays }).days['2025-03-02'].passive, passiveDays['2025-03-02'].passive,
+  'passive time imported with new days');
+
+console.log('\nDaily goals');
+const goals = [
+  { tag: 'Study', minutes: 120, days: 'all', since: '2025-03-01' },
+  { tag: 'Study', minutes: 30, days: 'weekends', since: '2025-03-01' },
+  { tag: 'Work', minutes: 300, days: 'weekdays', since: '2025-03-05' }
+];
+eq(goalId(goals[1]), 'Study:weekends', 'goal id is tag and days');
+eq(getGoalsForDay(goals, '2025-03-03').map(goalId), ['Study:all'], 'weekday before a goal\'s since skips it');
+eq(getGoalsForDay(goals, '2025-03-05').map(goalId), ['Study:all', 'Work:weekdays'], 'weekday goals apply on weekdays');
+eq(getGoalsForDay(goals, '2025-03-08').map(goalId), ['Study:weekends'], 'weekend variant replaces the every-day goal');
+eq(evaluateGoals(goals, '2025-03-05', { Study: 2 * 60 * MIN, Work: 60 * MIN }), [
+  { tag: 'Study', days: 'all', targetMs: 120 * MIN, ms: 120 * MIN, met: true },
+  { tag: 'Work', days: 'weekdays', targetMs: 300 * MIN, ms: 60 * MIN, met: false }
+], 'goals met at or above their target');
+eq(getGoalHistoryKeys(goals, null, '2025-03-04'), ['2025-03-01', '2025-03-02', '2025-03-03'], 'history starts at the earliest goal');
+eq(getGoalHistoryKeys(goals, '2025-03-02', '2025-03-04'), ['2025-03-03'], 'history continues after the last recorded day');
+eq(getGoalHistoryKeys(goals, '2025-03-03', '2025-03-04'), [], 'today is never recorded');
+eq(getGoalHistoryKeys(goals, null, '2024-01-01'), [], 'nothing before the goals existed');
+eq(Object.keys(pruneGoalHistory(Object.fromEntries(getDateKeysBetween('2024-01-01', '2025-03-01').map(k => [k, []])))).length,
+  366, 'history capped at a year');
+
+console.log('\nReminders');
+eq([formatReminderMs(45 * MIN), formatReminderMs(60 * MIN), formatReminderMs(95 * MIN)], ['45 min', '1h', '1h 35m'], 'reminder durations');
+eq(describeReminder({ kind: 'tagShare', target: 'Social', percent: 20 }), 'Social over 20% of the day', 'tag share described');
+const siteReminder = { kind: 'domain', target: 'reddit.com', minutes: 45 };
+eq(checkReminder(siteReminder, { ms: 44 * MIN }), null, 'site reminder below threshold');
+eq(checkReminder(siteReminder, { ms: 46 * MIN })?.message, 'You\'ve spent 46 min on reddit.com today.', 'site reminder crossed');
+eq(checkReminder({ kind: 'continuous', minutes: 60 }, { ms: 61 * MIN, domain: 'docs.com' })?.key, 'continuous:docs.com', 'continuous reminder keyed by site');
+const shareReminder = { kind: 'tagShare', target: 'Social', percent: 20 };
+eq(checkReminder(shareReminder, { ms: 10 * MIN, totalMs: 20 * MIN }), null, 'tag share waits for enough tracked time');
+eq(checkReminder(shareReminder, { ms: 12 * MIN, totalMs: 60 * MIN })?.key, 'tagShare:Social', 'tag share crossed');
+eq(checkReminder(shareReminder, { ms: 11 * MIN, totalMs: 60 * MIN }), null, 'tag share under its percent');
+eq([isReminderDue(undefined, 0), isReminderDue({ at: 0 }, 100), isReminderDue({ at: 0, snoozedUntil: 50 }, 100)], [true, false, true],
+  'shown once per day unless the snooze is over');
+const at = h => new Date(2025, 2, 1, h, 30).getTime();
+eq([isInQuietHours(at(23), 22, 7), isInQuietHours(at(6), 22, 7), isInQuietHours(at(12), 22, 7)], [true, true, false], 'quiet hours past midnight');
+eq([isInQuietHours(at(13), 12, 14), isInQuietHours(at(14), 12, 14), isInQuietHours(at(13), null, 14)], [true, false, false], 'quiet hours within a day, off when unset');
+
+console.log('\nToolbar badge');
+eq([formatBadgeTime(30000), formatBadgeTime(45 * MIN), formatBadgeTime(65 * MIN), formatBadgeTime(12 * 60 * MIN + 5 * MIN)],
+  ['0m', '45m', '1:05', '12h'], 'badge text fits four characters');
+
+console.log('\nDashboard');
+const dashDays = {
+  '2025-03-01': { domains: { 'mail.google.com': { ms: 30 * MIN }, 'docs.google.com': { ms: 30 * MIN }, 'news.com': { ms: 20 * MIN } } },
+  '2025-03-03': { domains: { 'news.com': { ms: 20 * MIN } } }
+};
+const dashKeys = getDateKeysBetween('2025-03-01', '2025-03-04');
+const googleGrouping = { groupByRegistrableDomain: true, domainAliases: [] };
+eq(summarizeDomains(dashDays, dashKeys, googleGrouping), [
+  { domain: 'google.com', ms: 60 * MIN, activeDays: 1, avgMs: 15 * MIN, share: 0.6 },
+  { domain: 'news.com', ms: 40 * MIN, activeDays: 2, avgMs: 10 * MIN, share: 0.4 }
+], 'site totals, averages over every day of the range and shares');
+eq(getDailyBreakdown(dashDays, dashKeys, 'tags', { 'mail.google.com': ['Work'] }, googleGrouping).map(d => d.values), [
+  { Work: 30 * MIN, Untagged: 50 * MIN }, {}, { Untagged: 20 * MIN }, {}
+], 'per-day tag breakdown uses per-host tags when grouped');
+eq(getDailyBreakdown(dashDays, ['2025-03-03'], 'domains', {}, googleGrouping), [{ dateKey: '2025-03-03', values: { 'news.com': 20 * MIN } }],
+  'per-day site breakdown');
+eq(computeTagMsFromDay({ domains: { 'a.com': { ms: 5 } } }, { 'a.com': ['X', 'Y'] }, null), { X: 5, Y: 5 }, 'time counts toward each of a site\'s tags');
+
+console.log('\nTag edits');
+eq(addTag({ tagList: [{ name: 'b', color: '#7aa2f7' }] }, ' a '), { tagList: [{ name: 'a', color: '#bb9af7' }, { name: 'b', color: '#7aa2f7' }] },
+  'tag added in order with an unused color');
+eq([addTag({ tagList: ['a'] }, 'a'), addTag({}, '  ')], [null, null], 'taken or empty names rejected');
+eq(getTagNames(addTag({ tagList: [] }, 'Work / Meetings').tagList), ['Work', 'Work/Meetings'], 'nested tag added with its parent');
+const removed = removeTag({
+  tagList: ['Social', 'Work'],
+  domainTags: { 'x.com': ['Social'], 'docs.com': ['Work', 'Social'] },
+  limits: [{ kind: 'tag', target: 'Social', minutes: 30 }, { kind: 'domain', target: 'x.com', minutes: 10 }],
+  limitOverrides: { '2025-03-01': { 'tag:Social': 300000, 'domain:x.com': 300000 } },
+  goals: [{ tag: 'Social', minutes: 10, days: 'all' }],
+  reminders: [{ kind: 'tagShare', target: 'Social', percent: 20 }],
+  tagRules: [{ pattern: 'x.com', tags: ['Social'] }],
+  settings: { focusDistractingTags: ['Social'] }
+}, 'Social');
+eq([getTagNames(removed.tagList), removed.domainTags, removed.limits.length, removed.limitOverrides, removed.goals, removed.reminders, removed.tagRules, removed.settings.focusDistractingTags],
+  [['Work'], { 'docs.com': ['Work'] }, 1, { '2025-03-01': { 'domain:x.com': 300000 } }, [], [], [], []], 'deleted tag removed everywhere');
+const removedTree = removeTag({ tagList: ['Work', 'Work/Meetings', 'Workout'], domainTags: { 'meet.com': ['Work/Meetings'] } }, 'Work');
+eq([getTagNames(removedTree.tagList), removedTree.domainTags], [['Workout'], {}], 'deleting a tag deletes the tags nested under it');
+eq(setDomainTags({ domainTags: {}, autoTaggedDomains: { 'x.com': 'x.com' } }, 'x.com', ['Work']),
+  { domainTags: { 'x.com': ['Work'] }, autoTaggedDomains: {} }, 'tags set by hand are no longer automatic');
+
+console.log('\nTag hierarchy and colors');
+eq([getParentTags('Work/Meetings/1:1'), getParentTags('Work'), getTagLeafName('Work/Meetings')],
+  [['Work', 'Work/Meetings'], [], 'Meetings'], 'parents listed outermost first');
+eq(withParentTags(['Work/Meetings', 'Work', 'Social']), ['Work', 'Work/Meetings', 'Social'], 'parents added once');
+eq([isTagOrChild('Work/Meetings', 'Work'), isTagOrChild('Work', 'Work'), isTagOrChild('Workout', 'Work')], [true, true, false],
+  'only nested tags are children');
+eq(normalizeTagList(['Work', 'Social', 'Study']), [
+  { name: 'Social', color: '#7aa2f7' }, { name: 'Study', color: '#bb9af7' }, { name: 'Work', color: '#9ece6a' }
+], 'plain names migrate to the colors the badge gave them');
+eq(normalizeTagList([{ name: 'Work/Meetings', color: '#123456' }, { name: 'Social', color: 'red' }]), [
+  { name: 'Social', color: '#7aa2f7' }, { name: 'Work', color: '#bb9af7' }, { name: 'Work/Meetings', color: '#123456' }
+], 'missing parents added, invalid colors replaced');
+eq([needsTagListMigration(['Work']), needsTagListMigration(normalizeTagList(['Work'])), needsTagListMigration(undefined)],
+  [true, false, false], 'only old or incomplete lists need migrating');
+const colorTags = [{ name: 'Work', color: '#111111' }, { name: 'Work/Meetings', color: '#222222' }];
+eq([getTagColor(colorTags, 'Work/Meetings'), getTagColor(colorTags, 'Work/Other'), getTagColor(colorTags, 'Social')],
+  ['#222222', '#111111', null], 'unlisted nested tags take their parent\'s color');
+eq([setTagColor({ tagList: colorTags }, 'Work', '#abcdef').tagList[0], setTagColor({ tagList: colorTags }, 'Work', 'blue')],
+  [{ name: 'Work', color: '#abcdef' }, null], 'colors set as #rrggbb only');
+const tagDay = { domains: { 'meet.com': { ms: 30 * MIN }, 'docs.com': { ms: 60 * MIN }, 'x.com': { ms: 10 * MIN } } };
+const nestedDomainTags = { 'meet.com': ['Work/Meetings'], 'docs.com': ['Work'], 'x.com': ['Social'] };
+eq(computeTagMsFromDay(tagDay, nestedDomainTags, null), { Work: 90 * MIN, 'Work/Meetings': 30 * MIN, Social: 10 * MIN },
+  'nested tag time rolls up to the parent');
+eq(getDailyBreakdown({ '2025-03-01': tagDay }, ['2025-03-01'], 'tags', nestedDomainTags, null)[0].values, { Work: 90 * MIN, Social: 10 * MIN },
+  'daily tag chart stacks top-level tags only');
+eq(summarizeFocus([{ start: 0, end: 60 * MIN }], [{ start: 0, end: 30 * MIN, domain: 'meet.com' }], nestedDomainTags, null, 'Work', []).workMs,
+  30 * MIN, 'a nested tag counts as the focus work tag above it');
+
+const tagItems = {
+  tagList: [{ name: 'Work', color: '#111111' }, { name: 'Work/Meetings', color: '#222222' }, { name: 'Calls', color: '#333333' }],
+  domainTags: { 'meet.com': ['Work/Meetings', 'Calls'], 'zoom.us': ['Calls'] },
+  limits: [{ kind: 'tag', target: 'Calls', minutes: 60 }, { kind: 'tag', target: 'Work/Meetings', minutes: 90 }],
+  goals: [{ tag: 'Work', minutes: 120, days: 'all' }],
+  goalHistory: { '2025-03-01': [{ tag: 'Work', days: 'all', targetMs: 1, ms: 2, met: true }] },
+  reminders: [{ kind: 'tagShare', target: 'Calls', percent: 20 }],
+  limitOverrides: { '2025-03-01': { 'tag:Calls': 300000, 'tag:Work/Meetings': 600000, 'domain:Work': 900000 } },
+  tagRules: [{ pattern: 'zoom.us', tags: ['Calls'] }],
+  settings: { focusWorkTag: 'Work', focusDistractingTags: ['Calls'] }
+};
+const renamed = renameTag(tagItems, 'Work', 'Job');
+eq([renamed.tagList, renamed.domainTags['meet.com'], renamed.limits[1].target, renamed.goals[0].tag, renamed.goalHistory['2025-03-01'][0].tag, renamed.settings.focusWorkTag],
+  [[{ name: 'Calls', color: '#333333' }, { name: 'Job', color: '#111111' }, { name: 'Job/Meetings', color: '#222222' }],
+    ['Job/Meetings', 'Calls'], 'Job/Meetings', 'Job', 'Job', 'Job'], 'rename moves the nested tags and every reference, keeping colors');
+eq([renameTag(tagItems, 'Work', 'Calls'), renameTag(tagItems, 'Work', 'Work/Old'), renameTag(tagItems, 'Nope', 'X'), renameTag(tagItems, 'Work', ' ')],
+  [null, null, null, null], 'rename to a taken, nested or empty name rejected');
+const mergedTags = mergeTags(tagItems, 'Calls', 'Work/Meetings');
+eq([getTagNames(mergedTags.tagList), mergedTags.domainTags, mergedTags.limits, mergedTags.reminders, mergedTags.tagRules, mergedTags.settings.focusDistractingTags],
+  [['Work', 'Work/Meetings'], { 'meet.com': ['Work/Meetings'], 'zoom.us': ['Work/Meetings'] }, [{ kind: 'tag', target: 'Work/Meetings', minutes: 90 }],
+    [{ kind: 'tagShare', target: 'Work/Meetings', percent: 20 }], [{ pattern: 'zoom.us', tags: ['Work/Meetings'] }], ['Work/Meetings']],
+  'merge moves sites and keeps the target\'s own limit');
+eq(getTagColor(mergedTags.tagList, 'Work/Meetings'), '#222222', 'merge keeps the target\'s color');
+eq([renamed.limitOverrides, mergedTags.limitOverrides],
+  [{ '2025-03-01': { 'tag:Calls': 300000, 'tag:Job/Meetings': 600000, 'domain:Work': 900000 } },
+    { '2025-03-01': { 'tag:Work/Meetings': 600000, 'domain:Work': 900000 } }],
+  'limit extensions follow renamed tags; on a merge the target\'s extension is kept');
+eq([mergeTags(tagItems, 'Work', 'Work/Meetings'), mergeTags(tagItems, 'Calls', 'Nope')], [null, null], 'merge into a nested or unknown tag rejected');
+eq(renameOrMergeTag(tagItems, 'Work', ' job '), { update: renameTag(tagItems, 'Work', 'job') }, 'settings rename of a new name renames');
+eq(renameOrMergeTag(tagItems, 'Calls', 'Work/Meetings'), {
+  update: mergedTags,
+  confirm: 'Merge tag "Calls" into "Work/Meetings"? Its sites, limits, goals and reminders move to "Work/Meetings".'
+}, 'settings rename to an existing tag asks to merge');
+eq([renameOrMergeTag(tagItems, 'Work', ''), renameOrMergeTag(tagItems, 'Work', 'Work')], [{ update: null }, { update: null }], 'empty or unchanged name does nothing');
+eq([renameOrMergeTag(tagItems, 'Nope', 'X').error, renameOrMergeTag(tagItems, 'Work', 'Work/Meetings').error],
+  ['Tag "Nope" no longer exists.', '"Work/Meetings" is nested under "Work", so "Work" cannot be moved there.'], 'rename errors name the reason');
+
+console.log('\nTimeline edits');
+const editBounds = { ...getDayBounds('2025-03-01', 0), now: new Date(2025, 2, 2, 12).getTime() };
+const t = (h, m = 0) => new Date(2025, 2, 1, h, m).getTime();
+const editDay = {
+  domains: { 'a.com': { ms: 60 * MIN, paths: { '/x': { ms: 60 * MIN } } }, 'b.com': { ms: 30 * MIN } },
+  timeline: [
+    { start: t(9), end: t(10), domain: 'a.com', path: '/x', endedBy: 'idle' },
+    { start: t(11), end: t(11, 30), domain: 'b.com' }
+  ]
+};
+const deleted = deleteTimelineBlock(editDay, { start: t(11), end: t(11, 30), domain: 'b.com' }).day;
+eq([deleted.timeline.length, deleted.domains['b.com'], editDay.timeline.length], [1, undefined, 2], 'deleted block takes its site\'s time with it');
+const shortened = updateTimelineBlock(editDay, { start: t(9), end: t(10), domain: 'google', host: 'a.com' }, { end: t(9, 45) }, editBounds).day;
+eq([shortened.domains['a.com'], shortened.timeline[0].edited], [{ ms: 45 * MIN, paths: { '/x': { ms: 45 * MIN } } }, true],
+  'shortened block (found by host when grouped) updates site and path totals');
+const moved = updateTimelineBlock(editDay, editDay.timeline[0], { domain: 'b.com' }, editBounds).day;
+eq([moved.domains['a.com'], moved.domains['b.com'].ms, moved.timeline[0].path], [undefined, 90 * MIN, undefined], 'block reassigned to another site');
+eq(updateTimelineBlock(editDay, editDay.timeline[0], { end: t(11, 10) }, editBounds).error, 'This overlaps another block on the timeline.',
+  'overlapping edit refused');
+eq(updateTimelineBlock(editDay, editDay.timeline[0], { start: t(9, 30), end: t(9, 10) }, editBounds).error, 'The end must be after the start.',
+  'reversed times refused');
+const splitDay = splitTimelineBlock(editDay, editDay.timeline[0], t(9, 20)).day;
+eq(splitDay.timeline.slice(0, 2).map(b => [b.end - b.start, b.endedBy]), [[20 * MIN, undefined], [40 * MIN, 'idle']], 'split keeps the idle marker on the second part');
+eq(splitDay.domains, editDay.domains, 'split leaves totals unchanged');
+eq(splitTimelineBlock(editDay, editDay.timeline[0], t(10)).error, 'Pick a time between the block\'s start and end.', 'split outside the block refused');
+const manual = addManualBlock(null, { domain: 'meeting', start: t(14), end: t(15) }, editBounds).day;
+eq([manual.domains, manual.timeline[0].manual], [{ meeting: { ms: 60 * MIN } }, true], 'manual entry added to an empty day');
+eq([normalizeBlockLabel('  Offline meeting '), normalizeBlockLabel('https://www.Docs.com/x'), normalizeBlockLabel('   ')],
+  ['Offline meeting', 'docs.com', ''], 'free-form labels kept as typed, sites reduced to their hostname');
+eq([addManualBlock(null, { domain: 'Offline meeting', start: t(14), end: t(15) }, editBounds).day.timeline[0].domain,
+  addManualBlock(null, { domain: ' ', start: t(14), end: t(15) }, editBounds).error], ['Offline meeting', 'Enter a site or label.'],
+  'manual entries take free-form labels but not empty ones');
+// Recorded at 1-minute granularity: a 90s block added 60s, so editing it moves 60s.
+const roundedDay = {
+  domains: { 'a.com': { ms: 2 * MIN } },
+  timeline: [{ start: t(9), end: t(9) + 90000, domain: 'a.com' }, { start: t(10), end: t(10) + 90000, domain: 'a.com' }]
+};
+eq([deleteTimelineBlock(roundedDay, roundedDay.timeline[0], MIN).day.domains['a.com'].ms,
+  updateTimelineBlock(roundedDay, roundedDay.timeline[0], { end: t(9) + 150000 }, editBounds, MIN).day.domains['a.com'].ms,
+  addManualBlock(roundedDay, { domain: 'a.com', start: t(11), end: t(11) + 90000 }, editBounds, MIN).day.domains['a.com'].ms],
+  [MIN, 3 * MIN, 3 * MIN], 'edits add and take rounded time, as the tracker recorded it');
+eq([applyTimelineEdit(editDay, { kind: 'delete', block: editDay.timeline[1] }, editBounds).day.timeline.length,
+  applyTimelineEdit(editDay, { kind: 'split', block: editDay.timeline[0], at: t(9, 20) }, editBounds).day.timeline.length,
+  applyTimelineEdit(editDay, { kind: 'rename' }, editBounds).error], [1, 3, 'Unknown edit.'], 'edits sent by the popup are applied by kind');
+eq(validateBlockRange(editDay, t(23), t(23) + 2 * 60 * MIN, editBounds, -1), 'Both times must fall within this day.', 'entries stay within the day');
+eq(validateBlockRange(null, t(8), t(9), { ...editBounds, now: t(8, 30) }, -1), 'The end cannot be in the future.', 'entries cannot end in the future');
+eq([getTimeInDay('2025-03-01', '02:30', 4) - new Date(2025, 2, 2, 2, 30).getTime(), getTimeInDay('2025-03-01', '9:5', 0)], [0, NaN],
+  'clock times before the day start fall on the next date');
+
+console.log('\nVisit merging');
+const SEC = 1000;
+const hops = [
+  { start: 0, end: 60 * SEC, domain: 'a.com' },
+  { start: 80 * SEC, end: 100 * SEC, domain: 'a.com', endedBy: 'idle' },
+  { start: 110 * SEC, end: 200 * SEC, domain: 'a.com' },
+  { start: 205 * SEC, end: 210 * SEC, domain: 'b.com' },
+  { start: 215 * SEC, end: 300 * SEC, domain: 'a.com' }
+];
+eq(mergeTimelineBlocks(hops, 0).length, 5, 'merging off lists every block');
+const mergedRows = mergeTimelineBlocks([...hops].reverse(), 30 * SEC);
+eq(mergedRows.map(r => [r.domain, r.visits || 1, timelineBlockMs(r)]), [['a.com', 2, 80 * SEC], ['a.com', 1, 90 * SEC], ['b.com', 1, 5 * SEC], ['a.com', 1, 85 * SEC]],
+  'same-site blocks within the gap merged, not across idle gaps or other sites');
+eq([mergedRows[0].endedBy, mergedRows[0].blocks.length], ['idle', 2], 'merged row keeps its blocks and the idle marker');
+eq(mergeTimelineBlocks([{ start: 0, end: 10, domain: 'a.com', hourly: true }, { start: 10, end: 20, domain: 'a.com', hourly: true }], 60 * SEC).length, 2,
+  'hourly blocks never merged');
+eq(computeVisitStats(hops, 30 * SEC)['a.com'], { visits: 4, longestMs: 90 * SEC, avgMs: 255 * SEC / 4 }, 'visit count, longest stretch and average visit');
+eq(computeVisitStats([{ start: 0, end: 3600 * SEC, domain: 'a.com', hourly: true, ms: 10 * MIN }], 0), {}, 'compacted days have no visit stats');
+
+console.log('\nIncognito hand-off');
+const syncBatch = {
+  id: 'b1',
+  days: { '2025-03-01': {
+    domains: { 'x.com': { ms: 60000, paths: { '/a': { ms: 60000 } } } },
+    timeline: [{ start: 0, end: 60000, domain: 'x.com' }],
+    passive: { domains: { 'music.com': { ms: 5000 } }, timeline: [] }
+  } },
+  domainTags: { 'x.com': ['Fun'], 'new.com': ['Study'] },
+  tagList: ['Fun', 'Study']
+};
+const syncTarget = {
+  days: { '2025-03-01': { domains: { 'x.com': { ms: 1000 } }, timeline: [{ start: 0, end: 60000, domain: 'x.com' }] } },
+  domainTags: { 'x.com': ['Work'] },
+  tagList: ['Work']
+};
+const synced = mergeSyncBatches(syncTarget, [syncBatch], []);
+const syncedDay = synced.days['2025-03-01'];
+eq([syncedDay.domains['x.com'], syncedDay.timeline.length, syncedDay.passive.domains], [{ ms: 61000, paths: { '/a': { ms: 60000 } } }, 1, { 'music.com': { ms: 5000 } }],
+  'batch time added once, known blocks not repeated, passive time kept apart');
+eq([synced.domainTags, getTagNames(synced.tagList), synced.appliedIds], [{ 'x.com': ['Work'], 'new.com': ['Study'] }, ['Fun', 'Study', 'Work'], ['b1']],
+  'regular tags win, untagged sites take the batch\'s tags');
+eq(synced.conflicts, [{ domain: 'x.com', kept: ['Work'], ignored: ['Fun'] }], 'tag conflicts reported');
+const again = mergeSyncBatches({ ...syncTarget, days: synced.days, domainTags: synced.domainTags }, [syncBatch], synced.appliedIds);
+eq([again.days, again.appliedIds], [{}, ['b1']], 'a batch merged twice changes nothing');
+eq(mergeSyncDomainTags({ 'x.com': ['A', 'B'] }, { 'x.com': ['B', 'A'] }).conflicts, [], 'same tags in another order are no conflict');
+const storedConflicts = [{ domain: 'x.com', kept: ['Work'], ignored: ['Fun'], at: 1 }, { domain: 'y.com', kept: ['A'], ignored: ['B'], at: 1 }];
+eq(addSyncConflicts(storedConflicts, [{ domain: 'x.com', kept: ['Work'], ignored: ['Social'] }], 2),
+  [{ domain: 'y.com', kept: ['A'], ignored: ['B'], at: 1 }, { domain: 'x.com', kept: ['Work'], ignored: ['Social'], at: 2 }],
+  'a site keeps only its latest recorded conflict');
+eq(addSyncConflicts(undefined, [], 1), [], 'no stored conflicts and none new is empty');
+eq(readSyncQueue({ timestamp: 5, data: { days: {} } }).map(b => b.id), ['legacy:5'], 'old single marker read as one batch');
+eq(appendSyncBatch([{ id: 'b1' }, { id: 'b2' }], ['b1'], { id: 'b3' }).map(b => b.id), ['b2', 'b3'], 'merged batches dropped from the queue');
+
+console.log('\nPausing');
+const pauseNow = new Date(2025, 2, 1, 22, 30).getTime();
+eq([getPauseUntil('15m', pauseNow, 0) - pauseNow, getPauseUntil('1h', pauseNow, 0) - pauseNow, getPauseUntil('indefinite', pauseNow, 0)],
+  [15 * MIN, 60 * MIN, null], 'timed pauses end after their length, indefinite ones never');
+eq([getPauseUntil('tomorrow', pauseNow, 0), getPauseUntil('tomorrow', pauseNow, 4)],
+  [new Date(2025, 2, 2, 0, 0).getTime(), new Date(2025, 2, 2, 4, 0).getTime()], 'until tomorrow ends at the next day start');
+eq(getPauseUntil('tomorrow', new Date(2025, 2, 2, 2, 0).getTime(), 4), new Date(2025, 2, 2, 4, 0).getTime(),
+  'before the day start, tomorrow begins at today\'s day start');
+const pause = createPause('15m', pauseNow, 0);
+eq([isPauseActive(pause, pauseNow + 14 * MIN), isPauseActive(pause, pauseNow + 15 * MIN), isPauseActive(createPause('indefinite', pauseNow, 0), pauseNow + 1e9), isPauseActive(null, pauseNow)],
+  [true, false, true, false], 'pause active until it ends');
+eq([endPause(pause, pauseNow + 5 * MIN), endPause(pause, pauseNow + 60 * MIN)],
+  [{ start: pauseNow, end: pauseNow + 5 * MIN }, { start: pauseNow, end: pauseNow + 15 * MIN }], 'ended pause is recorded up to when it ran out');
+const fullPauseHistory = addPauseToHistory(Array.from({ length: PAUSE_HISTORY_MAX }, (_, i) => ({ start: i, end: i })), { start: -1, end: -1 });
+eq([fullPauseHistory.length, fullPauseHistory[0].start, fullPauseHistory[PAUSE_HISTORY_MAX - 1].start], [PAUSE_HISTORY_MAX, 1, -1],
+  'pause history keeps the newest pauses');
+eq(getPauseWindows([{ start: 0, end: 10 }, { start: 100, end: 200 }], { start: 300, until: null }, 50, 1000, 400),
+  [{ start: 300, end: 400, until: null, running: true }, { start: 100, end: 200 }], 'pause windows in range, running one first');
+
+console.log('\nSchedules');
+eq([parseClockMinutes('09:30'), parseClockMinutes('9:05'), parseClockMinutes('24:00'), parseClockMinutes('x')], [570, 545, null, null],
+  'clock times parse to minutes');
+const workHours = { name: 'Work hours', days: 'weekdays', start: '09:00', end: '17:00' };
+const nightShift = { name: 'Night', days: 'all', start: '22:00', end: '02:00' };
+eq([validateSchedule(workHours, []), validateSchedule({ ...workHours, end: '09:00' }, []), validateSchedule(workHours, [workHours]),
+  validateSchedule({ ...workHours, days: 'mondays' }, [])],
+  [null, 'The end must differ from the start.', 'A schedule named "Work hours" already exists.', 'Pick the days.'], 'schedule validation');
+// 2025-03-07 is a Friday, 2025-03-08 a Saturday.
+const marchAt = (day, hour, minute = 0) => new Date(2025, 2, day, hour, minute).getTime();
+eq(getScheduleIntervals(workHours, marchAt(7, 0), marchAt(9, 0)), [{ start: marchAt(7, 9), end: marchAt(7, 17) }], 'weekday schedule skips the weekend');
+eq(getScheduleIntervals(nightShift, marchAt(8, 1), marchAt(8, 12)), [{ start: marchAt(7, 22), end: marchAt(8, 2) }],
+  'overnight window reaches into the next day');
+eq([getScheduleAt([workHours, nightShift], marchAt(7, 12)), getScheduleAt([workHours, nightShift], marchAt(7, 23)), getScheduleAt([workHours], marchAt(7, 17))],
+  ['Work hours', 'Night', null], 'schedule running at a time; windows end exclusive');
+eq(splitAtSchedules(marchAt(7, 16), marchAt(7, 23), [workHours, nightShift]), [
+  { start: marchAt(7, 16), end: marchAt(7, 17), schedule: 'Work hours' },
+  { start: marchAt(7, 17), end: marchAt(7, 22), schedule: null },
+  { start: marchAt(7, 22), end: marchAt(7, 23), schedule: 'Night' }
+], 'a stretch is split where schedules begin and end');
+eq(splitAtSchedules(marchAt(7, 10), marchAt(7, 11), [workHours, { ...workHours, name: 'Meetings', days: 'all' }]),
+  [{ start: marchAt(7, 10), end: marchAt(7, 11), schedule: 'Work hours' }], 'the first of overlapping schedules wins');
+eq(splitAtSchedules(marchAt(7, 10), marchAt(7, 10), [workHours]), [], 'empty stretch has no pieces');
+const onlyWork = { trackOnlySchedule: 'Work hours', trackOnlyScheduleDomains: [] };
+eq([isTrackedBySchedule('a.com', null, marchAt(7, 10), onlyWork, [workHours]), isTrackedBySchedule('a.com', null, marchAt(8, 10), onlyWork, [workHours]),
+  isTrackedBySchedule('a.com', null, marchAt(8, 10), { trackOnlySchedule: '' }, [workHours]),
+  isTrackedBySchedule('a.com', null, marchAt(8, 10), { trackOnlySchedule: 'Deleted' }, [workHours])],
+  [true, false, true, true], 'tracking limited to a schedule; unknown schedules limit nothing');
+const onlySlack = { trackOnlySchedule: 'Work hours', trackOnlyScheduleDomains: ['*.slack.com'] };
+eq([isTrackedBySchedule('app.slack.com', null, marchAt(8, 10), onlySlack, [workHours]), isTrackedBySchedule('a.com', null, marchAt(8, 10), onlySlack, [workHours])],
+  [false, true], 'with sites listed, only those are limited');
+eq([getNextScheduleBoundary(workHours, marchAt(7, 12)), getNextScheduleBoundary(workHours, marchAt(7, 17)), getNextScheduleBoundary({ ...workHours, start: 'x' }, marchAt(7, 12))],
+  [marchAt(7, 17), marchAt(10, 9), null], 'next boundary is the end, or the next start after the weekend');
+eq([getLastScheduleEnd(workHours, marchAt(7, 17, 5)), getLastScheduleEnd(workHours, marchAt(8, 12))], [marchAt(7, 17), marchAt(7, 17)],
+  'last schedule end before a time');
+eq(summarizeScheduleDomains([
+  { start: 0, end: 10, domain: 'a.com', schedule: 'Work hours' },
+  { start: 10, end: 30, domain: 'a.com', path: '/docs', schedule: 'Work hours' },
+  { start: 30, end: 35, domain: 'b.com' },
+  { start: 0, end: HOUR_MS, ms: 7, domain: 'a.com', hourly: true, schedule: 'Work hours' }
+], 'Work hours'), { 'a.com': { ms: 37, paths: { '/docs': { ms: 20 } } } }, 'schedule totals come from its blocks');
+eq(summarizeScheduleDomains([{ start: 0, end: 10, domain: 'a.com', schedule: 'Work hours' }, { start: 30, end: 35, domain: 'b.com' }], null),
+  { 'b.com': { ms: 5 } }, 'unlabelled blocks are outside every schedule');
+eq(compactTimeline([
+  { start: marchAt(7, 16, 30), end: marchAt(7, 17), domain: 'a.com', schedule: 'Work hours' },
+  { start: marchAt(7, 17), end: marchAt(7, 17, 20), domain: 'a.com' }
+], [{ start: marchAt(7, 16), domain: 'a.com', ms: MIN, schedule: 'Work hours' }]), [
+  { start: marchAt(7, 16), domain: 'a.com', ms: 31 * MIN, schedule: 'Work hours' },
+  { start: marchAt(7, 17), domain: 'a.com', ms: 20 * MIN }
+], 'compaction keeps time in and outside schedules apart');
+eq(hourlyToBlocks([{ start: 0, domain: 'a.com', ms: 5, schedule: 'Work hours' }])[0].schedule, 'Work hours', 'hourly blocks keep their schedule');
+
+console.log('\nTracker journal');
+eq(appendJournalEntries([1, 2, 3], [4, 5], 4), [2, 3, 4, 5], 'journal keeps the newest entries');
+eq(appendJournalEntries(null, [1]), [1], 'missing journal starts empty');
+eq([journalUrl('https://a.com/x?token=1#top'), journalUrl('about:blank'), journalUrl('not a url')], ['https://a.com/x', 'about:blank', ''],
+  'journal URLs lose query and fragment');
+eq(journalSessionRef({ domain: 'a.com', path: null, tabId: 3, start: 1 }), { domain: 'a.com', tabId: 3 }, 'session ref keeps site and tab');
+eq(describeSessionTransition({ domain: 'a.com', tabId: 1 }, { domain: 'a.com', tabId: 1 }), null, 'same session is no transition');
+eq(describeSessionTransition({ domain: 'a.com', tabId: 1 }, null), { from: { domain: 'a.com', tabId: 1 }, to: null }, 'stopped session');
+eq([formatJournalEvent({ type: 'idle', idleState: 'locked' }), formatJournalEvent({ type: 'error', where: 'handleActiveTab', tabId: 4 })],
+  ['idle · locked', 'error in handleActiveTab · tab 4'], 'event descriptions');
+eq(formatJournalTransition({ session: { from: null, to: { domain: 'a.com', path: '/docs', tabId: 2 } } }), 'nothing → a.com/docs (tab 2)',
+  'transition description');
+
+const T0 = Date.UTC(2025, 2, 1, 10);
+const win1 = (tabId, url) => ({ windowId: 1, tabId, url });
+const sampleJournal = [
+  { at: T0, type: 'tabActivated', tabId: 1, windowId: 1, url: 'https://a.com/', active: win1(1, 'https://a.com/'),
+    session: { from: null, to: { domain: 'a.com', tabId: 1 } } },
+  { at: T0 + MIN, type: 'tabActivated', tabId: 2, windowId: 1, url: 'https://b.com/', active: win1(2, 'https://b.com/'),
+    session: { from: { domain: 'a.com', tabId: 1 }, to: { domain: 'b.com', tabId: 2 } } },
+  { at: T0 + 2 * MIN, type: 'tabUpdated', tabId: 1, windowId: 1, url: 'https://c.com/', active: win1(2, 'https://b.com/') },
+  { at: T0 + 3 * MIN, type: 'idle', idleState: 'idle', active: win1(2, 'https://b.com/'),
+    session: { from: { domain: 'b.com', tabId: 2 }, to: null } },
+  { at: T0 + 4 * MIN, type: 'idle', idleState: 'active', active: win1(2, 'https://b.com/'),
+    session: { from: null, to: { domain: 'b.com', tabId: 2 } } },
+  { at: T0 + 5 * MIN, type: 'error', where: 'handleActiveTab', tabId: 9, windowId: 1, error: 'No tab with id: 9.' },
+  { at: T0 + 5 * MIN, type: 'tabActivated', tabId: 9, windowId: 1, url: '', active: win1(2, 'https://b.com/'),
+    session: { from: { domain: 'b.com', tabId: 2 }, to: null } },
+  { at: T0 + 6 * MIN, type: 'tabRemoved', tabId: 9, active: win1(1, 'https://c.com/') },
+  { at: T0 + 7 * MIN, type: 'windowFocus', windowId: 1, active: win1(1, 'https://c.com/'),
+    session: { from: null, to: { domain: 'c.com', tabId: 1 } } }
+];
+
+replayJournal(sampleJournal).then(async (replay) => {
+  eq([replay.replayed, replay.mismatches], [8, []], 'replayed journal reproduces every recorded transition');
+  // The active tab navigating away, unlike a background tab, changes what is tracked; the
+  // next entry's active tab brings the replay back in step.
+  const altered = sampleJournal.map(e => e.type === 'tabUpdated' ? { ...e, tabId: 2, url: 'https://d.com/' } : e);
+  const diverged = await replayJournal(altered);
+  eq(diverged.mismatches.map(m => [m.index, formatJournalTransition({ session: m.actual })]),
+    [[2, 'b.com (tab 2) → d.com (tab 2)'], [3, 'd.com (tab 2) → nothing']],
+    'replay reports events whose outcome differs from the journal');
+
+  // At the end of the only schedule tracking is limited to, its alarm stops the session.
+  const winA = { windowId: 1, tabId: 1, url: 'https://a.com/' };
+  const scheduleJournal = [
+    { at: marchAt(7, 16, 50), type: 'tabActivated', tabId: 1, windowId: 1, url: 'https://a.com/', active: winA,
+      session: { from: null, to: { domain: 'a.com', tabId: 1 } } },
+    { at: marchAt(7, 17), type: 'schedule', active: winA, session: { from: { domain: 'a.com', tabId: 1 }, to: null } },
+    { at: marchAt(10, 9), type: 'schedule', active: winA, session: { from: null, to: { domain: 'a.com', tabId: 1 } } }
+  ];
+  const scheduled = await replayJournal(scheduleJournal, onlyWork, [workHours]);
+  eq([scheduled.replayed, scheduled.mismatches], [3, []], 'replay stops and resumes tracking at schedule boundaries');
+
+  // A regular and an incognito worker on one storage: the incognito one hands its time off
+  // and leaves the days, the regular session and the regular worker's bookkeeping alone.
+  const shared = {
+    'day:2024-01-01': { domains: { 'old.com': { ms: MIN } }, timeline: [] },
+    dayIndex: ['2024-01-01'],
+    goals: [{ tag: 'Work', minutes: 10, days: 'all' }],
+    passiveSessions: { 3: { domain: 'm.com', start: T0, persistedAt: T0 } }
+  };
+  const sharedSettings = { keepIncognitoData: true, trackPassive: true, deleteAfterMonths: 1 };
+  const regular = await replayJournal([
+    { at: T0, type: 'tabActivated', tabId: 1, windowId: 1, url: 'https://a.com/', active: win1(1, 'https://a.com/'),
+      session: { from: null, to: { domain: 'a.com', tabId: 1 } } },
+    { at: T0 + 2 * MIN, type: 'tabActivated', tabId: 2, windowId: 1, url: 'https://b.com/', active: win1(2, 'https://b.com/'),
+      session: { from: { domain: 'a.com', tabId: 1 }, to: { domain: 'b.com', tabId: 2 } } }
+  ], sharedSettings, [], { store: shared });
+  const regularKeys = ['currentSession', '_pendingSession', 'passiveSessions', 'dayIndex', 'day:2024-01-01', 'day:2025-03-01'];
+  const regularItems = JSON.stringify(regularKeys.map(k => shared[k]));
+  const winX = { windowId: 5, tabId: 7, url: 'https://x.com/', incognito: true };
+  const incognito = await replayJournal([
+    { at: T0 + 3 * MIN, type: 'tabActivated', tabId: 7, windowId: 5, url: 'https://x.com/', incognito: true, active: winX,
+      session: { from: null, to: { domain: 'x.com', tabId: 7 } } },
+    { at: T0 + 5 * MIN, type: 'tabRemoved', tabId: 7, session: { from: { domain: 'x.com', tabId: 7 }, to: null } }
+  ], sharedSettings, [], { store: shared, incognito: true });
+  await incognito.worker.applyRetention(true);
+  await incognito.worker.recordGoalHistory();
+  await incognito.worker.updatePassiveSessions();
+  eq([regular.mismatches, incognito.mismatches, JSON.stringify(regularKeys.map(k => shared[k])), shared.goalHistory],
+    [[], [], regularItems, undefined], 'incognito worker leaves the regular worker\'s storage alone');
+  eq(shared._incognitoSyncPending.map(b => b.days['2025-03-01'].domains), [{ 'x.com': { ms: 2 * MIN } }],
+    'incognito worker queues its time for the hand-off');
+  await regular.worker.mergeIncognitoBatches();
+  eq(shared['day:2025-03-01'].domains['x.com'], { ms: 2 * MIN }, 'regular worker merges the incognito time');
+
+  // An active and a passive write to the same day at once both land.
+  const writer = (await replayJournal([])).worker;
+  const writerSettings = await writer.getSettings();
+  await Promise.all([
+    writer.recordSessionTime({ domain: 'a.com', from: T0, to: T0 + MIN }, writerSettings),
+    writer.recordSessionTime({ domain: 'm.com', from: T0, to: T0 + MIN, passive: true }, writerSettings)
+  ]);
+  const written = await writer.loadDay('2025-03-01');
+  eq([written.domains['a.com'], written.passive?.domains['m.com']], [{ ms: MIN }, { ms: MIN }], 'simultaneous active and passive writes are both kept');
+
+  // A timeline edit and a persist of the running session to the same day both land.
+  const editor = (await replayJournal([], { timeGranularityMs: MIN })).worker;
+  const editorSettings = await editor.getSettings();
+  await editor.recordSessionTime({ domain: 'a.com', from: T0, to: T0 + 90000, block: { start: T0 } }, editorSettings);
+  const [recorded] = (await editor.loadDay('2025-03-01')).timeline;
+  await Promise.all([
+    editor.editTimeline('2025-03-01', { kind: 'delete', block: recorded }),
+    editor.recordSessionTime({ domain: 'a.com', from: T0 + 2 * MIN, to: T0 + 3 * MIN, block: { start: T0 + 2 * MIN } }, editorSettings)
+  ]);
+  const edited = await editor.loadDay('2025-03-01');
+  eq([edited.domains['a.com'], edited.timeline.map(b => b.start)], [{ ms: MIN }, [T0 + 2 * MIN]],
+    'timeline edit runs in turn with the tracker\'s writes and takes the rounded time');
+
+  // Idle handling: where sessions end, and which ones the idle settings keep going.
+  const startA = { at: T0, type: 'tabActivated', tabId: 1, windowId: 1, url: 'https://a.com/', active: win1(1, 'https://a.com/'),
+    session: { from: null, to: { domain: 'a.com', tabId: 1 } } };
+  const stopA = { from: { domain: 'a.com', tabId: 1 }, to: null };
+  const idleAt = (minutes, idleState, session) => ({ at: T0 + minutes * MIN, type: 'idle', idleState, active: win1(1, 'https://a.com/'), session });
+  const graceAlarm = (minutes, session) => ({ at: T0 + minutes * MIN, type: 'alarm', name: 'idle-grace', session });
+  const closeA = minutes => ({ at: T0 + minutes * MIN, type: 'tabRemoved', tabId: 1, session: stopA });
+  const idleRun = async (entries, settings) => {
+    const run = await replayJournal([startA, ...entries], settings);
+    const day = await run.worker.loadDay('2025-03-01');
+    return [run.mismatches, day.domains['a.com'].ms, day.timeline.map(b => [b.end - b.start, b.endedBy])];
+  };
+  eq(await idleRun([idleAt(3, 'idle', stopA)], {}), [[], 3 * MIN, [[3 * MIN, 'idle']]],
+    'without a grace period, going idle ends the session then');
+  eq(await idleRun([idleAt(1, 'idle'), graceAlarm(3, stopA)], { idleGraceMinutes: 2 }), [[], 3 * MIN, [[3 * MIN, 'idle']]],
+    'with a grace period, the session runs on until the grace alarm');
+  eq(await idleRun([idleAt(1, 'idle'), idleAt(2, 'active'), graceAlarm(3), closeA(4)], { idleGraceMinutes: 2 }),
+    [[], 4 * MIN, [[4 * MIN, undefined]]], 'coming back within the grace period cancels its alarm');
+  eq(await idleRun([idleAt(1, 'locked', stopA)], { idleGraceMinutes: 2 }), [[], MIN, [[MIN, 'locked']]],
+    'locking stops tracking at once, grace period or not');
+  eq(await idleRun([idleAt(1, 'locked'), graceAlarm(3, stopA)], { idleGraceMinutes: 2, lockStopsImmediately: false }),
+    [[], 3 * MIN, [[3 * MIN, 'locked']]], 'with lockStopsImmediately off, a lock waits out the grace period like idle');
+  eq(await idleRun([idleAt(1, 'idle'), closeA(5)], { neverIdleDomains: ['a.com'] }), [[], 5 * MIN, [[5 * MIN, undefined]]],
+    'never-idle sites keep tracking while idle');
+  eq(await idleRun([idleAt(1, 'idle'), graceAlarm(3), closeA(5)], { idleGraceMinutes: 2, neverIdleDomains: ['*.com'] }),
+    [[], 5 * MIN, [[5 * MIN, undefined]]], 'never-idle sites also outlast the grace period');
+  eq(await idleRun([idleAt(1, 'idle', stopA)], { neverIdleDomains: ['b.com'] }), [[], MIN, [[MIN, 'idle']]],
+    'other sites still stop when idle');
+  const detectionIntervals = [];
+  for (const idleThresholdSec of [undefined, 5, 120]) {
+    const { worker } = await replayJournal([], { idleThresholdSec });
+    let interval = null;
+    worker.chrome.idle.setDetectionInterval = sec => { interval = sec; };
+    await worker.applyIdleDetectionInterval();
+    detectionIntervals.push(interval);
+  }
+  eq(detectionIntervals, [60, 60, 120], 'idle threshold sets Chrome\'s detection interval; missing or under 15s means 60s');
+
+  console.log('\n---');
+  console.log(passed + ' passed, ' + failed + ' failed');
+  process.exit(failed > 0 ? 1 : 0);
+});